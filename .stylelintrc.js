@@ -96,5 +96,31 @@ module.exports = {
      * autoprefixer as the primary prefixing strategy.
      */
     'property-no-vendor-prefix': null,
+
+    /*
+     * MEDIA QUERY NOTATION OVERRIDE
+     * 
+     * RULE: 'media-feature-range-notation'
+     * SETTING: 'prefix'
+     * 
+     * RATIONALE: The standard config asks for range context notation such as
+     * (width <= 994px), which Safari only understands from 16.4. qoreCSS
+     * supports Safari 14+, so breakpoints, including the generated responsive
+     * variants, use max-width/min-width queries.
+     */
+    'media-feature-range-notation': 'prefix',
+
+    /*
+     * CLASS NAME PATTERN OVERRIDE
+     * 
+     * RULE: 'selector-class-pattern'
+     * SETTING: kebab-case, or a breakpoint variant
+     * 
+     * RATIONALE: Keeps the standard kebab-case pattern for hand-written
+     * classes. Responsive variants generated from the --breakpoint-* tokens
+     * are named "<breakpoint>:<class>" (written .md\:col50) and copy the
+     * name of the class they vary, so only the breakpoint prefix is checked.
+     */
+    'selector-class-pattern': '^(?:[a-z][a-z0-9]*(?:-[a-z0-9]+)*|[a-z][a-z0-9]*:[a-zA-Z][a-zA-Z0-9-]*)$',
   },
 };
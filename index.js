@@ -35,6 +35,19 @@ if(typeof require==='function'){ // ensures require exists before attempting fs
   try { fs = require('node:fs'); } catch { fs = null; } // safe attempt to load fs or fallback
 } else { fs = null; } // browser environment fallback when require undefined
 
+/*
+ * RUNTIME THEME CONFIGURATION
+ * Rationale: Themes are token objects written as inline custom properties,
+ * so they override the variables.css :root values without another stylesheet.
+ * Only the palette properties are themeable; sizing and spacing tokens stay
+ * under stylesheet control so a theme cannot break layout.
+ */
+const THEME_PROPERTY = /^--(?:gs-[\w-]+|color-[\w-]+|link|warn)$/; // palette custom properties setTheme may write
+const THEME_STORAGE_KEY = 'qorecss-theme'; // localStorage key holding the persisted choice
+const THEME_EVENT = 'qorecss:themechange'; // event dispatched on the themed element after each change
+const DEFAULT_THEME = 'default'; // name reported when no override is applied
+const builtJson = {}; // build artifact path -> {mtime, data} cache for readBuiltJson()
+
 /*
  * MAIN EXPORT OBJECT CONSTRUCTION
  *
@@ -109,6 +122,109 @@ const qorecss = { // holds public API properties and helpers
     const result = safeResolve('./variables.css'); // resolves path with browser fallback when require missing
     console.log(`getVariables is returning ${result}`); // logs resolved path
     return result; // returns variables.css path
+  },
+
+  /*
+   * NAMED THEMES
+   * Rationale: Plain object so applications can register their own themes
+   * (qorecss.themes.brand = {...}) before calling setTheme('brand').
+   * "default" carries no tokens: applying it removes overrides so the
+   * variables.css values show through and prefers-color-scheme decides.
+   * "light" and "dark" are defined in variables.css and selected through
+   * the data-theme attribute, so they need no tokens here either.
+   */
+  themes: {
+    [DEFAULT_THEME]: {}, // stylesheet palette following the system preference
+    light: {}, // variables.css :root[data-theme="light"]
+    dark: {} // variables.css :root palette, forced regardless of system preference
+  },
+
+  /*
+   * THEME SWITCHING
+   * Rationale: Accepts a registered theme name or a token object. Tokens
+   * replace any previous theme on the target rather than merging, so switching
+   * themes never leaves stray colors behind. Options:
+   * - target: element to theme (defaults to <html>, scoped elements inherit)
+   * - persist: store the choice in localStorage (defaults to true for <html>
+   *   only, because scoped elements are not restored on load)
+   */
+  setTheme: function(theme, opts = {}) {
+    console.log(`setTheme is running with ${typeof theme === 'string' ? theme : 'tokens'}`); // entry log without dumping token values
+    if(typeof document === 'undefined'){ throw new Error('setTheme requires a browser document'); } // server side has nothing to theme
+    const target = opts.target || document.documentElement; // scoped element or whole document
+    const name = typeof theme === 'string' ? theme : null; // custom token objects have no name
+    if(name !== null && !Object.prototype.hasOwnProperty.call(qorecss.themes, name)){ throw new Error(`unknown theme: ${name}`); } // rejects typos instead of silently resetting
+    const tokens = normalizeTokens(name !== null ? qorecss.themes[name] : theme); // validated --property map
+    Array.from(target.style).filter(prop => THEME_PROPERTY.test(prop)).forEach(prop => target.style.removeProperty(prop)); // clears the previous theme
+    Object.keys(tokens).forEach(prop => target.style.setProperty(prop, tokens[prop])); // applies new palette
+    if(name !== null && name !== DEFAULT_THEME){ target.setAttribute('data-theme', name); } else { target.removeAttribute('data-theme'); } // exposes named theme to css selectors
+    const persist = opts.persist ?? target === document.documentElement; // only document level choices are restored
+    if(persist){ writeStoredTheme(name !== null ? {name} : {tokens}); } // remembers choice across page loads
+    const result = {name, tokens}; // applied theme description
+    const EventCtor = typeof window !== 'undefined' && window.CustomEvent ? window.CustomEvent : CustomEvent; // uses the document's realm in DOM shims
+    target.dispatchEvent(new EventCtor(THEME_EVENT, {bubbles:true, detail:result})); // lets components react to palette changes
+    console.log(`setTheme is returning ${name || 'custom'}`); // logs applied theme
+    return result; // returns {name, tokens}
+  },
+
+  /*
+   * CURRENT THEME
+   * Rationale: Read from the target's inline style and data-theme attribute
+   * rather than module state, so themes applied by another copy of the
+   * script or by server-rendered markup are reported correctly.
+   */
+  getTheme: function(target) {
+    console.log(`getTheme is running with ${target ? target.tagName : 'document'}`); // entry log for debugging
+    const el = target || (typeof document !== 'undefined' ? document.documentElement : null); // element whose theme is read
+    const tokens = {}; // applied overrides
+    if(el){ Array.from(el.style).filter(prop => THEME_PROPERTY.test(prop)).forEach(prop => { tokens[prop] = el.style.getPropertyValue(prop).trim(); }); } // collects inline palette values
+    const attr = el ? el.getAttribute('data-theme') : null; // named theme marker
+    const name = attr || (Object.keys(tokens).length === 0 ? DEFAULT_THEME : null); // null means custom tokens
+    const result = {name, tokens}; // same shape as setTheme result
+    console.log(`getTheme is returning ${name || 'custom'}`); // logs resolved theme
+    return result; // returns {name, tokens}
+  },
+
+  /*
+   * DESIGN TOKENS
+   * Rationale: Consumers that cannot read CSS custom properties (React
+   * Native, email templates) get the tokens.json model the build exports
+   * from variables.css. With a theme name the flat name -> value map for
+   * that palette is returned instead. Browsers import tokens.json or
+   * tokens.mjs through their bundler since there is no file system here.
+   */
+  getTokens: function(theme) {
+    console.log(`getTokens is running with ${theme || 'all'}`); // entry log for debugging
+    const model = readBuiltJson('tokens.json', 'getTokens requires node; import tokens.json or tokens.mjs instead'); // canonical token model
+    if(theme !== undefined && !model.themes.includes(theme)){ throw new Error(`unknown token theme: ${theme}`); } // only exported palettes exist
+    let result = model; // full model without a theme argument
+    if(theme !== undefined){ // flattens to the requested palette
+      result = {}; // name -> resolved value
+      Object.keys(model.tokens).forEach(name => { const value = model.tokens[name].values[theme]; if(value !== null){ result[name] = value; } }); // skips unresolvable tokens
+    }
+    console.log(`getTokens is returning ${Object.keys(model.tokens).length} tokens`); // logs token count
+    return result; // returns model or flat theme map
+  },
+
+  /*
+   * CLASS CATALOGUE
+   * Rationale: classes.json is written by the build from qore.css, so
+   * tooling and editor autocompletion get every class with its declarations,
+   * @media overrides and !important use without parsing css themselves.
+   */
+  getClasses: function() {
+    console.log(`getClasses is running with`); // entry log for helper call
+    const result = readBuiltJson('classes.json', 'getClasses requires node; import classes.json instead').classes; // name -> entry
+    console.log(`getClasses is returning ${Object.keys(result).length} classes`); // logs class count
+    return result; // returns catalogue keyed by class name
+  },
+
+  hasClass: function(name) {
+    console.log(`hasClass is running with ${name}`); // entry log for debugging
+    const classes = qorecss.getClasses(); // cached catalogue
+    const result = Object.prototype.hasOwnProperty.call(classes, String(name).replace(/^\./, '')); // accepts "row" or ".row"
+    console.log(`hasClass is returning ${result}`); // logs lookup result
+    return result; // returns true when qoreCSS defines the class
   }
 };
 
@@ -130,6 +246,7 @@ if (typeof window === 'undefined' && typeof module !== 'undefined' && module.exp
   */
   module.exports = qorecss; // exposes API when running under Node
   module.exports.serverSide = true; // signals Node.js usage so consumers can skip browser injection
+  module.exports.replaceCoreLinks = replaceCoreLinks; // lets dev tooling reuse injectCss link rules (scripts/serve.js)
 } else if (typeof window !== 'undefined') {
   /*
    * BROWSER ENVIRONMENT AUTO-INJECTION
@@ -142,6 +259,7 @@ if (typeof window === 'undefined' && typeof module !== 'undefined' && module.exp
    * IMPLEMENTATION RATIONALE:
    * - createElement('link') creates proper stylesheet link element
    * - rel='stylesheet' and type='text/css' ensure browser recognizes CSS
+   * - integrity/crossorigin are set when the build recorded an SRI digest
    * - href resolves path via safeResolve() (uses require.resolve when available) or current script path
    * - appendChild(link) adds to document head for immediate effect
    * 
@@ -150,6 +268,7 @@ if (typeof window === 'undefined' && typeof module !== 'undefined' && module.exp
    */
   globalThis.qorecss = qorecss; // exposes API for browser usage
   injectCss(); // calls helper for dynamic stylesheet injection
+  restoreTheme(); // reapplies the persisted theme choice
 }
 
 function injectCss(){ // handles runtime stylesheet loading logic
@@ -173,34 +292,130 @@ function injectCss(){ // handles runtime stylesheet loading logic
   console.log(`injectCss basePath ${basePath}`); // logs resolved base path for debugging
 
   const cssFile = `core.5c7df4d0.min.css`; // placeholder replaced during build
-  const links = Array.from(document.head.querySelectorAll('link')); // grabs all current link elements to manage updates
-  const coreRegex = /^core(?:\.[a-f0-9]+)?\.min\.css$/; // targets hashed or fallback core filenames for cleanup (flexible hash length)
-  links.forEach(l => {
-    const href = l.getAttribute('href') || ''; // fetches href attribute for processing
-    const file = (href.split('/').pop() || '').split('?')[0].split('#')[0]; // strips query/fragments so regex matches expected filename
-    if(coreRegex.test(file) && file !== cssFile){ l.remove(); console.log(`injectCss removed outdated ${l.href}`); } // removes hashed links not matching new hash exactly
-  }); // iterates existing links to remove stale hashes
-  const freshLinks = Array.from(document.head.querySelectorAll('link')); // re-queries after removals for up-to-date list
-  const fallbacks = freshLinks.filter(l => l.href.includes('qore.css')); // collects all plain qore.css links for removal
-  fallbacks.forEach(l=>{ l.remove(); console.log(`injectCss removed fallback ${l.href}`); }); // removes every fallback to guarantee hashed use
-  const hashedLinks = Array.from(document.head.querySelectorAll('link')).filter(l => l.href.includes(cssFile)); // gathers all hashed links to detect duplicates
-  if(hashedLinks.length>1){ hashedLinks.slice(1).forEach(l=>{ l.remove(); console.log(`injectCss removed duplicate ${l.href}`); }); } // removes extras so only one hashed link remains
-  const existing = hashedLinks[0]; // reference remaining hashed link if present
-  if(!existing){ // injects new file when hashed version not present
-   const link = document.createElement('link'); // creates stylesheet link element
-   link.rel = 'stylesheet'; // declares relationship to browser
-   link.type = 'text/css'; // MIME type for clarity across tools
-   link.href = `${basePath}${cssFile}`; // resolves href using whichever file exists
-   link.onerror = () => { link.onerror = null; link.href = `${basePath}qore.css`; console.log(`injectCss fallback to ${link.href}`); }; // disables handler then swaps to qore.css on load failure
-   document.head.appendChild(link); // injects stylesheet into document
-   console.log(`injectCss is returning ${link}`); // logs link element when hashed file loads
-   return link; // returns newly created link element for external use
-  } else {
-   console.log(`injectCss is returning ${existing}`); // logs reuse of previously injected link element
-   return existing; // returns existing link element to caller
+  const cssIntegrity = ``; // sha384 SRI string replaced during build; empty skips integrity checks
+  const result = replaceCoreLinks(cssFile, basePath, cssIntegrity); // applies shared link rules for the built stylesheet
+  const scriptTheme = scriptEl && scriptEl.getAttribute('data-theme'); // page default theme from <script data-theme="light">
+  if(scriptTheme){ // page default, replaced by a persisted user choice in restoreTheme
+   try { qorecss.setTheme(scriptTheme, {persist:false}); } catch(err){ console.error('injectCss theme failed:', err.message); } // bad theme name must not hide the injected link
   }
+  console.log(`injectCss is returning ${result}`); // logs link element injected or reused
+  return result; // returns link element for external use
  } catch(err){
   console.error('injectCss failed:', err.message); // logs any runtime failure
  }
 }
 
+/*
+ * CORE LINK REPLACEMENT RULES
+ * Rationale: Shared by injectCss() and the dev server's live-reload client,
+ * which serializes this function into the page, so it must stay
+ * self-contained (no references to module scope). Rules:
+ * - remove core links whose file differs from cssFile (stale hashes)
+ * - remove plain qore.css fallbacks
+ * - keep a single link for cssFile, creating it when absent
+ */
+function replaceCoreLinks(cssFile, basePath, cssIntegrity){
+ console.log(`replaceCoreLinks is running with ${cssFile}`); // logs entry with target file
+ const links = Array.from(document.head.querySelectorAll('link')); // grabs all current link elements to manage updates
+ const coreRegex = /^core(?:\.[a-f0-9]+)?\.min\.css$/; // any hash length on purpose: stale links may predate the configured HASH_LENGTH, and the current file is matched exactly via cssFile
+ links.forEach(l => {
+   const href = l.getAttribute('href') || ''; // fetches href attribute for processing
+   const file = (href.split('/').pop() || '').split('?')[0].split('#')[0]; // strips query/fragments so regex matches expected filename
+   if(coreRegex.test(file) && file !== cssFile){ l.remove(); console.log(`replaceCoreLinks removed outdated ${l.href}`); } // removes hashed links not matching new hash exactly
+ }); // iterates existing links to remove stale hashes
+ const freshLinks = Array.from(document.head.querySelectorAll('link')); // re-queries after removals for up-to-date list
+ const fallbacks = freshLinks.filter(l => l.href.includes('qore.css')); // collects all plain qore.css links for removal
+ fallbacks.forEach(l=>{ l.remove(); console.log(`replaceCoreLinks removed fallback ${l.href}`); }); // removes every fallback to guarantee hashed use
+ const hashedLinks = Array.from(document.head.querySelectorAll('link')).filter(l => l.href.includes(cssFile)); // gathers all hashed links to detect duplicates
+ if(hashedLinks.length>1){ hashedLinks.slice(1).forEach(l=>{ l.remove(); console.log(`replaceCoreLinks removed duplicate ${l.href}`); }); } // removes extras so only one hashed link remains
+ const existing = hashedLinks[0]; // reference remaining hashed link if present
+ if(existing){
+  console.log(`replaceCoreLinks is returning ${existing}`); // logs reuse of previously injected link element
+  return existing; // returns existing link element to caller
+ }
+ const link = document.createElement('link'); // creates stylesheet link element
+ link.rel = 'stylesheet'; // declares relationship to browser
+ link.type = 'text/css'; // MIME type for clarity across tools
+ if(cssIntegrity){ // only applies SRI when build recorded a digest for this hash
+  link.setAttribute('integrity', cssIntegrity); // lets the browser reject tampered CDN responses (attribute form works in DOM shims lacking the property)
+  link.setAttribute('crossorigin', 'anonymous'); // SRI on cross-origin stylesheets requires a CORS request
+ }
+ link.href = `${basePath}${cssFile}`; // resolves href using whichever file exists
+ link.onerror = () => { link.onerror = null; link.removeAttribute('integrity'); link.href = `${basePath}qore.css`; console.log(`replaceCoreLinks fallback to ${link.href}`); }; // disables handler, drops hashed integrity, then swaps to qore.css on load failure
+ document.head.appendChild(link); // injects stylesheet into document
+ console.log(`replaceCoreLinks is returning ${link}`); // logs link element when hashed file loads
+ return link; // returns newly created link element for external use
+}
+
+/*
+ * THEME TOKEN NORMALIZATION
+ * Rationale: Keys may omit the leading "--" (e.g. {"color-dominant": "#222"}).
+ * Non-palette keys and non-string values throw so a mistyped token is
+ * reported instead of being written as a useless property.
+ */
+function normalizeTokens(tokens){
+ if(!tokens || typeof tokens !== 'object' || Array.isArray(tokens)){ throw new Error('theme must be a theme name or token object'); } // rejects unsupported argument types
+ const result = {}; // normalized --property map
+ Object.keys(tokens).forEach(key => {
+  const prop = key.startsWith('--') ? key : `--${key}`; // accepts bare token names
+  if(!THEME_PROPERTY.test(prop)){ throw new Error(`unsupported theme token: ${key}`); } // only palette properties are themeable
+  if(typeof tokens[key] !== 'string' || tokens[key].trim() === ''){ throw new Error(`invalid value for theme token: ${key}`); } // empty values would unset the color
+  result[prop] = tokens[key].trim(); // stores trimmed css value
+ });
+ return result; // returns validated tokens
+}
+
+/*
+ * THEME PERSISTENCE
+ * Rationale: localStorage throws in private modes and sandboxed frames, so
+ * storage failures are logged and never stop a theme from being applied.
+ */
+function themeStorage(){
+ try {
+  return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null; // accessing the property itself can throw
+ } catch { return null; } // storage blocked by browser policy
+}
+
+function writeStoredTheme(choice){
+ const storage = themeStorage(); // available storage or null
+ if(!storage){ return; } // nothing to persist into
+ try {
+  storage.setItem(THEME_STORAGE_KEY, JSON.stringify(choice)); // stores {name} or {tokens}
+ } catch(err){
+  console.error('writeStoredTheme failed:', err.message); // quota or policy errors are not fatal
+ }
+}
+
+function restoreTheme(){
+ console.log(`restoreTheme is running with ${THEME_STORAGE_KEY}`); // entry log for debugging
+ const storage = themeStorage(); // available storage or null
+ const raw = storage ? storage.getItem(THEME_STORAGE_KEY) : null; // persisted choice
+ if(!raw){ console.log(`restoreTheme is returning null`); return null; } // first visit or storage unavailable
+ try {
+  const choice = JSON.parse(raw); // {name} or {tokens}
+  const result = qorecss.setTheme(choice.name ?? choice.tokens, {persist:false}); // reapplies without rewriting storage
+  console.log(`restoreTheme is returning ${result.name || 'custom'}`); // logs restored theme
+  return result; // returns applied theme
+ } catch(err){
+  console.error('restoreTheme failed:', err.message); // stale or corrupted value
+  storage.removeItem(THEME_STORAGE_KEY); // drops unusable value so later loads stay quiet
+  return null; // nothing restored
+ }
+}
+
+/*
+ * BUILT JSON READER
+ * Rationale: tokens.json and classes.json are build artifacts beside this
+ * file. Parsed contents are cached by modification time so repeated lookups
+ * (hasClass in a loop) do not re-read the file but a rebuild is noticed.
+ * require.resolve caches paths, so existence is rechecked before reading.
+ */
+function readBuiltJson(name, browserMessage){
+ if(!fs || !fs.readFileSync){ throw new Error(browserMessage); } // browsers have no file access
+ let file; // absolute artifact path
+ try { file = safeResolve(`./${name}`); } catch { file = null; } // unbuilt checkout
+ if(!file || !fs.existsSync(file)){ throw new Error(`${name} not found; run npm run build to generate it`); } // points at the build
+ const mtime = fs.statSync(file).mtimeMs; // detects rebuilt artifacts
+ if(!builtJson[file] || builtJson[file].mtime !== mtime){ builtJson[file] = {mtime, data:JSON.parse(fs.readFileSync(file, 'utf8'))}; } // parses on first use or change
+ return builtJson[file].data; // returns parsed artifact
+}
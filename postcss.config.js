@@ -20,7 +20,17 @@
  * file size and processing speed.
  */
 
-module.exports = {
+module.exports = (ctx) => ({
+  /*
+   * SOURCE MAP CONFIGURATION
+   *
+   * RATIONALE: postcss-cli only honours --map when the config is a function
+   * that forwards ctx.options.map. External maps requested by the build's
+   * source map mode pass through; the CLI's default inline map is disabled so
+   * regular builds produce the same minified output as before.
+   */
+  map: ctx.options && ctx.options.map && ctx.options.map.inline === false ? ctx.options.map : false,
+
   /*
    * PLUGIN PIPELINE CONFIGURATION
    * 
@@ -74,4 +84,4 @@ module.exports = {
       preset: 'default', // Safe optimization preset that maintains CSS behavior
     }),
   ],
-};
+});
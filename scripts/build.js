@@ -9,7 +9,8 @@
  * 1. CSS PROCESSING: Uses PostCSS with autoprefixer to ensure cross-browser compatibility
  * 2. FILE HASHING: Creates content-based hashes to enable aggressive CDN caching
  * 3. COMPRESSION: Generates gzip and brotli compressed versions for faster delivery
- * 4. CLEANUP: Removes old versions to prevent accumulation of obsolete files
+ * 4. CLEANUP: Keeps the last few builds for rolling deploys and removes older versions
+ * 5. SOURCE MAPS: Optional external maps (--map or SOURCE_MAP=true) renamed with the hash
  * 
  * DESIGN DECISIONS:
  * - Content-based hashing ensures cache invalidation only when CSS actually changes
@@ -31,176 +32,631 @@ const {pipeline} = require('stream/promises'); // Promise based pipeline for str
 const path = require('path'); // path module for cross-platform binary resolution
 const execFileAsync = promisify(execFile); // Promise-wrapped execFile for consistent async patterns
 const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
-const {parseEnvBool} = require('./utils/env-config'); // standardized boolean env parsing for CODEX detection
+const {performance} = require('perf_hooks'); // High-resolution timing for per-rebuild reporting in watch mode
+const {parseEnvBool, parseEnvInt, parseEnvString} = require('./utils/env-config'); // standardized env parsing for CODEX detection, watch debounce and purge settings
+const updateHtml = require('./updateHtml'); // refreshes index.html after each watch rebuild
+const duplicates = require('./duplicates'); // duplicate and conflicting rule report for --duplicates
+const {readManifest, writeManifest} = require('./utils/manifest'); // manifest helpers so downstream scripts avoid re-deriving filenames
+const {loadBudgets, measureBundles, compareSizes, formatSizeTable} = require('./utils/budgets'); // size diff and budget checks
+const {updateEntry} = require('./utils/entry'); // rewrites the index.js cssFile and cssIntegrity placeholders
+const {retentionPolicy, readHistory, writeHistory, recordBuild, applyRetention, removeArtifacts} = require('./utils/history'); // keeps recent builds and retires older ones
+const {getHashFormat, validateHashFormat} = require('./utils/hash-format'); // single source for hash algorithm and length
+const {BUNDLES, splitCss} = require('./utils/bundles'); // extra bundle definitions and layer splitter
+const {purgeUnused, parseSafelist} = require('./utils/unused-classes'); // strips classes the project never references
+const {buildTokenModel} = require('./utils/tokens'); // canonical design token model from variables.css
+const {spacingScale, applySpacing} = require('./utils/spacing'); // spacing utilities generated from --space-* tokens
+const {breakpointMap, applyResponsive} = require('./utils/responsive'); // md:/sm: variants generated from --breakpoint-* tokens
+const {auditCustomProperties, formatCustomPropertyReport} = require('./utils/custom-properties'); // var() usages checked against declarations
+const {formatTokens} = require('./utils/token-formats'); // json, js, scss and dtcg token renderers
+const {buildClassCatalog} = require('./utils/class-catalog'); // classes.json describing every class
+
+const PURGE_REPORT = 'purge-report.json'; // report of removed classes written beside build artifacts
+const CLASS_CATALOG = 'classes.json'; // class catalogue served by qorecss.getClasses()
+
+/*
+ * FILE DIGEST HELPER
+ * Rationale: Streams the file through the hash so large artifacts never need
+ * to be loaded into memory. Returns the full digest (hex by default); callers
+ * truncate when they need a short filename hash or request base64 for SRI.
+ */
+function digestFile(file, algorithm = 'sha1', encoding = 'hex'){
+ return new Promise((resolve,reject)=>{ // wraps stream events in a promise for async/await callers
+  const hasher = crypto.createHash(algorithm); // Initializes hash object
+  const stream = fs.createReadStream(file); // Reads file as stream
+  stream.on('error', reject); // Propagates read errors
+  stream.on('data', chunk => hasher.update(chunk)); // Updates hash with chunk
+  stream.on('end', () => resolve(hasher.digest(encoding))); // Resolves with full digest in requested encoding
+ });
+}
+
+/*
+ * IDENTITY SOURCE MAP HELPER
+ * Rationale: When PostCSS is skipped (CODEX mode or missing binary) the output
+ * is a verbatim copy, so each generated line maps to the same source line.
+ * "AAAA" maps line one to source line one; each "AACA" advances one source line.
+ */
+function identityMap(css, file, source){
+ const lines = css.split('\n').length; // number of generated lines to map
+ const mappings = ['AAAA'].concat(Array(Math.max(lines - 1, 0)).fill('AACA')).join(';'); // one segment per line at column zero
+ return {version:3, file, sources:[source], sourcesContent:[css], names:[], mappings}; // standard v3 map embedding original source
+}
+
+const MAP_COMMENT = /\n?\/\*# sourceMappingURL=[^*]*\*\/\s*$/; // trailing annotation written by postcss --map
+
+/*
+ * BUILD OPTIONS
+ * Rationale: Defaults reproduce the original CLI layout (qore.css in, core.*
+ * files, build.hash and index.js in the working directory) so programmatic
+ * callers only pass what differs, e.g. a monorepo writing to dist/.
+ * hashAlgorithm and hashLength default to the configured hash format
+ * (HASH_ALGORITHM / HASH_LENGTH, see utils/hash-format.js).
+ */
+const BUILD_DEFAULTS = {
+ input: 'qore.css', // source stylesheet relative to cwd
+ outDir: '.', // directory receiving hashed css, compressed files, build.hash and manifest
+ name: 'core', // output basename producing name.hash.min.css
+ compress: true, // writes .gz and .br siblings when true
+ updateEntry: 'index.js', // entry file whose cssFile placeholder is rewritten; false skips
+ bundles: Object.keys(BUNDLES), // extra bundles from utils/bundles.js; [] builds only the primary stylesheet
+ purge: undefined, // {content, safelist} strips unused classes; defaults from --purge / PURGE env
+ tokens: 'variables.css', // token stylesheet exported as tokens.json/.mjs/.cjs, _tokens.scss and tokens.dtcg.json; false skips
+ spacing: undefined, // stylesheet whose --space-* scale regenerates the marked spacing region of input; defaults to variables.css only for the default input, false skips
+ responsive: undefined, // stylesheet whose --breakpoint-* map regenerates the marked responsive variants region of input; defaults like spacing, false skips
+ classes: true, // writes classes.json describing every class in input; false skips
+ customProperties: undefined, // 'fail' or 'warn' on undefined var() references, false skips; defaults from CUSTOM_PROPERTIES
+ duplicates: undefined, // writes duplicates-report.json for the input when true; defaults from --duplicates / DUPLICATES env
+ budgets: undefined, // size budgets object, JSON file path or false; defaults to size-budgets.json, then package.json sizeBudgets
+ keep: undefined, // previous builds kept including this one; defaults from BUILD_KEEP (3)
+ keepDays: undefined // builds newer than this many days are also kept, 0 disables; defaults from BUILD_KEEP_DAYS (0)
+};
+
+function resolveOptions(options = {}){
+ const opts = {...BUILD_DEFAULTS, ...options}; // shallow merge keeps unspecified defaults
+ if(opts.sourceMap === undefined){ opts.sourceMap = process.argv.includes('--map') || parseEnvBool('SOURCE_MAP'); } // opt-in source maps via CLI flag or env
+ if(opts.hashAlgorithm === undefined || opts.hashLength === undefined){ // env format only consulted when an option is missing
+  const format = getHashFormat(); // configured algorithm and length
+  opts.hashAlgorithm = opts.hashAlgorithm ?? format.algorithm; // configured digest algorithm
+  opts.hashLength = opts.hashLength ?? format.length; // configured filename hash length
+ }
+ validateHashFormat({algorithm:opts.hashAlgorithm, length:opts.hashLength}); // fails before any files are touched
+ if(!/^[\w-]+$/.test(opts.name)){ throw new Error(`invalid name: ${opts.name}`); } // name is embedded in filenames and cleanup regexes
+ const unknown = opts.bundles.filter(b => !BUNDLES[b]); // typos would otherwise be silently skipped
+ if(unknown.length){ throw new Error(`unknown bundle: ${unknown.join(', ')}`); } // lists every unknown name at once
+ if(opts.bundles.includes(opts.name)){ throw new Error(`bundle name clashes with primary name: ${opts.name}`); } // both would write the same files
+ if(opts.tokens !== false && typeof opts.tokens !== 'string'){ throw new Error(`invalid tokens: ${opts.tokens}`); } // path or false only
+ const ownSource = path.resolve(opts.input) === path.resolve(BUILD_DEFAULTS.input); // qore.css itself; other inputs are only rewritten when asked
+ if(opts.spacing === undefined){ opts.spacing = ownSource ? 'variables.css' : false; } // regenerating edits the source file in place
+ if(opts.responsive === undefined){ opts.responsive = ownSource ? 'variables.css' : false; } // same rule as spacing
+ if(opts.spacing !== false && typeof opts.spacing !== 'string'){ throw new Error(`invalid spacing: ${opts.spacing}`); } // path or false only
+ if(opts.responsive !== false && typeof opts.responsive !== 'string'){ throw new Error(`invalid responsive: ${opts.responsive}`); } // path or false only
+ if(opts.customProperties === undefined){ opts.customProperties = parseEnvString('CUSTOM_PROPERTIES', 'fail').toLowerCase(); } // failing by default keeps silent fallbacks out of releases
+ if(opts.customProperties === 'off'){ opts.customProperties = false; } // env spelling of false
+ if(opts.customProperties !== false && !['fail', 'warn'].includes(opts.customProperties)){ throw new Error(`invalid customProperties: ${opts.customProperties}`); } // fail, warn or false only
+ if(opts.duplicates === undefined){ opts.duplicates = process.argv.includes('--duplicates') || parseEnvBool('DUPLICATES'); } // opt-in rule analysis via CLI flag or env
+ opts.budgets = loadBudgets(opts.budgets); // malformed budgets fail before any files are touched
+ Object.assign(opts, retentionPolicy({keep:opts.keep, keepDays:opts.keepDays})); // retention validated before anything is deleted
+ if(opts.purge === undefined){ opts.purge = process.argv.includes('--purge') || parseEnvBool('PURGE'); } // opt-in purge via CLI flag or env
+ if(opts.purge){ // fills content globs and safelist from env when not given explicitly
+  const given = typeof opts.purge === 'object' ? opts.purge : {}; // true means env/default settings
+  opts.purge = {
+   content: given.content || parseEnvString('PURGE_CONTENT', '**/*.html').split(',').map(s => s.trim()).filter(Boolean), // globs scanned for class names
+   safelist: given.safelist ? given.safelist.map(entry => typeof entry === 'string' ? parseSafelist(entry)[0] : entry) : parseSafelist(parseEnvString('PURGE_SAFELIST', '')) // names, RegExps or "/regex/" strings
+  };
+ }
+ return opts; // validated options
+}
+
+/*
+ * SOURCE PROCESSING
+ * Rationale: PostCSS with autoprefixer ensures CSS works across all supported browsers.
+ * The input is processed and output as name.min.css with optimizations applied.
+ * Using execFile instead of exec prevents shell injection attacks.
+ * Build verifies the PostCSS binary exists and falls back to a direct copy
+ * when missing. This ensures successful builds even in minimal environments.
+ * Returns true when the output is a verbatim copy of the input.
+ */
+async function processSource(input, output, sourceMap){
+ if(parseEnvBool('CODEX')){ // checks offline mode using shared parser for consistency
+  await fsp.copyFile(input, output); // Skips postcss when offline
+  return true; // offline output mirrors source line for line
+ }
+ const binName = process.platform === 'win32' ? 'postcss.cmd' : 'postcss'; // windows needs .cmd for npm binaries
+ const binPath = path.join('node_modules','.bin',binName); // resolves correct postcss binary path cross-platform
+ if(fs.existsSync(binPath)){ // verifies binary existence to avoid runtime failure
+  const args = [input,'-o',output]; // base postcss arguments
+  if(sourceMap){ args.push('--map'); } // external map written beside the output
+  await execFileAsync(binPath, args); // Executes local postcss when binary found
+  return false; // output was transformed by postcss
+ }
+ console.warn(`postcss binary missing, copying ${input}`); // warns about fallback behavior when dependency absent
+ await fsp.copyFile(input, output); // Fallback mimics CODEX mode for reliability
+ return true; // fallback output mirrors source line for line
+}
+
+/*
+ * BUNDLE FINALIZATION
+ * Rationale: Every bundle goes through the same hash, rename and
+ * compression steps so tokens/base/utilities get the same caching and
+ * delivery guarantees as the primary stylesheet.
+ */
+async function finalizeBundle(name, map, opts, outDir){
+ const out = f => path.join(outDir, f); // resolves artifact names inside outDir
+ const entryName = `${name}.min.css`; // logical manifest name and unhashed output
+ const tmpFile = out(entryName); // processed output awaiting hash rename
+
+ /*
+  * CONTENT HASH GENERATION
+  * Rationale: Content-based hashing enables aggressive CDN caching because:
+  * - Files with identical content get identical hashes (cache hits)
+  * - Any content change produces a different hash (automatic cache invalidation)
+  * - 8-character truncation provides sufficient uniqueness for this use case
+  * SHA1 chosen over MD5 for better collision resistance, over SHA256 for shorter hashes
+  * Both defaults can be changed with HASH_ALGORITHM / HASH_LENGTH.
+  */
+ const digest = await digestFile(tmpFile, opts.hashAlgorithm); // Streams file to compute digest without loading to memory
+ const hash = digest.slice(0, opts.hashLength); // Truncates digest for readable filenames
+
+ /*
+  * FILE RENAMING WITH HASH
+  * Rationale: Creates the cache-busting filename that CDNs and browsers will use.
+  * Older hashed files are left in place; build retention decides which of
+  * them to remove once the manifest is written.
+  * Error handling prevents failures if source file doesn't exist.
+  */
+ const targetFile = `${name}.${hash}.min.css`; // Builds hashed filename for renaming
+ const targetPath = out(targetFile); // hashed stylesheet location inside outDir
+ if(fs.existsSync(targetPath)){ // checks for existing hashed file before rename to avoid EEXIST on windows
+   console.log(`build found existing ${targetFile} removing before rename`); // logs rationale for removal prior to rename
+   await fsp.unlink(targetPath); // deletes existing hashed file so rename succeeds cross-platform
+ }
+ try {
+   await fsp.access(tmpFile); // Verifies source file exists before rename
+   await fsp.rename(tmpFile, targetPath); // Renames processed css with hash
+ } catch(renameErr) {
+   if(renameErr.code === 'ENOENT') {
+     qerrors(renameErr, `${entryName} missing during rename`, {targetFile}); // logs missing file error
+     throw new Error(`Build failed: ${entryName} not found for renaming to ${targetFile}`); // provides clear error message
+   }
+   throw renameErr; // re-throws other rename errors
+ }
+
+ /*
+  * HASHED SOURCE MAP OUTPUT
+  * Rationale: Map file and annotation must follow the hash rename or devtools
+  * would request a map that no longer exists.
+  */
+ const mapFile = `${targetFile}.map`; // hashed map filename kept beside stylesheet
+ if(map){
+  map.file = targetFile; // map must name the hashed stylesheet it describes
+  await fsp.writeFile(out(mapFile), JSON.stringify(map)); // persists map beside hashed css
+  await fsp.appendFile(targetPath, `\n/*# sourceMappingURL=${mapFile} */`); // annotation lets devtools locate the map
+ } else if(fs.existsSync(out(mapFile))){ // map left by an earlier source map build of identical css
+  await fsp.unlink(out(mapFile)); // removes map the current stylesheet no longer references
+ }
+
+ /*
+  * COMPRESSION GENERATION
+  * Rationale: Pre-generating compressed files reduces server CPU load and improves
+  * response times. Gzip is universally supported, Brotli provides better compression
+  * for modern browsers. Async compression prevents blocking the event loop.
+  * Individual error handling prevents one compression failure from breaking the entire build.
+  * compress:false skips this step for callers that compress elsewhere.
+  */
+ const compressionResults = opts.compress ? await Promise.allSettled([ // Uses allSettled to handle individual compression failures gracefully
+  pipeline(fs.createReadStream(targetPath), createGzip(), fs.createWriteStream(`${targetPath}.gz`)), // Gzip output
+  pipeline(fs.createReadStream(targetPath), createBrotliCompress(), fs.createWriteStream(`${targetPath}.br`)) // Brotli output
+ ]) : []; // no compressed artifacts when disabled
+ 
+ // Log compression failures without breaking the build
+ const artifacts = {[entryName]: targetFile}; // logical names mapped to produced files for the manifest
+ if(map){ artifacts[`${entryName}.map`] = mapFile; } // source map recorded only when generated
+ compressionResults.forEach((result, index) => {
+  const format = index === 0 ? 'gzip' : 'brotli'; // maps index to compression format
+  const ext = index === 0 ? 'gz' : 'br'; // maps index to compressed file extension
+  if(result.status === 'rejected') {
+   qerrors(result.reason, `${format} compression failed`, {targetFile}); // logs compression failure with context
+  } else {
+   artifacts[`${entryName}.${ext}`] = `${targetFile}.${ext}`; // records only compressed files that were written
+  }
+ });
+
+ /*
+  * SUBRESOURCE INTEGRITY
+  * Rationale: sha384 is the SRI algorithm recommended by browsers and lets
+  * pages loading the CDN copy verify it was not tampered with. Computed from
+  * the uncompressed file because browsers check the decoded response body.
+  */
+ const integrity = `sha384-${await digestFile(targetPath, 'sha384', 'base64')}`; // SRI string for link tags and injectCss
+
+ /*
+  * MANIFEST ENTRIES
+  * Rationale: Describes every artifact with size and full digest so tools
+  * like updateHtml and purge-cdn read exact filenames instead of rebuilding
+  * them from build.hash.
+  */
+ const entries = {}; // manifest entries keyed by logical name
+ for(const [logical, file] of Object.entries(artifacts)){ // sequential stats keep ordering deterministic
+  const {size} = await fsp.stat(out(file)); // byte size for bundle tracking
+  entries[logical] = {file, size, digest: await digestFile(out(file), opts.hashAlgorithm)}; // full digest allows integrity checks downstream
+ }
+ entries[entryName].integrity = integrity; // only stylesheets are referenced from HTML so only they need SRI
+ console.log(`build has run resulting in ${targetFile}`); // Logs successful completion with resulting filename
+ return {hash, digest, file:targetFile, integrity, entries}; // per-bundle result merged into the manifest
+}
 
 /*
  * MAIN BUILD FUNCTION
  * 
  * PROCESS FLOW:
- * 1. Run PostCSS to process CSS (autoprefixer, minification, etc.)
- * 2. Generate content hash from processed CSS
- * 3. Clean up old versions to prevent file accumulation
- * 4. Rename output file with hash for cache busting
- * 5. Generate compressed variants (gzip, brotli) for optimized delivery
- * 6. Persist hash for other scripts to reference
+ * 1. Regenerate the spacing utilities and responsive variant regions of the input
+ *    from the --space-* and --breakpoint-* tokens, check every var() reference
+ *    against the declared custom properties, optionally report duplicate and
+ *    conflicting rules, then run PostCSS to process the primary stylesheet and source bundles (tokens)
+ * 2. Optionally purge unused classes, then split derived bundles (base, utilities) from the primary css
+ * 3. Hash, rename and compress every bundle (source map for the primary only)
+ * 4. Export design tokens from variables.css as JSON, JS, SCSS and DTCG files
+ *    and the class catalogue (classes.json) from the primary stylesheet
+ * 5. Persist the primary hash and qore-manifest.json for other scripts to reference,
+ *    record the build in build-history.json and remove builds outside the retention policy
+ * 6. Rewrite the index.js cssFile placeholder
+ * 7. Compare raw, gzip and brotli sizes with the previous manifest and the size budgets
+ * 
+ * OPTIONS:
+ * {input, outDir, name, hashLength, hashAlgorithm, compress, updateEntry,
+ * sourceMap, bundles, purge, tokens, classes, spacing, responsive,
+ * customProperties, duplicates, budgets, keep, keepDays}; see BUILD_DEFAULTS.
+ * Resolves to the primary bundle's {hash, digest, algorithm, file, integrity}
+ * plus {outDir, manifest, files, bundles, purge, tokens, classes,
+ * customProperties, duplicates, sizes, retained, retired, spacingUpdated,
+ * responsiveUpdated, entryUpdated};
+ * bundles maps extra bundle names to {hash, file, integrity}, purge is the
+ * removed-class report or null, tokens lists the exported token files,
+ * classes is the catalogue filename or null, customProperties/duplicates are
+ * the analysis reports or null, sizes is the {rows, exceeded, unknown, enforced}
+ * size comparison and retained/retired list build hashes kept on disk and
+ * retired by this build.
  * 
  * ERROR HANDLING:
  * All operations are wrapped in try/catch with detailed error context.
  * This ensures failures are properly logged and the build process can be debugged.
+ * A size budget overrun rejects after every file is written, so CI fails
+ * while the artifacts stay inspectable; the error carries the result.
+ * Undefined custom properties stop the build before the stylesheet is processed
+ * unless customProperties is 'warn'. Extra bundles, token exports, the class
+ * catalogue, spacing utilities and responsive variants that cannot be
+ * produced are logged and skipped so the primary stylesheet is always published.
  */
-async function build(){
- console.log(`build is running with ${process.argv.length}`); // Logs function entry with argument count for debugging
+async function build(options = {}){
+ console.log(`build is running with ${JSON.stringify(options)}`); // Logs function entry with options for debugging
  try {
+  const opts = resolveOptions(options); // merges defaults and validates before touching files
+  const outDir = path.resolve(opts.outDir); // absolute output directory so later joins are unambiguous
+  const out = f => path.join(outDir, f); // resolves artifact names inside outDir
+  const entryName = `${opts.name}.min.css`; // logical manifest name and unhashed postcss output
   try { // ensures source CSS exists before any build steps run
-   await fsp.access('qore.css'); // verifies qore.css presence to avoid later failures
+   await fsp.access(opts.input); // verifies input presence to avoid later failures
   } catch(err){
-   qerrors(err, 'qore.css missing', {cwd:process.cwd()}); // logs missing file with working directory for context
-   const accessErr = new Error('Build aborted: qore.css not found'); // creates explicit error message while preserving code
+   qerrors(err, `${opts.input} missing`, {cwd:process.cwd()}); // logs missing file with working directory for context
+   const accessErr = new Error(`Build aborted: ${opts.input} not found`); // creates explicit error message while preserving code
    accessErr.code = err.code; // maintain ENOENT code for test assertions
    throw accessErr; // stops build early when source file absent
   }
+  await fsp.mkdir(outDir, {recursive:true}); // creates output directory for monorepo layouts
+  const previous = await readManifest(outDir).catch(() => null); // last build's manifest before it is replaced
+  const previousSizes = previous ? measureBundles(previous.files) : {}; // last build's sizes for the diff table
+
   /*
-   * POSTCSS EXECUTION
-   * Rationale: PostCSS with autoprefixer ensures CSS works across all supported browsers.
-   * The qore.css input is processed and output as core.min.css with optimizations applied.
-   * Using execFile instead of exec prevents shell injection attacks.
-   * Build verifies the PostCSS binary exists and falls back to a direct copy
-   * when missing. This ensures successful builds even in minimal environments.
+   * GENERATED UTILITIES
+   * Rationale: The margin/padding/gap classes between the spacing markers are
+   * derived from the --space-* tokens and the md:/sm: variants between the
+   * responsive markers from the --breakpoint-* tokens. Spacing runs first so
+   * its classes receive variants. The input is rewritten only when a region
+   * changed so watch mode settles after one extra rebuild. A custom input is
+   * left alone unless spacing/responsive name a token file explicitly.
    */
-  if(parseEnvBool('CODEX')){ // checks offline mode using shared parser for consistency
-   await fsp.copyFile('qore.css','core.min.css'); // Skips postcss when offline
-  } else {
-   const binName = process.platform === 'win32' ? 'postcss.cmd' : 'postcss'; // windows needs .cmd for npm binaries
-   const binPath = path.join('node_modules','.bin',binName); // resolves correct postcss binary path cross-platform
-   if(fs.existsSync(binPath)){ // verifies binary existence to avoid runtime failure
-    await execFileAsync(binPath, ['qore.css','-o','core.min.css']); // Executes local postcss when binary found
-   } else {
-    console.warn('postcss binary missing, copying qore.css'); // warns about fallback behavior when dependency absent
-    await fsp.copyFile('qore.css','core.min.css'); // Fallback mimics CODEX mode for reliability
+  const regenerate = async (tokenFile, label, read, apply) => { // rewrites one region, returns whether the input changed
+   if(!tokenFile || !fs.existsSync(tokenFile)){ return false; } // optional like the token export
+   try {
+    const source = await fsp.readFile(opts.input, 'utf8'); // current primary stylesheet
+    const values = read(await fsp.readFile(tokenFile, 'utf8')); // scale steps or breakpoints
+    const regenerated = values.length ? apply(source, values) : null; // null when markers or tokens are absent
+    if(regenerated === null || regenerated === source){ return false; } // nothing to write
+    await fsp.writeFile(opts.input, regenerated, 'utf8'); // persists new region before processing
+    return true; // input rewritten
+   } catch(err){
+    qerrors(err, `${label} generation failed`, {input:opts.input, tokens:tokenFile}); // logs and builds the existing region
+    return false; // existing region kept
    }
-  }
-  
+  };
+  const spacingUpdated = await regenerate(opts.spacing, 'spacing', spacingScale, applySpacing); // reports whether the spacing region was rewritten
+  const responsiveUpdated = await regenerate(opts.responsive, 'responsive variant', breakpointMap, applyResponsive); // reports whether the responsive region was rewritten
+
   /*
-   * CONTENT HASH GENERATION
-   * Rationale: Content-based hashing enables aggressive CDN caching because:
-   * - Files with identical content get identical hashes (cache hits)
-   * - Any content change produces a different hash (automatic cache invalidation)
-   * - 8-character truncation provides sufficient uniqueness for this use case
-   * SHA1 chosen over MD5 for better collision resistance, over SHA256 for shorter hashes
+   * CUSTOM PROPERTY AUDIT
+   * Rationale: Runs after the generated regions so their var() references are
+   * checked too. qore.css alone references tokens it does not declare, so
+   * the audit needs the token stylesheet and is skipped without it.
    */
-  const hash = await new Promise((resolve,reject)=>{ // Streams file to compute sha1 without loading to memory
-   const sha1 = crypto.createHash('sha1'); // Initializes hash object
-   const stream = fs.createReadStream('core.min.css'); // Reads CSS as stream
-   stream.on('error', reject); // Propagates read errors
-   stream.on('data', chunk => sha1.update(chunk)); // Updates hash with chunk
-   stream.on('end', () => resolve(sha1.digest('hex').slice(0,8))); // Resolves with truncated hash
-  });
+  let customProperties = null; // audit report when the check ran
+  const variablesFile = opts.tokens || BUILD_DEFAULTS.tokens; // stylesheet declaring the design tokens
+  if(opts.customProperties && !fs.existsSync(variablesFile)){ console.warn(`build skipping custom property check: ${variablesFile} not found`); } // optional like the token export
+  else if(opts.customProperties){
+   const files = [opts.input, variablesFile]; // usages and declarations across both stylesheets
+   customProperties = auditCustomProperties(await Promise.all(files.map(async file => ({file, css:await fsp.readFile(file, 'utf8')})))); // undefined and unused report
+   if(customProperties.unused.length || (customProperties.undefined.length && opts.customProperties === 'warn')){ console.warn(formatCustomPropertyReport(customProperties)); } // unused tokens never fail
+   if(customProperties.undefined.length && opts.customProperties === 'fail'){ // silent fallbacks would ship
+    throw new Error(`undefined custom properties (set CUSTOM_PROPERTIES=warn to continue):\n${formatCustomPropertyReport({undefined:customProperties.undefined, unused:[]})}`); // lists every location at once
+   }
+  }
 
   /*
-   * FILE RENAMING WITH HASH
-   * Rationale: Creates the cache-busting filename that CDNs and browsers will use.
-   * This must happen before cleanup to prevent race conditions where cleanup
-   * might accidentally delete the file we're trying to create.
-   * Error handling prevents failures if source file doesn't exist.
+   * DUPLICATE RULE REPORT
+   * Rationale: Informational like the purge report; CI gates on the JSON
+   * file or on scripts/duplicates.js exiting non-zero, so the build itself
+   * still publishes.
    */
-  const targetFile = `core.${hash}.min.css`; // Builds hashed filename for renaming
-  if(fs.existsSync(targetFile)){ // checks for existing hashed file before rename to avoid EEXIST on windows
-    console.log(`build found existing ${targetFile} removing before rename`); // logs rationale for removal prior to rename
-    await fsp.unlink(targetFile); // deletes existing hashed file so rename succeeds cross-platform
+  let duplicateReport = null; // rule analysis when requested
+  if(opts.duplicates){
+   duplicateReport = duplicates.analyzeRules(await fsp.readFile(opts.input, 'utf8'), path.basename(opts.input)); // findings for the processed source
+   console.warn(duplicates.formatReport(duplicateReport)); // readable findings in the build log
+   await fsp.writeFile(out(duplicates.REPORT_FILE), JSON.stringify(duplicateReport, null, 2)); // machine readable report beside the build artifacts
   }
-  try {
-    await fsp.access('core.min.css'); // Verifies source file exists before rename
-    await fsp.rename('core.min.css', targetFile); // Renames processed css with hash
-  } catch(renameErr) {
-    if(renameErr.code === 'ENOENT') {
-      qerrors(renameErr, 'core.min.css missing during rename', {targetFile}); // logs missing file error
-      throw new Error(`Build failed: core.min.css not found for renaming to ${targetFile}`); // provides clear error message
-    }
-    throw renameErr; // re-throws other rename errors
+  const tmpFile = out(entryName); // unhashed output renamed after hashing
+  const sourceMap = opts.sourceMap; // resolved from option, --map flag or SOURCE_MAP
+  const copied = await processSource(opts.input, tmpFile, sourceMap); // tracks verbatim copy so an identity map can be produced
+
+  /*
+   * SOURCE MAP PREPARATION
+   * Rationale: The sourceMappingURL annotation is stripped before hashing so a
+   * build produces the same hash with or without maps; the annotation is
+   * re-added after the rename pointing at the hashed map name.
+   */
+  let map = null; // parsed source map when source map mode is enabled
+  if(sourceMap){
+   if(copied){ // verbatim copies need a generated identity map
+    map = identityMap(await fsp.readFile(tmpFile,'utf8'), entryName, path.basename(opts.input)); // maps each line to itself
+   } else {
+    map = JSON.parse(await fsp.readFile(`${tmpFile}.map`,'utf8')); // reads map emitted by postcss --map
+    await fsp.unlink(`${tmpFile}.map`); // unhashed map replaced by hashed copy below
+   }
+   const css = await fsp.readFile(tmpFile,'utf8'); // processed css possibly carrying annotation
+   await fsp.writeFile(tmpFile, css.replace(MAP_COMMENT, '')); // removes annotation so hash ignores map mode
   }
 
   /*
-   * OLD FILE CLEANUP
-   * Rationale: Prevents accumulation of old CSS versions that would consume disk space.
-   * Regex pattern matches exactly: core.[8-hex-chars].min.css
-   * Excludes the current hash to prevent deleting the file we just created.
-   * Promise.all enables parallel deletion for better performance.
-   * Cleanup happens after file creation to prevent race conditions.
+   * UNUSED CLASS PURGE
+   * Rationale: Runs on the processed primary css before hashing so the hash,
+   * derived bundles and source map all describe the purged stylesheet. The
+   * report lists removed classes so missing styles are easy to trace.
    */
-  const files = (await fsp.readdir('.')).filter(f => /^core\.[a-f0-9]{8}\.min\.css$/.test(f) && f !== targetFile); // Lists old hashed files
-  const oldResults = await Promise.allSettled(files.map(f => fsp.unlink(f))); // attempts removal without failing
-  oldResults.forEach(res => { if(res.status==='rejected' && res.reason.code!=='ENOENT'){ throw res.reason; } }); // rethrows unexpected errors while ignoring missing files
-  
+  let purge = null; // purge summary when enabled
+  if(opts.purge){
+   const purged = await purgeUnused(await fsp.readFile(tmpFile, 'utf8'), {...opts.purge, from:tmpFile, map}); // scans content and strips unused selectors
+   await fsp.writeFile(tmpFile, purged.css); // replaces processed css with purged css
+   if(map){ map = purged.map; } // chained map still points at source lines
+   purge = {content:opts.purge.content, safelist:opts.purge.safelist.map(String), files:purged.files, removed:purged.removed, removedRules:purged.removedRules}; // report data
+   await fsp.writeFile(out(PURGE_REPORT), `${JSON.stringify(purge, null, 2)}\n`, 'utf8'); // persists report for review
+   console.log(`build purged ${purge.removed.length} unused classes (${purge.removedRules} rules) after scanning ${purge.files.length} files`); // concise summary
+  }
+
   /*
-   * COMPRESSED FILE CLEANUP
-   * Rationale: Also removes old compressed variants (.gz, .br) to maintain consistency.
-   * These files can be large and accumulate quickly without cleanup.
+   * EXTRA BUNDLE PREPARATION
+   * Rationale: Source bundles (tokens) run through the same PostCSS step;
+   * layer bundles are split from the processed primary css so they share its
+   * prefixes and minification. Failures skip only the affected bundle.
    */
-  const compressedOld = (await fsp.readdir('.')).filter(f => /^core\.[a-f0-9]{8}\.min\.css\.(?:gz|br)$/.test(f) && !f.includes(hash)); // Finds old compressed files
-  const compResults = await Promise.allSettled(compressedOld.map(f => fsp.unlink(f))); // attempts deletion ignoring missing files
-  compResults.forEach(res => { if(res.status==='rejected' && res.reason.code!=='ENOENT'){ throw res.reason; } }); // surfaces non-ENOENT errors for logging
+  const extras = []; // extra bundle names with an unhashed output ready
+  for(const name of opts.bundles){ // sequential keeps postcss runs from competing for the CPU
+   const def = BUNDLES[name]; // bundle definition from utils/bundles.js
+   const output = out(`${name}.min.css`); // unhashed bundle output
+   try {
+    if(def.input){ // bundle built from its own source file
+     if(!fs.existsSync(def.input)){ console.warn(`build skipping ${name} bundle: ${def.input} not found`); continue; } // optional sources may be absent
+     await processSource(def.input, output, false); // maps are only produced for the primary stylesheet
+    } else {
+     await fsp.writeFile(output, splitCss(await fsp.readFile(tmpFile, 'utf8'), def.layer)); // derived from processed primary css
+    }
+    extras.push(name); // ready for finalization
+   } catch(err){
+    qerrors(err, `${name} bundle failed`, {outDir}); // logs and continues with the remaining bundles
+    await fsp.rm(output, {force:true}); // removes partial output so it is not mistaken for a build artifact
+   }
+  }
+
+  const primary = await finalizeBundle(opts.name, map, opts, outDir); // hashes, compresses and records primary stylesheet
+  const {hash, digest, integrity} = primary; // primary values drive build.hash and index.js
+  const targetFile = primary.file; // hashed primary filename
+  const files = {...primary.entries}; // manifest entries for every bundle
+  const bundles = {}; // per-bundle summary for programmatic callers
+  for(const name of extras){ // finalizes extra bundles after the primary so its entries come first
+   const result = await finalizeBundle(name, null, opts, outDir); // same pipeline without source maps
+   Object.assign(files, result.entries); // merges bundle artifacts into manifest
+   bundles[name] = {hash:result.hash, file:result.file, integrity:result.integrity}; // summary for result object
+  }
 
   /*
-   * COMPRESSION GENERATION
-   * Rationale: Pre-generating compressed files reduces server CPU load and improves
-   * response times. Gzip is universally supported, Brotli provides better compression
-   * for modern browsers. Async compression prevents blocking the event loop.
-   * Individual error handling prevents one compression failure from breaking the entire build.
+   * DESIGN TOKEN EXPORT
+   * Rationale: Non-CSS consumers read tokens from unhashed files beside the
+   * bundles; names stay stable because they are imported, not linked.
    */
-  const compressionResults = await Promise.allSettled([ // Uses allSettled to handle individual compression failures gracefully
-   pipeline(fs.createReadStream(targetFile), createGzip(), fs.createWriteStream(`${targetFile}.gz`)), // Gzip output
-   pipeline(fs.createReadStream(targetFile), createBrotliCompress(), fs.createWriteStream(`${targetFile}.br`)) // Brotli output
-  ]);
-  
-  // Log compression failures without breaking the build
-  compressionResults.forEach((result, index) => {
-   const format = index === 0 ? 'gzip' : 'brotli'; // maps index to compression format
-   if(result.status === 'rejected') {
-    qerrors(result.reason, `${format} compression failed`, {targetFile}); // logs compression failure with context
+  const tokens = []; // exported token filenames
+  if(opts.tokens){
+   if(!fs.existsSync(opts.tokens)){ console.warn(`build skipping token export: ${opts.tokens} not found`); } // optional source like the tokens bundle
+   else {
+    try {
+     const exported = formatTokens(buildTokenModel(await fsp.readFile(opts.tokens, 'utf8'), path.basename(opts.tokens))); // filename -> contents
+     for(const [name, content] of Object.entries(exported)){ await fsp.writeFile(out(name), content, 'utf8'); tokens.push(name); } // writes each format
+    } catch(err){
+     qerrors(err, 'token export failed', {outDir, tokens:opts.tokens}); // logs and keeps the stylesheet build
+    }
    }
-  });
+  }
 
-  console.log(`build has run resulting in core.${hash}.min.css`); // Logs successful completion with resulting filename
+  /*
+   * CLASS CATALOGUE
+   * Rationale: Built from the source stylesheet so declarations read as
+   * written rather than prefixed and minified; classes removed by purge are
+   * dropped so the catalogue matches what was published.
+   */
+  let classes = null; // catalogue filename when written
+  if(opts.classes){
+   try {
+    const catalog = buildClassCatalog(await fsp.readFile(opts.input, 'utf8'), path.basename(opts.input)); // every class in the source
+    if(purge){ purge.removed.forEach(name => { delete catalog.classes[name]; }); catalog.count = Object.keys(catalog.classes).length; } // published classes only
+    await fsp.writeFile(out(CLASS_CATALOG), `${JSON.stringify(catalog, null, 2)}\n`, 'utf8'); // pretty printed for diffs
+    classes = CLASS_CATALOG; // reported in the result
+   } catch(err){
+    qerrors(err, 'class catalogue failed', {outDir, input:opts.input}); // logs and keeps the stylesheet build
+   }
+  }
   
   /*
    * HASH PERSISTENCE
    * Rationale: Other scripts (deploy, updateHtml) need to know the current hash.
    * Storing in a separate file enables loose coupling between build steps.
+   * build.hash is kept for older tooling; new consumers use the manifest.
    */
-  await fsp.writeFile('build.hash', hash); // Persists hash for deployment scripts
-
-  if(fs.existsSync('index.js')){ // ensures index.js exists before attempting replacement
-    const js = await fsp.readFile('index.js','utf8'); // reads index.js for injection update
-    const pattern = /const cssFile = `(?:qore\.css|core\.[a-f0-9]{8}\.min\.css)`;/; // pattern matches existing placeholder to replace
-    const updated = js.replace(pattern, `const cssFile = \`core.${hash}.min.css\`;`); // inserts hashed file name if pattern found
-    if(updated === js){ // checks whether replacement changed content
-      if(!js.includes(`core.${hash}.min.css`)){ // fails only when pattern missing, allowing identical hash
-        const err = new Error('index.js cssFile pattern mismatch'); // error clarifies reason for developer
-        qerrors(err, 'build regex failed', {pattern:pattern.source}); // logs failure context for debugging
-        throw err; // stops build when index.js not updated and pattern absent
-      }
-    } else {
-      await fsp.writeFile('index.js', updated); // writes file when hash updated to new value
-    }
+  await fsp.writeFile(out('build.hash'), hash); // Persists hash for deployment scripts
+
+  /*
+   * MANIFEST GENERATION
+   * Rationale: One manifest lists every bundle so deploy and purge steps can
+   * iterate artifacts instead of knowing bundle names.
+   */
+  const manifestData = {hash, algorithm:opts.hashAlgorithm, hashLength:opts.hashLength, digest, entry:entryName, builtAt:new Date().toISOString(), source:path.basename(opts.input), files}; // manifest contents also recorded in the history
+  const manifest = await writeManifest(manifestData, outDir); // persists manifest beside build.hash
+
+  /*
+   * BUILD RETENTION
+   * Rationale: Pages rendered before this deploy still reference the
+   * previous hashes, so the last `keep` builds (and any newer than keepDays)
+   * stay on disk. A directory built before the history existed seeds it
+   * from the manifest being replaced. Retired versions are listed in
+   * build-history.json for purge-cdn.
+   */
+  let history = await readHistory(outDir); // retained and retired builds
+  if(previous && previous.hash !== hash && !history.builds.some(b => b.hash === previous.hash)){ history = recordBuild(history, previous); } // previous build predates the history
+  const retention = applyRetention(recordBuild(history, manifestData), opts); // current build first, older builds beyond the policy retired
+  const removed = await removeArtifacts(outDir, retention.history); // deletes retired and untracked hashed artifacts
+  await writeHistory(retention.history, outDir); // persists history beside the manifest
+  if(removed.length){ console.log(`build removed ${removed.length} files from ${retention.retired.length} retired builds`); } // concise cleanup summary
+
+  /*
+   * ENTRY PLACEHOLDER UPDATE
+   * Rationale: injectCss() reads the hashed filename and SRI string from
+   * placeholders in the entry file; see utils/entry.js.
+   */
+  const entryUpdated = opts.updateEntry && fs.existsSync(opts.updateEntry) ? await updateEntry(opts.updateEntry, targetFile, integrity) : false; // reports whether the entry file was rewritten
+
+  /*
+   * SIZE BUDGETS
+   * Rationale: Growth is shown on every build, budgets or not; an overrun
+   * fails last so build.hash, the manifest and index.js stay consistent
+   * with the artifacts already written. Budgets describe minified output,
+   * so a verbatim copy (CODEX or missing postcss) only warns.
+   */
+  const sizes = compareSizes(measureBundles(files), previousSizes, opts.budgets ? opts.budgets.budgets : {}); // diff rows and overruns
+  sizes.enforced = !copied; // unminified copies always exceed minified budgets
+  console.log(formatSizeTable(sizes)); // diff table in the build log
+  const result = {hash, digest, algorithm:opts.hashAlgorithm, file:targetFile, integrity, outDir, manifest, files, bundles, purge, tokens, classes, customProperties, duplicates:duplicateReport, sizes, retained:retention.history.builds.map(b => b.hash), retired:retention.retired.map(r => r.hash), spacingUpdated, responsiveUpdated, entryUpdated}; // structured result for programmatic callers
+  if(sizes.exceeded.length && !sizes.enforced){ console.warn(`size budgets not enforced: ${opts.input} was copied without minification`); } // offline builds keep working
+  if(sizes.exceeded.length && sizes.enforced){
+   const err = new Error(`size budget exceeded (${opts.budgets.source}): ${sizes.exceeded.map(r => `${r.bundle} ${r.metric} ${r.size} > ${r.budget} bytes`).join(', ')}`); // names every overrun
+   err.result = result; // callers can still read what was built
+   throw err; // non-zero exit from the cli
   }
   console.log(`build is returning ${hash}`); // Logs return value for debugging
-  return hash; // Returns hash for programmatic usage
+  return result; // Returns build result for programmatic usage
  } catch(err){
-  qerrors(err, 'build failed', {args:process.argv.slice(2)}); // uses project logger for structured error output
+  qerrors(err, 'build failed', {args:process.argv.slice(2), options}); // uses project logger for structured error output
   throw err; // Re-throws to allow caller to handle or terminate process
  }
 }
 
+/*
+ * WATCH MODE
+ *
+ * PROCESS FLOW:
+ * 1. Run an initial build and HTML update
+ * 2. Watch the working directory for changes to the source files
+ * 3. Debounce bursts of events (editors often write several times per save)
+ * 4. Rebuild and update HTML, reporting timing or the error
+ *
+ * DESIGN DECISIONS:
+ * - The directory is watched rather than each file so editors that save by
+ *   renaming a temp file over the original keep triggering rebuilds
+ * - Only one rebuild runs at a time; changes arriving mid-build queue a
+ *   single follow-up rebuild so the final output always reflects disk state
+ * - Errors are logged and reported but never exit the process
+ */
+const WATCH_FILES = ['qore.css', 'variables.css', 'postcss.config.js']; // inputs that affect build output
+
+function watch(opts = {}){
+ console.log(`watch is running with ${WATCH_FILES.join(',')}`); // entry log lists watched files
+ const delay = opts.delay ?? parseEnvInt('WATCH_DEBOUNCE', 100, 10, 10000); // debounce window in milliseconds
+ const onRebuild = typeof opts.onRebuild === 'function' ? opts.onRebuild : () => {}; // optional callback for tooling and tests
+ let timer = null; // pending debounce timer
+ let running = false; // true while a rebuild is in progress
+ let pending = false; // records changes that arrive during a rebuild
+ let closed = false; // set by close() so queued rebuilds are dropped
+ let current = Promise.resolve(); // in-flight rebuild awaited by close()
+
+ async function rebuild(trigger){
+  if(closed){ return; } // ignores timers and queued changes after close()
+  if(running){ pending = true; return; } // queues one follow-up instead of overlapping builds
+  running = true; // marks rebuild in progress
+  let done; // resolves current once this rebuild settles
+  current = new Promise(r => { done = r; }); // exposes rebuild to close()
+  const start = performance.now(); // high-resolution start time for reporting
+  const result = {trigger}; // rebuild report passed to callback
+  try {
+   const built = await build(); // regenerates hashed css, manifest and index.js
+   result.hash = built.hash; // content hash of the primary stylesheet
+   result.file = built.file; // primary filename as written, so the log never guesses the name
+   if(fs.existsSync('index.html')){ result.html = await updateHtml(); } // keeps index.html pointing at the new hash when present
+  } catch(err){
+   result.error = err; // surfaces failure to callback without exiting
+   qerrors(err, 'watch rebuild failed', {trigger}); // structured log with triggering file
+  }
+  result.ms = performance.now() - start; // elapsed rebuild time
+  if(result.error){ console.error(`watch rebuild failed after ${result.ms.toFixed(0)}ms: ${result.error.message}`); } // concise failure line for terminal
+  else { console.log(`watch rebuilt ${result.file} in ${result.ms.toFixed(0)}ms (${trigger})`); } // concise success line for terminal
+  running = false; // allows next rebuild
+  done(); // releases close() waiting on this rebuild
+  if(closed){ return; } // no reports after close()
+  onRebuild(result); // notifies caller of outcome
+  if(pending){ pending = false; rebuild('queued change'); } // picks up changes made during the build
+ }
+
+ const watcher = fs.watch('.', (event, file) => { // directory watch survives atomic saves
+  if(file && !WATCH_FILES.includes(file)){ return; } // ignores build outputs and unrelated files
+  clearTimeout(timer); // restarts debounce window on every event
+  timer = setTimeout(() => rebuild(file || 'change'), delay); // rebuilds once events settle
+ });
+ watcher.on('error', err => qerrors(err, 'watch failed', {cwd:process.cwd()})); // logs watcher errors without crashing
+
+ rebuild('initial'); // produces fresh output before waiting for changes
+ const handle = {close(){ closed = true; clearTimeout(timer); watcher.close(); return current; }}; // lets callers stop watching; resolves after any in-flight rebuild so cwd changes are safe
+ console.log(`watch is returning handle`); // exit log
+ return handle; // returns handle with close()
+}
+
 /*
  * DIRECT EXECUTION HANDLER
  * Rationale: Allows script to be called directly from command line while also
  * being importable as a module. Sets appropriate exit codes for CI/CD systems.
+ * --watch keeps the process running and rebuilds on source changes.
  */
 if(require.main === module){
- build().catch(err => { // Handles async failures when run directly
-  qerrors(err, 'build script failure', {args:process.argv.slice(2)}); // uses project logger for structured error output
-  process.exitCode = 1; // Sets non-zero exit code to signal failure to calling processes
- });
+ if(process.argv.includes('--watch')){
+  watch(); // long-running mode reports errors instead of setting exit codes
+ } else {
+  build().catch(err => { // Handles async failures when run directly
+   qerrors(err, 'build script failure', {args:process.argv.slice(2)}); // uses project logger for structured error output
+   process.exitCode = 1; // Sets non-zero exit code to signal failure to calling processes
+  });
+ }
 }
 
 module.exports = build; // Exports function for use by other scripts or modules
+module.exports.watch = watch; // exposes watch mode for dev tooling such as the dev server
@@ -0,0 +1,139 @@
+/*
+ * WCAG CONTRAST AUDIT - DESIGN TOKEN PAIRINGS
+ *
+ * PURPOSE AND RATIONALE:
+ * variables.css claims accessibility compliance but nothing checked it. This
+ * audit resolves the custom properties for each theme and measures the
+ * contrast of the foreground/background pairings qore.css actually uses,
+ * failing when any pair is below the WCAG AA (or AAA) threshold.
+ *
+ * DESIGN DECISIONS:
+ * - PAIRS documents each pairing with the qore.css selector that sets its
+ *   text color; test/contrast.test.js checks the selectors still use those
+ *   tokens so the list cannot silently drift from the stylesheet
+ * - Backgrounds are layer stacks (bottom first) so translucent surfaces such
+ *   as .card's --transparent-b are measured over the page behind them
+ * - The page background is a gradient, so both stops are checked and the
+ *   worse ratio is reported
+ * - Large text (>= 24px, or >= 18.66px bold) uses the lower WCAG thresholds
+ */
+
+const fs = require('fs').promises; // promise based reads and report writes
+const path = require('path'); // reports the absolute report path
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+const {parseEnvString} = require('./utils/env-config'); // validated level parsing
+const {THEMES, parseTokens, resolveTokens} = require('./utils/tokens'); // resolved design tokens
+const {parseColor, composite, contrastRatio} = require('./utils/color'); // WCAG math
+
+const THRESHOLDS = {AA:{normal:4.5, large:3}, AAA:{normal:7, large:4.5}}; // WCAG 2.x minimum ratios
+const REPORT_FILE = 'contrast-report.json'; // written with --json for CI artifacts
+const PAGE = [['--gs-darkest'], ['--bg-page-end']]; // html gradient stops from variables.css
+const CARD = PAGE.map(stack => [...stack, '--transparent-b']); // .card overlay on each page stop
+
+/*
+ * DOCUMENTED PAIRINGS
+ * Rationale: Each entry names the qore.css rule (selector) whose color is
+ * fg and the surface it is normally rendered on. Paragraphs are left out:
+ * --text-body is the page color itself in the dark palette, so they have no
+ * single surface to be measured against in both themes.
+ */
+const PAIRS = [
+ {name:'h1, h2', selector:'h1, h2', fg:'--color-two', bg:PAGE, large:true}, // 38px bold headings
+ {name:'h3, h5, h6', selector:'p, h1, h2, h3, h4, h5, h6', fg:'--gs-lightest', bg:PAGE}, // shared heading color; h5/h6 are not large
+ {name:'h4', selector:'h4', fg:'--color-bright', bg:PAGE},
+ {name:'li, ol', selector:'li, ol', fg:'--gs-lightest', bg:PAGE},
+ {name:'a', selector:'a', fg:'--link', bg:PAGE},
+ {name:'a:hover', selector:'a:hover', fg:'--color-bright', bg:PAGE},
+ {name:'button', selector:'button, .stripe-button-el', fg:'--color-bright', bg:[['--gs-darkest']]},
+ {name:'.item-button', selector:'.item-button', fg:'--warn', bg:PAGE},
+ {name:'label', selector:'label', fg:'--gs-lightest', bg:PAGE},
+ {name:'input', selector:'input', fg:'--gs-darkest', bg:[['--gs-lightest']]},
+ {name:'textarea', selector:'textarea', fg:'--gs-mid', bg:PAGE},
+ {name:'.card text', selector:'.itemText', fg:'--gs-lightest', bg:CARD},
+ {name:'aside', selector:'aside', fg:'--gs-lightest', bg:[['--color-dominant']]}
+];
+
+/*
+ * LAYER FLATTENING
+ * Rationale: Stacks are composited bottom to top over white (the browser
+ * canvas) so any translucent layer yields an opaque backdrop.
+ */
+function flatten(stack, resolved){
+ return stack.reduce((below, prop) => composite(parseColor(resolved[prop]), below), {r:255, g:255, b:255, a:1}); // opaque result
+}
+
+function auditPair(pair, resolved, level){
+ const required = THRESHOLDS[level][pair.large ? 'large' : 'normal']; // ratio this pair must reach
+ const entry = {name:pair.name, selector:pair.selector, fg:pair.fg, bg:pair.bg.map(stack => stack.join(' over ')), required}; // report row
+ try {
+  const missing = [pair.fg, ...pair.bg.flat()].filter(prop => resolved[prop] === null || resolved[prop] === undefined); // unresolvable tokens
+  if(missing.length){ throw new Error(`unresolved ${missing.join(', ')}`); } // cannot measure without colors
+  const ratios = pair.bg.map(stack => { const back = flatten(stack, resolved); return contrastRatio(composite(parseColor(resolved[pair.fg]), back), back); }); // ratio per backdrop
+  entry.ratio = Math.round(Math.min(...ratios) * 100) / 100; // worst case, two decimals
+  entry.aa = entry.ratio >= THRESHOLDS.AA[pair.large ? 'large' : 'normal']; // AA result regardless of requested level
+  entry.aaa = entry.ratio >= THRESHOLDS.AAA[pair.large ? 'large' : 'normal']; // AAA result regardless of requested level
+  entry.pass = entry.ratio >= required; // result at requested level
+ } catch(err){
+  entry.error = err.message; // reported as a failure so bad tokens are noticed
+  entry.pass = false; // unmeasurable pairs fail
+ }
+ return entry; // returns report row
+}
+
+/*
+ * AUDIT
+ * Rationale: Pure function over variables.css text so tests and the CLI
+ * share it. opts.level overrides CONTRAST_LEVEL (default AA); opts.themes
+ * limits the audited palettes.
+ */
+function auditContrast(css, opts = {}){
+ const level = String(opts.level || parseEnvString('CONTRAST_LEVEL', 'AA')).toUpperCase(); // requested conformance level
+ console.log(`auditContrast is running with ${level}`); // entry log for debugging
+ if(!THRESHOLDS[level]){ throw new Error(`invalid contrast level: ${level}`); } // only AA and AAA exist
+ const themes = opts.themes || THEMES; // palettes to audit
+ const tokens = parseTokens(css); // raw values per theme
+ const results = themes.map(theme => ({theme, pairs:PAIRS.map(pair => auditPair(pair, resolveTokens(tokens[theme]), level))})); // rows per theme
+ const failures = results.reduce((n, r) => n + r.pairs.filter(p => !p.pass).length, 0); // failing rows across themes
+ const report = {level, failures, results}; // full report
+ console.log(`auditContrast is returning ${failures} failures`); // logs outcome
+ return report; // returns {level, failures, results}
+}
+
+function formatReport(report){
+ const lines = []; // output lines
+ report.results.forEach(({theme, pairs}) => {
+  lines.push(`${theme} theme (${report.level})`); // section heading
+  pairs.forEach(p => lines.push(`  ${p.pass ? 'pass' : 'FAIL'}  ${p.name.padEnd(12)} ${p.error ? p.error : `${p.ratio.toFixed(2)}:1 (needs ${p.required}:1)`}  ${p.fg} on ${p.bg.join(' | ')}`)); // one row per pairing
+ });
+ lines.push(`${report.failures} failing pair${report.failures === 1 ? '' : 's'}`); // summary
+ return lines.join('\n'); // returns printable report
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Usage: node scripts/contrast.js [variables.css] [--level=AAA] [--theme=light] [--json]
+ * Exits non-zero when any pair fails; --json also writes contrast-report.json.
+ */
+async function run(args = []){
+ console.log(`run is running with ${args.join(' ')}`); // entry log for debugging
+ const file = args.find(a => !a.startsWith('--')) || 'variables.css'; // token stylesheet
+ const flag = name => { const a = args.find(x => x.startsWith(`--${name}=`)); return a ? a.slice(name.length + 3) : undefined; }; // --name=value lookup
+ try {
+  const theme = flag('theme'); // single palette when given
+  if(theme && !THEMES.includes(theme)){ throw new Error(`invalid theme: ${theme}`); } // rejects typos before reading tokens
+  const report = auditContrast(await fs.readFile(file, 'utf8'), {level:flag('level'), themes:theme ? [theme] : undefined}); // audit result
+  console.log(formatReport(report)); // human readable report
+  if(args.includes('--json')){ await fs.writeFile(REPORT_FILE, JSON.stringify(report, null, 2)); console.log(`contrast report written to ${path.resolve(REPORT_FILE)}`); } // machine readable report
+  console.log(`run is returning ${report.failures}`); // exit log
+  return report.failures; // failing pair count for the exit code
+ } catch(err){
+  qerrors(err, 'contrast audit failed', {file, args}); // structured log for debugging
+  throw err; // rethrows so cli sets exit code
+ }
+}
+
+if(require.main === module){
+ run(process.argv.slice(2)).then(failures => { if(failures > 0){ process.exitCode = 1; } }).catch(() => { process.exitCode = 1; }); // failing pairs or errors exit non-zero
+}
+
+module.exports = {auditContrast, formatReport, run, PAIRS, THRESHOLDS}; // exposes audit for tests and tooling
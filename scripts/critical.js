@@ -0,0 +1,132 @@
+/*
+ * CRITICAL CSS EXTRACTION - ABOVE-THE-FOLD RULES
+ *
+ * PURPOSE AND RATIONALE:
+ * Pages that load the hashed stylesheet from the CDN cannot paint until it
+ * arrives. This tool finds the qoreCSS rules that style the initial viewport
+ * so updateHtml can inline them and load the full stylesheet without
+ * blocking rendering.
+ *
+ * DESIGN DECISIONS:
+ * - jsdom (already a devDependency) parses the page and evaluates selectors;
+ *   it has no layout engine, so "above the fold" is approximated by document
+ *   order: every body element before a data-qore-fold marker, or the first
+ *   CRITICAL_ELEMENTS elements when no marker exists
+ * - html, head and body always count so :root, * and body rules are kept
+ * - Dynamic and element pseudo-classes (:hover, ::before, scrollbars) are
+ *   stripped before matching; the original selector is emitted unchanged
+ * - @media/@supports wrappers are preserved so responsive first paint works;
+ *   @font-face and keyframes referenced by kept rules are carried along
+ */
+
+const fs = require('fs').promises; // promise based reads for html and css
+const path = require('path'); // resolves cli arguments
+const postcss = require('postcss'); // parses the built stylesheet
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+const {parseEnvInt} = require('./utils/env-config'); // validated element budget parsing
+
+const FOLD_ATTRIBUTE = 'data-qore-fold'; // marks the first element below the fold
+const NESTED_AT_RULES = ['media', 'supports', 'layer', 'container']; // wrappers whose children are filtered individually
+const DYNAMIC_PSEUDO = /::?(?:hover|focus(?:-within|-visible)?|active|visited|link|target|before|after|placeholder|selection|first-line|first-letter|marker|backdrop|-(?:webkit|moz|ms)-[\w-]+)(?:\([^)]*\))?/gi; // states jsdom cannot evaluate statically
+
+/*
+ * ABOVE-THE-FOLD ELEMENTS
+ * Rationale: Pre-order traversal lists ancestors before descendants, so any
+ * prefix of document order is a connected top slice of the page.
+ */
+function foldElements(document, maxElements){
+ const critical = new Set([document.documentElement, document.head, document.body]); // always styled on first paint
+ const all = Array.from(document.body ? document.body.querySelectorAll('*') : []); // body elements in document order
+ const marker = all.findIndex(el => el.hasAttribute(FOLD_ATTRIBUTE)); // explicit fold position when present
+ const limit = marker >= 0 ? marker : Math.min(maxElements, all.length); // marker wins over element budget
+ all.slice(0, limit).forEach(el => critical.add(el)); // top slice of the page
+ return critical; // returns set of elements considered visible
+}
+
+/*
+ * SELECTOR MATCHING
+ * Rationale: A selector is critical when any element it matches is above
+ * the fold. Unsupported selectors are treated as non-critical because the
+ * full stylesheet still loads moments later.
+ */
+function matchesCritical(document, selector, critical){
+ let query = selector.replace(DYNAMIC_PSEUDO, '').trim(); // drops interaction and element pseudos
+ if(query === '' || /[>+~]$/.test(query)){ query = `${query}*`; } // pseudo-only selectors apply to any element
+ try {
+  return Array.from(document.querySelectorAll(query)).some(el => critical.has(el)); // any visible match keeps the selector
+ } catch {
+  return false; // jsdom rejected selector syntax
+ }
+}
+
+/*
+ * CRITICAL CSS EXTRACTION
+ * Rationale: Returns css text plus counts so callers can log the saving.
+ * opts.maxElements overrides CRITICAL_ELEMENTS (default 60).
+ */
+function extractCritical(html, css, opts = {}){
+ console.log(`extractCritical is running with ${html.length},${css.length}`); // entry log with input sizes
+ const {JSDOM} = require('jsdom'); // lazily required so updateHtml works without jsdom when critical css is off
+ const maxElements = opts.maxElements ?? parseEnvInt('CRITICAL_ELEMENTS', 60, 1, 100000); // element budget approximating one screen
+ const {document} = new JSDOM(html).window; // scripts are not executed by default
+ const critical = foldElements(document, maxElements); // elements styled on first paint
+ const root = postcss.parse(css); // stylesheet tree filtered in place
+ const animations = new Set(); // keyframe names referenced by kept rules
+ let total = 0; // rules examined
+ let kept = 0; // rules emitted
+
+ function filter(container){
+  container.each(node => {
+   if(node.type === 'rule'){
+    total++; // counts every style rule
+    const keep = node.selectors.filter(sel => matchesCritical(document, sel, critical)); // visible selectors
+    if(keep.length === 0){ node.remove(); return; } // not needed for first paint
+    if(keep.length !== node.selectors.length){ node.selectors = keep; } // narrows selector list
+    kept++; // rule contributes to critical css
+    node.walkDecls(/^(?:-\w+-)?animation(?:-name)?$/i, decl => decl.value.split(/[\s,]+/).forEach(v => animations.add(v))); // records animation names
+   } else if(node.type === 'atrule'){
+    const name = node.name.toLowerCase(); // normalized at-rule name
+    if(NESTED_AT_RULES.includes(name)){ filter(node); if(!node.nodes || node.nodes.length === 0){ node.remove(); } } // keeps wrapper only with children
+    else if(name !== 'font-face' && !/keyframes$/.test(name)){ node.remove(); } // imports and charset are not needed inline
+   } else {
+    node.remove(); // top level comments add bytes without effect
+   }
+  });
+ }
+
+ filter(root); // filters rules and wrappers
+ root.walkAtRules(/keyframes$/i, rule => { if(!animations.has(rule.params)){ rule.remove(); } }); // keeps only referenced animations
+ root.walkComments(comment => comment.remove()); // unminified input keeps comments inside rules
+ const result = {css:root.toString().trim(), total, kept}; // css plus counts
+ console.log(`extractCritical is returning ${kept}/${total}`); // logs kept rule ratio
+ return result; // returns critical css result
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Usage: node scripts/critical.js [page.html] [stylesheet.css] [out.css]
+ * Writes the critical css for inspection; updateHtml --critical inlines it.
+ */
+async function run(htmlFile = 'index.html', cssFile, outFile = 'critical.css'){
+ console.log(`run is running with ${htmlFile}`); // entry log for debugging
+ try {
+  if(!cssFile){ // defaults to the current build
+   const {primaryEntry, readManifest} = require('./utils/manifest'); // lazy so explicit css paths need no build
+   cssFile = primaryEntry(await readManifest()).file; // hashed stylesheet recorded by build
+  }
+  const result = extractCritical(await fs.readFile(htmlFile, 'utf8'), await fs.readFile(cssFile, 'utf8')); // computes critical css
+  await fs.writeFile(outFile, `${result.css}\n`, 'utf8'); // persists for inspection
+  console.log(`critical css kept ${result.kept} of ${result.total} rules (${Buffer.byteLength(result.css)} bytes) in ${path.resolve(outFile)}`); // concise summary
+  console.log(`run is returning 0`); // exit log
+  return 0; // success code
+ } catch(err){
+  qerrors(err, 'critical css failed', {htmlFile, cssFile}); // structured log for debugging
+  throw err; // rethrows so cli sets exit code
+ }
+}
+
+if(require.main === module){
+ run(...process.argv.slice(2)).catch(() => { process.exitCode = 1; }); // error already logged by run
+}
+
+module.exports = {extractCritical, run, FOLD_ATTRIBUTE}; // exposes extraction for updateHtml and tests
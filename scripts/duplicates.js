@@ -0,0 +1,134 @@
+/*
+ * DUPLICATE AND CONFLICTING RULE REPORT
+ *
+ * PURPOSE AND RATIONALE:
+ * qore.css grew by appending sections, so some classes (.row, .col,
+ * .center, .grid3...) are defined more than once with different
+ * declarations and their behaviour depends on source order. This analysis
+ * lists duplicate selectors, declarations overridden by later rules,
+ * conflicting !important values and declarations that can never apply, as
+ * a readable report and as JSON for CI.
+ *
+ * DESIGN DECISIONS:
+ * - Rules are compared within the same @media/@supports context only;
+ *   responsive overrides are the point of media queries, not conflicts
+ * - A duplicate selector is the same standalone rule selector appearing
+ *   twice; shared lists such as ".row, .col {display:flex}" followed by
+ *   ".row {...}" are a deliberate pattern and only their declarations are
+ *   compared, per selector
+ * - Repeated properties inside one rule are vendor fallbacks; only the
+ *   rule's winning value is compared with other rules
+ * - Overridden: a later rule sets a different value, so order decides.
+ *   Dead: a declaration losing to an earlier !important or repeating the
+ *   value already in effect, so removing it changes nothing
+ */
+
+const fs = require('fs').promises; // promise based reads and report writes
+const path = require('path'); // reports the absolute report path
+const postcss = require('postcss'); // compares rules within each @media context
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+
+const REPORT_FILE = 'duplicates-report.json'; // written with --json (or by build --duplicates) for CI gates
+const CATEGORIES = ['duplicates', 'overridden', 'important', 'dead']; // report sections that can fail the cli
+
+function contextOf(rule){
+ const chain = []; // enclosing at-rules, outermost first
+ for(let p = rule.parent; p && p.type !== 'root'; p = p.parent){ if(p.type === 'atrule'){ chain.unshift(`@${p.name} ${p.params}`.trim()); } } // walks up nesting
+ return chain.join(' > '); // '' for top level rules
+}
+
+const normalize = text => text.replace(/\s+/g, ' ').trim(); // whitespace insensitive comparison
+
+/*
+ * RULE ANALYSIS
+ * Rationale: One pass in source order keeps, per context and selector, the
+ * declaration currently in effect for each property and classifies every
+ * later declaration against it the way the cascade would.
+ */
+function analyzeRules(css, source = 'qore.css'){
+ console.log(`analyzeRules is running with ${source}`); // entry log for debugging
+ const standalone = new Map(); // context + selector list -> lines
+ const effective = new Map(); // context + selector -> Map(prop -> declaration in effect)
+ const report = {source, duplicates:[], overridden:[], important:[], dead:[]}; // findings by category
+ postcss.parse(css, {from:source}).walkRules(rule => {
+  if(rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)){ return; } // keyframe offsets are not selectors
+  const context = contextOf(rule); // media chain or ''
+  const listKey = `${context}\u0000${rule.selectors.map(normalize).join(', ')}`; // whole selector list
+  standalone.set(listKey, [...(standalone.get(listKey) || []), rule.source.start.line]); // every occurrence line
+  const winners = new Map(); // property -> the rule's own winning declaration
+  rule.each(d => {
+   if(d.type !== 'decl'){ return; } // comments and nested rules
+   const decl = {property:d.prop, value:normalize(d.value), important:Boolean(d.important), line:d.source.start.line}; // comparable declaration
+   const own = winners.get(d.prop); // earlier value in this rule (vendor fallback)
+   if(!own || decl.important || !own.important){ winners.set(d.prop, decl); } // last value wins unless an earlier one is important
+  });
+  const decls = [...winners.values()]; // one declaration per property
+  rule.selectors.map(normalize).forEach(selector => {
+   const key = `${context}\u0000${selector}`; // cascade bucket
+   const state = effective.get(key) || new Map(); // property -> declaration in effect
+   effective.set(key, state); // created on first use
+   decls.forEach(decl => {
+    const prev = state.get(decl.property); // declaration currently winning
+    const entry = {selector, context, property:decl.property, value:decl.value, line:decl.line}; // common report fields
+    if(!prev){ state.set(decl.property, decl); return; } // first setting
+    const by = {value:prev.value, line:prev.line, important:prev.important}; // earlier declaration
+    if(prev.important && !decl.important){ report.dead.push({...entry, reason:'important', by}); return; } // loses whatever its position
+    if(prev.value === decl.value && prev.important === decl.important){ report.dead.push({...entry, reason:'repeated', by}); return; } // same value already applies
+    if(prev.important && decl.important){ report.important.push({...entry, by}); } // two important values, order decides
+    else if(prev.value !== decl.value){ report.overridden.push({selector, context, property:prev.property, value:prev.value, line:prev.line, by:{value:decl.value, line:decl.line, important:decl.important}}); } // earlier value replaced
+    state.set(decl.property, decl); // later declaration now wins
+   });
+  });
+ });
+ standalone.forEach((lines, key) => { if(lines.length > 1){ const [context, selector] = key.split('\u0000'); report.duplicates.push({selector, context, lines}); } }); // repeated standalone selectors
+ report.duplicates.sort((a, b) => a.lines[0] - b.lines[0]); // source order
+ ['overridden', 'important', 'dead'].forEach(c => report[c].sort((a, b) => a.line - b.line)); // source order of the reported declaration
+ report.totals = Object.fromEntries(CATEGORIES.map(c => [c, report[c].length])); // counts per category
+ console.log(`analyzeRules is returning ${JSON.stringify(report.totals)}`); // logs counts
+ return report; // returns {source, duplicates, overridden, important, dead, totals}
+}
+
+function formatReport(report){
+ const where = f => `${f.selector}${f.context ? ` in ${f.context}` : ''}`; // selector with media context
+ const imp = d => `${d.value}${d.important ? ' !important' : ''}`; // value with priority
+ const lines = []; // output lines
+ report.duplicates.forEach(d => lines.push(`${report.source}:${d.lines[0]}  duplicate selector ${where(d)} (also line${d.lines.length > 2 ? 's' : ''} ${d.lines.slice(1).join(', ')})`)); // repeated rules
+ report.overridden.forEach(d => lines.push(`${report.source}:${d.line}  ${d.property}: ${d.value} on ${where(d)} overridden by ${imp(d.by)} at line ${d.by.line}`)); // order dependent values
+ report.important.forEach(d => lines.push(`${report.source}:${d.line}  ${d.property}: ${d.value} !important on ${where(d)} conflicts with ${d.by.value} !important at line ${d.by.line}`)); // competing important values
+ report.dead.forEach(d => lines.push(`${report.source}:${d.line}  dead ${d.property}: ${d.value} on ${where(d)} (${d.reason === 'important' ? `loses to ${imp(d.by)}` : 'repeats the value'} at line ${d.by.line})`)); // removable declarations
+ const t = report.totals; // counts per category
+ lines.push(`${t.duplicates} duplicate selectors, ${t.overridden} overridden, ${t.important} !important conflicts, ${t.dead} dead declarations`); // summary
+ return lines.join('\n'); // returns printable report
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Usage: node scripts/duplicates.js [qore.css] [--fail-on=duplicates,overridden,important,dead] [--json]
+ * Exits non-zero when a --fail-on category (default all) has findings;
+ * --json also writes duplicates-report.json.
+ */
+async function run(args = []){
+ console.log(`run is running with ${args.join(' ')}`); // entry log for debugging
+ const file = args.find(a => !a.startsWith('--')) || 'qore.css'; // stylesheet to analyze
+ const flag = name => { const a = args.find(x => x.startsWith(`--${name}=`)); return a ? a.slice(name.length + 3) : undefined; }; // --name=value lookup
+ try {
+  const failOn = flag('fail-on') === undefined ? CATEGORIES : flag('fail-on').split(',').map(s => s.trim()).filter(Boolean); // gating categories
+  const unknown = failOn.filter(c => !CATEGORIES.includes(c)); // typos would silently pass ci
+  if(unknown.length){ throw new Error(`invalid fail-on: ${unknown.join(', ')}`); } // rejects before reading
+  const report = analyzeRules(await fs.readFile(file, 'utf8'), path.basename(file)); // findings
+  console.log(formatReport(report)); // human readable report
+  if(args.includes('--json')){ await fs.writeFile(REPORT_FILE, JSON.stringify(report, null, 2)); console.log(`duplicates report written to ${path.resolve(REPORT_FILE)}`); } // machine readable report
+  const failures = failOn.reduce((n, c) => n + report.totals[c], 0); // findings in gating categories
+  console.log(`run is returning ${failures}`); // exit log
+  return failures; // count for the exit code
+ } catch(err){
+  qerrors(err, 'duplicate rule analysis failed', {file, args}); // structured log for debugging
+  throw err; // rethrows so cli sets exit code
+ }
+}
+
+if(require.main === module){
+ run(process.argv.slice(2)).then(failures => { if(failures > 0){ process.exitCode = 1; } }).catch(() => { process.exitCode = 1; }); // findings or errors exit non-zero
+}
+
+module.exports = {analyzeRules, formatReport, run, REPORT_FILE, CATEGORIES}; // exposes analysis for the build, CI and tests
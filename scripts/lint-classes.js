@@ -0,0 +1,196 @@
+/*
+ * CLASS LINTER - UNKNOWN, MISSPELLED AND CONFLICTING QORECSS CLASSES
+ *
+ * PURPOSE AND RATIONALE:
+ * A typo such as "pad7" or "wide35" silently does nothing in the browser.
+ * This linter reads class/className attributes in HTML and JSX, checks each
+ * class against the qore.css catalogue, suggests the closest real classes
+ * and flags combinations that fight over the same property (.row plus .col).
+ *
+ * DESIGN DECISIONS:
+ * - Only class attributes are read (not every string like the purge does)
+ *   so line and column point at real markup; ${...} and {{...}} parts are
+ *   skipped because their classes are only known at runtime
+ * - Projects have their own classes, so an unknown class is reported only
+ *   when it is close to a qoreCSS class; --strict reports every unknown
+ *   class, and --css adds project stylesheets to the known set
+ * - Conflicts are derived from the catalogue: two single purpose utilities
+ *   (one or two declarations) setting the same layout property to different
+ *   values with the same !important-ness. When only one is !important it
+ *   wins by design (textLeft on .itemText), so that is not a conflict.
+ *   CONFLICTS lists pairs the rule cannot see
+ */
+
+const fs = require('fs').promises; // promise based reads and report writes
+const path = require('path'); // resolves the default stylesheet and report path
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+const {resolveContent, parseSafelist} = require('./utils/unused-classes'); // glob matching and name/regex lists
+const {buildClassCatalog} = require('./utils/class-catalog'); // classes qore.css defines
+
+const STYLESHEET = path.join(__dirname, '..', 'qore.css'); // framework classes checked by default
+const DEFAULT_CONTENT = ['**/*.{html,jsx,tsx}']; // markup scanned when no globs are given
+const REPORT_FILE = 'class-lint-report.json'; // written with --json for CI artifacts
+const CONFLICT_PROPERTIES = ['display', 'flex-direction', 'justify-content', 'align-items', 'width', 'margin', 'padding', 'text-align', 'grid-template-columns', 'background-color']; // properties where two values on one element are a mistake
+const UTILITY_MAX_DECLARATIONS = 2; // components such as .card set margins other classes legitimately adjust
+const CONFLICTS = [ // pairs whose clash the declaration rule cannot see
+ {classes:['smallHide', 'smallShow'], reason:'one hides and the other shows the element on small screens'},
+ {classes:['smallHideFlex', 'smallShow'], reason:'one hides and the other shows the element on small screens'}
+];
+
+/*
+ * CLASS ATTRIBUTE EXTRACTION
+ * Rationale: Matches class="", class='', className="" and className={'...'}
+ * or {`...`}; Vue :class and Angular [class] bindings are expressions and are
+ * skipped by the lookbehind.
+ */
+function extractClassAttributes(content){
+ const found = []; // {name, index, attr} per class occurrence
+ const attr = /(?<![\w:.[-])class(?:Name)?\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*(?:"([^"]*)"|'([^']*)'|`([^`]*)`)\s*\})/g; // static class values
+ for(const m of content.matchAll(attr)){
+  const group = m.slice(1).findIndex(v => v !== undefined) + 1; // which quote form matched
+  const start = m.index + m[0].indexOf(m[group]); // offset of the value inside content
+  const value = m[group].replace(/\$\{[^}]*\}|\{\{[\s\S]*?\}\}/g, s => ' '.repeat(s.length)); // blanks dynamic parts, keeping offsets
+  for(const t of value.matchAll(/\S+/g)){ found.push({name:t[0], index:start + t.index, attr:m.index}); } // each class with its offset and attribute
+ }
+ return found; // returns occurrences in document order
+}
+
+function position(content, index){
+ const before = content.slice(0, index); // text preceding the class
+ const line = before.split('\n').length; // 1-based line
+ return {line, column:index - before.lastIndexOf('\n')}; // 1-based column
+}
+
+/*
+ * SUGGESTIONS
+ * Rationale: Edit distance catches typos (centre -> center); numbered
+ * families (pad5/pad10/pad15) suggest the nearest existing sizes first
+ * because "wide35" more likely means wide33 or wide40 than wide75.
+ */
+function distance(a, b){
+ const row = Array.from({length:b.length + 1}, (_, i) => i); // previous row of the matrix
+ for(let i = 1; i <= a.length; i++){
+  let prev = row[0]; // diagonal value
+  row[0] = i; // first column
+  for(let j = 1; j <= b.length; j++){ const cur = row[j]; row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1)); prev = cur; } // insert, delete, substitute
+ }
+ return row[b.length]; // levenshtein distance
+}
+
+function suggest(name, known){
+ const scored = new Map(); // candidate -> score, lower is closer
+ const limit = name.length < 5 ? 1 : 2; // short names tolerate fewer edits
+ known.forEach(k => { const d = k.toLowerCase() === name.toLowerCase() ? 0 : distance(name, k); if(d <= limit){ scored.set(k, d); } }); // typo candidates
+ const family = name.match(/^([a-zA-Z-]+)(\d+)$/); // stem plus number
+ if(family){
+  known.filter(k => k.match(/^([a-zA-Z-]+)(\d+)$/) && k.match(/^([a-zA-Z-]+)\d+$/)[1] === family[1]) // same numbered family
+   .sort((a, b) => Math.abs(Number(a.slice(family[1].length)) - family[2]) - Math.abs(Number(b.slice(family[1].length)) - family[2])) // nearest sizes first
+   .slice(0, 2).forEach(k => scored.set(k, 0.5)); // nearest sizes ranked first
+ }
+ return [...scored.entries()].sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0])).slice(0, 3).map(([k]) => k); // best three
+}
+
+/*
+ * CONFLICT DETECTION
+ * Rationale: Computed once per catalogue so linting many files only does
+ * set lookups per element.
+ */
+function findConflicts(classes){
+ const conflicts = new Map(); // "a b" (sorted) -> reason
+ const entries = Object.values(classes).filter(c => Object.keys(c.declarations).length > 0 && Object.keys(c.declarations).length <= UTILITY_MAX_DECLARATIONS); // single purpose utilities only
+ entries.forEach((a, i) => entries.slice(i + 1).forEach(b => {
+  const clash = CONFLICT_PROPERTIES.find(prop => { // first property both set differently
+   const [va, vb] = [a.declarations[prop], b.declarations[prop]]; // values or undefined
+   return va !== undefined && vb !== undefined && va !== vb && va.endsWith('!important') === vb.endsWith('!important'); // same priority, different value
+  });
+  const shown = c => c.declarations[clash].replace(/\s*!important$/, ''); // both share the same priority, so the suffix adds nothing
+  if(clash){ conflicts.set([a.name, b.name].sort().join(' '), `both set ${clash} (${shown(a)} vs ${shown(b)})`); } // records reason
+ }));
+ CONFLICTS.forEach(c => conflicts.set([...c.classes].sort().join(' '), c.reason)); // explicit pairs
+ return conflicts; // returns pair -> reason
+}
+
+/*
+ * CONTENT LINTING
+ * Rationale: Pure over one file's text so editors and tests can lint
+ * without touching disk. ctx holds known (every valid class), qoreNames
+ * (suggestion candidates) and conflicts (from findConflicts).
+ */
+function lintContent(content, ctx, opts = {}){
+ const problems = []; // findings for this content
+ const ignore = opts.ignore || []; // project names or patterns never reported
+ const ignored = name => ignore.some(entry => entry instanceof RegExp ? entry.test(name) : entry === name); // name or regex match
+ const attrs = new Map(); // attribute start -> occurrences on one element
+ extractClassAttributes(content).forEach(occ => {
+  const {line, column} = position(content, occ.index); // location for reports
+  if(!ctx.known.has(occ.name) && !ignored(occ.name)){ // unknown class
+   const suggestions = suggest(occ.name, ctx.qoreNames); // closest qoreCSS classes
+   if(suggestions.length || opts.strict){ problems.push({line, column, class:occ.name, rule:'unknown-class', message:`unknown class "${occ.name}"${suggestions.length ? ` (did you mean ${suggestions.join(', ')}?)` : ''}`, suggestions}); } // typos always, others in strict mode
+  }
+  if(!attrs.has(occ.attr)){ attrs.set(occ.attr, []); } // new element
+  attrs.get(occ.attr).push({...occ, line, column}); // class on this element
+ });
+ attrs.forEach(list => {
+  const names = [...new Set(list.map(o => o.name))]; // distinct classes on the element
+  names.forEach((a, i) => names.slice(i + 1).forEach(b => {
+   const reason = ctx.conflicts.get([a, b].sort().join(' ')); // known clash
+   if(reason){ const at = list.find(o => o.name === b); problems.push({line:at.line, column:at.column, class:b, rule:'conflict', message:`"${a}" and "${b}" conflict: ${reason}`}); } // reported at the second class
+  }));
+ });
+ return problems.sort((x, y) => x.line - y.line || x.column - y.column); // document order
+}
+
+/*
+ * PROJECT LINTING
+ * Rationale: The CI entry point. Options: content (globs), css (extra
+ * stylesheets whose classes are valid), stylesheet (qoreCSS source),
+ * ignore (names or RegExps), strict and root.
+ */
+async function lintClasses(opts = {}){
+ const content = opts.content && opts.content.length ? opts.content : DEFAULT_CONTENT; // markup globs
+ console.log(`lintClasses is running with ${content.join(',')}`); // entry log for debugging
+ const root = opts.root || process.cwd(); // directory globs are relative to
+ const qore = buildClassCatalog(await fs.readFile(opts.stylesheet || STYLESHEET, 'utf8')).classes; // framework catalogue
+ const known = new Set(Object.keys(qore)); // valid class names
+ for(const file of opts.css || []){ Object.keys(buildClassCatalog(await fs.readFile(path.resolve(root, file), 'utf8'), file).classes).forEach(name => known.add(name)); } // project classes
+ const ctx = {known, qoreNames:Object.keys(qore), conflicts:findConflicts(qore)}; // shared lint context
+ const files = await resolveContent(content, root); // markup to scan
+ if(files.length === 0){ throw new Error(`class lint content matched no files: ${content.join(', ')}`); } // a wrong glob must not pass CI
+ const problems = []; // findings across files
+ for(const file of files){ lintContent(await fs.readFile(path.join(root, file), 'utf8'), ctx, opts).forEach(p => problems.push({file, ...p})); } // sequential reads bound memory
+ const report = {files, errors:problems.length, problems}; // full report
+ console.log(`lintClasses is returning ${problems.length} problems`); // logs outcome
+ return report; // returns {files, errors, problems}
+}
+
+function formatReport(report){
+ const lines = report.problems.map(p => `${p.file}:${p.line}:${p.column}  ${p.message}  ${p.rule}`); // eslint style rows
+ lines.push(`${report.errors} problem${report.errors === 1 ? '' : 's'} in ${report.files.length} file${report.files.length === 1 ? '' : 's'}`); // summary
+ return lines.join('\n'); // returns printable report
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Usage: node scripts/lint-classes.js [globs...] [--css=app.css,...] [--ignore=js-toggle,/^app-/] [--strict] [--json]
+ * Exits non-zero when any problem is found; --json also writes class-lint-report.json.
+ */
+async function run(args = []){
+ console.log(`run is running with ${args.join(' ')}`); // entry log for debugging
+ const flag = name => { const a = args.find(x => x.startsWith(`--${name}=`)); return a ? a.slice(name.length + 3) : undefined; }; // --name=value lookup
+ try {
+  const report = await lintClasses({content:args.filter(a => !a.startsWith('--')), css:(flag('css') || '').split(',').filter(Boolean), ignore:parseSafelist(flag('ignore')), strict:args.includes('--strict')}); // lint result
+  console.log(formatReport(report)); // human readable report
+  if(args.includes('--json')){ await fs.writeFile(REPORT_FILE, JSON.stringify(report, null, 2)); console.log(`class lint report written to ${path.resolve(REPORT_FILE)}`); } // machine readable report
+  console.log(`run is returning ${report.errors}`); // exit log
+  return report.errors; // problem count for the exit code
+ } catch(err){
+  qerrors(err, 'class lint failed', {args}); // structured log for debugging
+  throw err; // rethrows so cli sets exit code
+ }
+}
+
+if(require.main === module){
+ run(process.argv.slice(2)).then(errors => { if(errors > 0){ process.exitCode = 1; } }).catch(() => { process.exitCode = 1; }); // problems or errors exit non-zero
+}
+
+module.exports = {extractClassAttributes, suggest, findConflicts, lintContent, lintClasses, formatReport, run, CONFLICTS}; // exposes linter for CI and tests
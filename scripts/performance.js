@@ -27,6 +27,8 @@ const qerrors = require('./utils/logger'); // Centralized error logging with con
 const fs = require('fs'); // File system operations for reading/writing test results
 // Manual concurrency control implementation to replace p-limit per REPLITAGENT.md constraints
 const {parseEnvInt, parseEnvString, parseEnvBool, trimTrailingSlashes} = require('./utils/env-config'); // adds boolean parser and url normalizer
+const {MANIFEST_FILE, primaryEntry, readManifest} = require('./utils/manifest'); // reads hashed filenames produced by the build
+const {isValidHash, manifestHashFormat} = require('./utils/hash-format'); // validates hashes against the format the build recorded
 
 let CDN_BASE_URL = trimTrailingSlashes(parseEnvString('CDN_BASE_URL', 'https://cdn.jsdelivr.net')); // ensures trailing slashes removed for consistent base url
 
@@ -140,27 +142,27 @@ async function measureUrl(url, count){
 }
 
 /*
- * BUILD HASH READER
+ * BUILD FILE READER
  *
- * Rationale: Reads build.hash when available to construct filenames
- * without failing when the file is missing. Using fs promises keeps
- * the function lightweight and consistent with other async file ops.
+ * Rationale: Reads the build manifest when available to obtain the hashed
+ * filename without failing when no build has run. readManifest falls back
+ * to build.hash so older build outputs are still measured.
  */
-async function readBuildHash(){
- console.log(`readBuildHash is running with build.hash`); // entry log for debugging
+async function readBuildFile(){
+ console.log(`readBuildFile is running with ${MANIFEST_FILE}`); // entry log for debugging
  try {
-  const data = await fs.promises.readFile('build.hash','utf8'); // read hash file content
-  const trimmed = data.trim(); // remove trailing whitespace
-  if(!/^[a-f0-9]{8}$/.test(trimmed)){ // checks hash pattern to ensure valid filename usage
-    qerrors(new Error('invalid hash'), 'readBuildHash invalid', {hash:trimmed}); // logs invalid hash with context
-    console.log("readBuildHash is returning ''"); // communicates failure fallback
+  const manifest = await readManifest(); // reads manifest or build.hash fallback
+  if(!isValidHash(manifest.hash, manifestHashFormat(manifest))){ // checks hash against the build's format to ensure valid filename usage
+    qerrors(new Error('invalid hash'), 'readBuildFile invalid', {hash:manifest.hash}); // logs invalid hash with context
+    console.log("readBuildFile is returning ''"); // communicates failure fallback
     return ''; // return empty string when hash invalid
   }
-  console.log(`readBuildHash is returning ${trimmed}`); // log success
-  return trimmed; // return trimmed hash
+  const file = primaryEntry(manifest).file; // hashed filename recorded by build
+  console.log(`readBuildFile is returning ${file}`); // log success
+  return file; // return hashed filename
  } catch(err){
-  if(err.code !== 'ENOENT'){ qerrors(err, 'Failed to read build hash', {filename:'build.hash'}); } // unexpected error logging
-  console.log(`readBuildHash is returning ''`); // log fallback case
+  if(err.code !== 'ENOENT'){ qerrors(err, 'Failed to read build manifest', {filename:MANIFEST_FILE}); } // unexpected error logging
+  console.log(`readBuildFile is returning ''`); // log fallback case
   return ''; // fallback when file missing or unreadable
  }
 }
@@ -169,7 +171,7 @@ async function readBuildHash(){
  * MAIN EXECUTION FUNCTION - TEST ORCHESTRATION
  * 
  * WORKFLOW:
- * 1. Read current build hash to test correct CSS version
+ * 1. Read current build manifest to test correct CSS version
  * 2. Construct test URLs for all CDN endpoints
  * 3. Parse command line arguments for test configuration
  * 4. Execute tests against all endpoints
@@ -184,12 +186,11 @@ async function run(){
   /*
    * BUILD HASH INTEGRATION
    * Rationale: Tests must use the current CSS version to provide meaningful
-   * results. Reading from build.hash ensures we're testing the same files
+   * results. Reading the build manifest ensures we're testing the same files
    * that users will actually receive. Fallback to core.min.css handles
    * cases where build hasn't run yet.
    */
-  const hash = await readBuildHash(); // Read current build hash with local helper
-  let fileName = `core.${hash}.min.css`; if(!hash){ fileName = `core.min.css`; } // Falls back when hash is empty
+  const fileName = (await readBuildFile()) || `core.min.css`; // Falls back when no valid build recorded
   
   /*
    * CDN ENDPOINT CONFIGURATION
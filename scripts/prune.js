@@ -0,0 +1,55 @@
+/*
+ * BUILD PRUNE COMMAND
+ *
+ * PURPOSE AND RATIONALE:
+ * build() applies the retention policy on every build, but once a rolling
+ * deploy has finished the older versions can go earlier, or a project may
+ * want to tighten BUILD_KEEP without rebuilding. This command applies a
+ * policy to an existing output directory using build-history.json.
+ *
+ * DESIGN DECISIONS:
+ * - The build qore-manifest.json points at is always kept, even after a
+ *   rollback made it older than other retained builds
+ * - Retired versions are recorded in the history exactly as the build does,
+ *   so purge-cdn invalidates them on its next run
+ * - --dry-run lists what would be removed without deleting or writing
+ */
+
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+const {readManifest} = require('./utils/manifest'); // live build that must survive pruning
+const {retentionPolicy, readHistory, writeHistory, recordBuild, applyRetention, removeArtifacts} = require('./utils/history'); // shared retention logic
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Usage: node scripts/prune.js [dir] [--keep=N] [--keep-days=N] [--dry-run]
+ * Missing values default to BUILD_KEEP and BUILD_KEEP_DAYS like the build.
+ */
+async function run(args = []){
+ console.log(`run is running with ${args.join(' ')}`); // entry log for debugging
+ const dir = args.find(a => !a.startsWith('--')) || '.'; // output directory holding the builds
+ const number = name => { const a = args.find(x => x.startsWith(`--${name}=`)); if(!a){ return undefined; } const v = a.slice(name.length + 3); if(!/^\d+$/.test(v)){ throw new Error(`invalid ${name}: ${v}`); } return Number(v); }; // --name=N lookup
+ const dryRun = args.includes('--dry-run'); // preview only
+ try {
+  const policy = retentionPolicy({keep:number('keep'), keepDays:number('keep-days')}); // validated before anything is deleted
+  let history = await readHistory(dir); // retained and retired builds
+  const live = await readManifest(dir).catch(() => null); // build currently served
+  if(live){ history = recordBuild(history, history.builds.find(b => b.hash === live.hash) || live); } // live build counts as the newest
+  const retention = applyRetention(history, policy); // builds beyond the policy
+  const removed = await removeArtifacts(dir, retention.history, dryRun); // retired and untracked hashed artifacts
+  retention.retired.forEach(r => console.log(`  retired ${r.hash}${r.builtAt ? ` (built ${r.builtAt})` : ''}`)); // lists retired versions
+  removed.forEach(f => console.log(`  ${dryRun ? 'would remove' : 'removed'} ${f}`)); // lists files
+  if(!dryRun){ await writeHistory(retention.history, dir); } // persists retirements for purge-cdn
+  console.log(`${retention.retired.length} builds retired, ${removed.length} files ${dryRun ? 'would be removed (dry run)' : 'removed'}`); // summary
+  console.log(`run is returning 0`); // exit log
+  return 0; // success code
+ } catch(err){
+  qerrors(err, 'build prune failed', {dir, args}); // structured log for debugging
+  throw err; // rethrows so cli sets exit code
+ }
+}
+
+if(require.main === module){
+ run(process.argv.slice(2)).catch(err => { console.error(err.message); process.exitCode = 1; }); // invalid options and history errors exit non-zero
+}
+
+module.exports = {run}; // exposes command for tests and tooling
@@ -24,9 +24,11 @@
  */
 
 const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
-const fs = require('fs').promises; // Node promise-based filesystem for async use
 const fetchRetry = require('./request-retry'); // Retry wrapper for HTTP requests
 const {parseEnvBool} = require('./utils/env-config'); // standardized boolean env parsing for CODEX detection
+const {primaryEntry, readManifest} = require('./utils/manifest'); // reads hashed filenames produced by the build
+const {isValidHash, manifestHashFormat} = require('./utils/hash-format'); // validates hashes against the format the build recorded
+const {readHistory, writeHistory} = require('./utils/history'); // versions retired by build retention or prune
 
 /*
  * CDN CACHE PURGE FUNCTION
@@ -78,14 +80,40 @@ async function purgeCdn(file){
 }
 }
 
+/*
+ * RETIRED VERSION PURGE
+ * Rationale: Build retention deletes old hashed stylesheets, but the CDN
+ * keeps serving its cached copies. Each retired version's stylesheets are
+ * purged once; a version is marked purged only when every request
+ * succeeded, so failures are retried on the next run.
+ */
+async function purgeRetired(dir = process.cwd()){
+ console.log(`purgeRetired is running with ${dir}`); // entry log for monitoring
+ const history = await readHistory(dir); // empty when retention never ran
+ const pending = history.retired.filter(r => !r.purged); // versions the CDN may still cache
+ const purged = []; // hashes purged by this run
+ for(const version of pending){ // sequential keeps request bursts small
+  const files = version.files.filter(f => f.endsWith('.css')); // only stylesheets are requested from the CDN
+  let ok = true; // every purge for this version succeeded
+  for(const file of files){
+   try { ok = await purgeCdn(file) < 400 && ok; } catch(err){ ok = false; } // purgeCdn already logged the failure
+  }
+  if(ok){ version.purged = true; version.purgedAt = new Date().toISOString(); purged.push(version.hash); } // retried next run otherwise
+ }
+ if(purged.length){ await writeHistory(history, dir); } // records purged versions
+ console.log(`purgeRetired is returning ${purged.length}`); // logs purged count
+ return purged; // hashes purged by this run
+}
+
 /*
  * MAIN EXECUTION FUNCTION - INTEGRATION WITH BUILD SYSTEM
  * 
  * WORKFLOW:
- * 1. Read current build hash from persistent storage
- * 2. Construct filename using hash (matches build output)
+ * 1. Read current build manifest from persistent storage
+ * 2. Look up the hashed filename the build recorded
  * 3. Execute CDN purge for the specific file
- * 4. Return status code for verification
+ * 4. Purge versions retired by build retention that were not purged yet
+ * 5. Return status code for verification
  * 
  * This ensures purge operations target the exact file that was just built,
  * maintaining consistency between build and deployment processes.
@@ -93,27 +121,28 @@ async function purgeCdn(file){
 async function run(){
  console.log(`run is running with ${process.argv.length}`); // Logs execution start for monitoring
  try {
-  await fs.access(`build.hash`); // ensures build hash file exists before reading
   /*
    * BUILD HASH INTEGRATION
-   * Rationale: Reads hash from build system to ensure purge targets the
+   * Rationale: Reads the build manifest to ensure purge targets the
    * correct file version. This maintains tight coupling between build
    * and purge operations, preventing purging of wrong file versions.
+   * readManifest falls back to build.hash when no manifest exists.
    */
-  const hash = (await fs.readFile(`build.hash`, `utf8`)).trim(); // Reads current build hash from filesystem
-  if(!/^[a-f0-9]{8}$/.test(hash)){ // validates hash format to avoid purging wrong file
+  const manifest = await readManifest(); // Reads current build manifest from filesystem
+  const hash = manifest.hash; // hash validated below before any purge request
+  if(!isValidHash(hash, manifestHashFormat(manifest))){ // validates hash against the build's format to avoid purging wrong file
    qerrors(new Error('invalid hash'), 'run invalid hash', {hash}); // logs invalid hash with context
    console.log('run is returning 1'); // communicates failure via return code
    return 1; // aborts purge when hash malformed
   }
   
   /*
-   * FILENAME CONSTRUCTION
-   * Rationale: Constructs exact filename that build system generated.
+   * FILENAME LOOKUP
+   * Rationale: Uses the exact filename that build system recorded.
    * This ensures cache purge targets the specific file users will request,
    * not a generic filename that might not exist in the CDN cache.
    */
-   const file = `core.${hash}.min.css`; // Reconstructs hashed CSS filename for purge
+   const file = primaryEntry(manifest).file; // hashed CSS filename recorded by build
   
   /*
    * PURGE EXECUTION
@@ -122,6 +151,13 @@ async function run(){
    * successful purge before considering deployment complete.
    */
   const code = await purgeCdn(file); // Initiates CDN purge and captures status
+
+  /*
+   * RETIRED VERSIONS
+   * Rationale: Failures here are logged and retried on the next run rather
+   * than failing the purge of the current stylesheet.
+   */
+  await purgeRetired().catch(err => qerrors(err, 'run retired purge failed', {})); // malformed history does not block the current purge
   console.log(`run is returning ${code}`); // Logs final status for monitoring
   return code; // Returns status code for programmatic verification
  } catch(err){
@@ -142,5 +178,5 @@ if(require.main === module){
  });
 }
 
-module.exports = {purgeCdn, run}; // exports functions for unit testing and reuse
+module.exports = {purgeCdn, purgeRetired, run}; // exports functions for unit testing and reuse
 
@@ -0,0 +1,119 @@
+/*
+ * ROLLBACK COMMAND - RE-POINT THE SITE AT A RETAINED BUILD
+ *
+ * PURPOSE AND RATIONALE:
+ * When a CSS regression ships, rebuilding from an old commit is slow and
+ * may not reproduce the exact bytes that were live. Build retention keeps
+ * the last few hashed builds on disk with their manifests in
+ * build-history.json, so rolling back only means pointing build.hash,
+ * qore-manifest.json, the index.js placeholders and index.html at one of
+ * them and purging the CDN.
+ *
+ * DESIGN DECISIONS:
+ * - Without a hash the newest build older than the live one (by builtAt)
+ *   is chosen, so repeated rollbacks step further back instead of toggling;
+ *   history order is not used because prune moves the live build first
+ * - Retired builds are refused: their files were deleted and the CDN purged
+ * - The history is left untouched; the next build records itself as usual
+ * - --dry-run prints every change without writing or purging
+ */
+
+const fs = require('fs').promises; // promise based reads and writes of the pointer files
+const path = require('path'); // resolves artifact paths inside the output directory
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+const {primaryEntry, readManifest, writeManifest} = require('./utils/manifest'); // live build and manifest writer
+const {readHistory} = require('./utils/history'); // retained builds available as targets
+const {isValidHash, manifestHashFormat} = require('./utils/hash-format'); // updateHtml and purge-cdn reject other formats
+const {updateEntry} = require('./utils/entry'); // index.js placeholder rewriting shared with the build
+const updateHtml = require('./updateHtml'); // rewrites index.html links and SRI from the manifest
+const purgeCdn = require('./purge-cdn'); // purges the restored stylesheet and retired versions
+
+const ENTRY_FILE = 'index.js'; // file whose cssFile placeholder injectCss reads
+const HTML_FILE = 'index.html'; // page updateHtml rewrites
+
+/*
+ * TARGET SELECTION
+ * Rationale: Accepts a full hash or an unambiguous prefix, as printed by
+ * the build log, and checks the target's files still exist before any
+ * pointer is changed.
+ */
+async function findTarget(history, live, hash, dir){
+ console.log(`findTarget is running with ${hash}`); // entry log for debugging
+ let target; // manifest of the build to restore
+ if(hash === undefined){
+  const time = b => Date.parse(b.builtAt) || 0; // builds seeded from build.hash have no builtAt and count as oldest
+  const liveTime = time(history.builds.find(b => b.hash === live.hash) || live); // when the live build was made
+  target = history.builds.filter(b => b.hash !== live.hash && time(b) < liveTime).sort((a, b) => time(b) - time(a))[0]; // newest older retained build
+  if(!target){ throw new Error('no previous build to roll back to'); } // only one build retained
+ } else {
+  const matches = history.builds.filter(b => b.hash.startsWith(hash)); // full hash or prefix
+  if(matches.length > 1){ throw new Error(`ambiguous build hash: ${hash}`); } // prefix names several builds
+  target = matches[0]; // selected build
+  if(!target && history.retired.some(r => r.hash.startsWith(hash))){ throw new Error(`build ${hash} was retired and its files removed`); } // nothing left to serve
+  if(!target){ throw new Error(`unknown build: ${hash}`); } // never built here
+ }
+ const missing = []; // artifacts deleted by hand since the build
+ for(const entry of Object.values(target.files)){ await fs.access(path.join(dir, entry.file)).catch(() => missing.push(entry.file)); } // checks every artifact
+ if(missing.length){ throw new Error(`build ${target.hash} is missing ${missing.join(', ')}`); } // serving it would 404
+ console.log(`findTarget is returning ${target.hash}`); // logs selected build
+ return target; // returns manifest of the build to restore
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Usage: node scripts/rollback.js [hash] [--dry-run]
+ * Run from the directory holding the builds, index.js and index.html, like
+ * updateHtml and purge-cdn. Returns 1 when the CDN purge failed.
+ */
+async function run(args = []){
+ console.log(`run is running with ${args.join(' ')}`); // entry log for debugging
+ const hash = args.find(a => !a.startsWith('--')); // requested build, default previous
+ const dryRun = args.includes('--dry-run'); // preview only
+ const dir = process.cwd(); // builds live beside the pointer files
+ try {
+  const live = await readManifest(dir); // build currently served
+  const target = await findTarget(await readHistory(dir), live, hash, dir); // retained build to restore
+  const from = primaryEntry(live).file; // stylesheet currently referenced
+  const to = primaryEntry(target).file; // stylesheet to reference
+  if(target.hash === live.hash){ console.log(`${to} is already live`); console.log('run is returning 0'); return 0; } // nothing to change
+  const html = await fs.readFile(path.join(dir, HTML_FILE), 'utf8').catch(() => null); // page is optional outside the repo root
+  const entryExists = await fs.access(path.join(dir, ENTRY_FILE)).then(() => true, () => false); // entry is optional like in build()
+  const integrity = primaryEntry(target).integrity; // SRI string recorded by the build
+  if(!isValidHash(target.hash, manifestHashFormat(target))){ throw new Error(`build ${target.hash} does not match its hash format`); } // checked before any pointer changes
+  const entryChanged = entryExists && await updateEntry(path.join(dir, ENTRY_FILE), to, integrity, true); // placeholder mismatch fails before any pointer changes
+  const prefix = dryRun ? 'would update' : 'updated'; // log wording
+  console.log(`rolling back ${from} -> ${to} (built ${target.builtAt || 'unknown'})`); // summary of the change
+  if(!dryRun){
+   await fs.writeFile(path.join(dir, 'build.hash'), target.hash); // legacy pointer for older tooling
+   await writeManifest(target, dir); // updateHtml and purge-cdn read the restored build from here
+  }
+  console.log(`  ${prefix} build.hash and qore-manifest.json: ${live.hash} -> ${target.hash}`); // pointer files
+  if(entryChanged){
+   if(!dryRun){ await updateEntry(path.join(dir, ENTRY_FILE), to, integrity); } // injectCss placeholders
+   console.log(`  ${prefix} ${ENTRY_FILE} cssFile and cssIntegrity`); // entry change
+  }
+  if(html !== null){
+   const references = (html.match(updateHtml.stylesheetReference(primaryEntry(target).name)) || []).filter(ref => ref !== to).length; // references updateHtml re-points, whether or not they name the live build
+   if(!dryRun){ await updateHtml(); } // rewrites references and SRI from the restored manifest
+   console.log(`  ${prefix} ${HTML_FILE}: ${references} reference${references === 1 ? '' : 's'} to ${to}`); // page links
+  }
+  if(dryRun){
+   console.log(`  would purge ${to} on the CDN`); // purge skipped in preview
+   console.log('run is returning 0'); // exit log
+   return 0; // nothing written
+  }
+  const code = await purgeCdn.run(); // cached copies may still hold the regression
+  const result = code === 1 ? 1 : 0; // purge-cdn reports failures as 1
+  console.log(`run is returning ${result}`); // exit log
+  return result; // non-zero when the purge failed
+ } catch(err){
+  qerrors(err, 'rollback failed', {args}); // structured log for debugging
+  throw err; // rethrows so cli sets exit code
+ }
+}
+
+if(require.main === module){
+ run(process.argv.slice(2)).then(code => { if(code > 0){ process.exitCode = 1; } }).catch(err => { console.error(err.message); process.exitCode = 1; }); // failures exit non-zero
+}
+
+module.exports = {findTarget, run}; // exposes command for tests and tooling
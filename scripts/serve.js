@@ -0,0 +1,200 @@
+/*
+ * DEVELOPMENT SERVER - LOCAL PREVIEW WITH LIVE CSS RELOAD
+ *
+ * PURPOSE AND RATIONALE:
+ * Editing qore.css previously meant rebuilding, refreshing and guessing which
+ * hashed file the page loaded. This server serves the working directory the
+ * way deployment/nginx.conf serves the CDN origin, runs build watch mode and
+ * swaps the stylesheet in open pages whenever the build produces a new hash.
+ *
+ * DESIGN DECISIONS:
+ * - Plain node:http keeps the dev server dependency free
+ * - Precompressed .br/.gz siblings are served when Accept-Encoding allows,
+ *   mirroring gzip_static/brotli_static so local responses match production
+ * - HTML responses are rewritten in memory (current hashed file, local CDN
+ *   base) so index.html on disk is only changed by the build itself
+ * - The live-reload client embeds replaceCoreLinks() from index.js so swaps
+ *   follow exactly the same link rules as injectCss()
+ * - Server-Sent Events avoid a websocket dependency for one-way notifications
+ */
+
+const http = require('http'); // built-in HTTP server keeps the dev server dependency free
+const fs = require('fs').promises; // promise based reads for static files
+const path = require('path'); // path resolution and traversal checks
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+const {parseEnvInt} = require('./utils/env-config'); // validated port parsing
+const {primaryEntry, readManifest} = require('./utils/manifest'); // resolves current hashed stylesheet
+const {stylesheetReference} = require('./updateHtml'); // same reference forms updateHtml rewrites
+const {replaceCoreLinks} = require('../index.js'); // shared link rules serialized into the live-reload client
+
+const EVENTS_PATH = '/__qore/events'; // SSE endpoint used by the live-reload client
+const MIME_TYPES = { // content types for files the repo serves
+ '.html': 'text/html; charset=utf-8',
+ '.css': 'text/css; charset=utf-8',
+ '.js': 'application/javascript; charset=utf-8',
+ '.json': 'application/json; charset=utf-8',
+ '.map': 'application/json; charset=utf-8',
+ '.svg': 'image/svg+xml',
+ '.png': 'image/png',
+ '.jpg': 'image/jpeg',
+ '.jpeg': 'image/jpeg',
+ '.gif': 'image/gif',
+ '.ico': 'image/x-icon',
+ '.txt': 'text/plain; charset=utf-8'
+};
+const ENCODINGS = [['br', '.br'], ['gzip', '.gz']]; // preference order matches brotli_static before gzip_static
+
+/*
+ * LIVE-RELOAD CLIENT
+ * Rationale: Inlined before </body> so the page needs no extra request.
+ * replaceCoreLinks.toString() keeps one implementation of the swap rules.
+ */
+function liveReloadScript(){
+ return `<script data-qore-live>(function(){${replaceCoreLinks.toString()}var es=new EventSource('${EVENTS_PATH}');es.addEventListener('css',function(e){var d=JSON.parse(e.data);replaceCoreLinks(d.file,'/',d.integrity);});})();</script>`; // listens for rebuilds and swaps the stylesheet in place
+}
+
+/*
+ * HTML REWRITE
+ * Rationale: Applies the updateHtml substitutions in memory with an empty
+ * CDN base so assets resolve against the dev server instead of the CDN.
+ * Only the core stylesheet links lose integrity/crossorigin, because their
+ * digest goes stale on every rebuild; third-party tags keep their SRI.
+ */
+function rewriteHtml(html, cssFile){
+ console.log(`rewriteHtml is running with ${cssFile}`); // entry log for debugging
+ let updated = html; // working copy of the document
+ const name = cssFile && cssFile.split('.')[0]; // bundle name, core unless built with another name
+ if(cssFile){
+  updated = updated.replace(/<link\b[^>]*>/gi, tag => stylesheetReference(name).test(tag) ? tag.replace(/\s+(?:integrity|crossorigin)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi, '') : tag); // stale digests would block rebuilt css
+  updated = updated.replace(stylesheetReference(name), () => cssFile); // points core references at the current build
+ }
+ updated = updated.replace(/\{\{CDN_BASE_URL\}\}/g, ''); // local origin replaces CDN placeholder
+ const script = liveReloadScript(); // client injected into every html response
+ updated = /<\/body>/i.test(updated) ? updated.replace(/<\/body>/i, () => `${script}</body>`) : `${updated}${script}`; // appends when no body close tag exists
+ console.log(`rewriteHtml is returning ${updated.length}`); // logs resulting length
+ return updated; // returns html ready to serve
+}
+
+/*
+ * PATH RESOLUTION
+ * Rationale: Decodes the URL path and refuses anything that resolves outside
+ * the served root so ../ sequences cannot read arbitrary files.
+ */
+function resolvePath(root, urlPath){
+ let decoded; // decoded request path
+ try { decoded = decodeURIComponent(urlPath.split('?')[0].split('#')[0]); } catch { return null; } // malformed escapes are rejected
+ if(decoded.endsWith('/')){ decoded += 'index.html'; } // directory requests serve index.html like nginx
+ const file = path.resolve(root, `.${path.posix.normalize(decoded)}`); // resolves inside root
+ if(file !== root && !file.startsWith(root + path.sep)){ return null; } // blocks traversal outside root
+ return file; // returns absolute file path
+}
+
+/*
+ * DEV SERVER FACTORY
+ * Rationale: Returns a started server plus helpers so tests and tooling can
+ * broadcast events and shut everything down. opts.watch=false skips build
+ * watch mode for callers that build separately. Watch mode builds and
+ * rewrites index.html in the working directory, so it refuses any other
+ * root instead of serving one tree while rebuilding another.
+ */
+async function serve(opts = {}){
+ const root = path.resolve(opts.root || process.cwd()); // served directory
+ const port = opts.port ?? parseEnvInt('PORT', 8080, 0, 65535); // listen port; 0 picks a free port
+ console.log(`serve is running with ${root}:${port}`); // entry log with root and port
+ if(opts.watch !== false && root !== path.resolve(process.cwd())){ throw new Error(`serve root ${root} must be the working directory in watch mode; run from it or pass watch:false`); } // edits under root would never trigger a rebuild
+ const clients = new Set(); // open SSE responses awaiting rebuild events
+
+ function broadcast(event, data){ // pushes one SSE message to every client
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`; // SSE wire format
+  clients.forEach(res => res.write(message)); // writes to each open stream
+  return clients.size; // reports number of notified clients
+ }
+
+ async function currentCore(){ // reads current hashed stylesheet entry
+  try { return primaryEntry(await readManifest(root)); } catch { return null; } // unbuilt trees serve html unchanged
+ }
+
+ async function handle(req, res){
+  if(req.url === EVENTS_PATH){ // live-reload event stream
+   res.writeHead(200, {'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive'}); // keeps connection open
+   res.write(': connected\n\n'); // comment line flushes headers to the client
+   clients.add(res); // registers for rebuild broadcasts
+   res.on('close', () => clients.delete(res)); // forgets closed tabs
+   return;
+  }
+  const file = resolvePath(root, req.url); // maps url to file on disk
+  if(!file){ res.writeHead(403); res.end('Forbidden'); return; } // traversal or malformed path
+  const ext = path.extname(file).toLowerCase(); // extension selects content type
+  const type = MIME_TYPES[ext] || 'application/octet-stream'; // unknown types download safely
+  const headers = {'Content-Type': type, 'Cache-Control': 'no-cache'}; // dev responses always revalidate
+  if(ext === '.html'){
+   const core = await currentCore(); // current hashed file for rewrite
+   const html = await fs.readFile(file, 'utf8'); // html is small enough to buffer
+   res.writeHead(200, headers); // html always served uncompressed after rewrite
+   res.end(rewriteHtml(html, core && core.file)); // serves rewritten document
+   return;
+  }
+  const accepted = String(req.headers['accept-encoding'] || ''); // client supported encodings
+  for(const [encoding, suffix] of ENCODINGS){ // tries precompressed siblings in preference order
+   if(!new RegExp(`\\b${encoding}\\b`).test(accepted)){ continue; } // skips encodings the client cannot decode
+   const body = await fs.readFile(file + suffix).catch(() => null); // missing sibling falls through
+   if(!body){ continue; } // tries next encoding
+   res.writeHead(200, {...headers, 'Content-Encoding': encoding, Vary: 'Accept-Encoding'}); // original type with encoding header
+   res.end(body); // sends compressed bytes
+   return;
+  }
+  const body = await fs.readFile(file); // plain file contents
+  res.writeHead(200, {...headers, Vary: 'Accept-Encoding'}); // varies because siblings may exist later
+  res.end(body); // sends file
+ }
+
+ const server = http.createServer((req, res) => {
+  handle(req, res).catch(err => { // converts filesystem errors into HTTP responses
+   if(err.code === 'ENOENT' || err.code === 'EISDIR'){ res.writeHead(404); res.end('Not Found'); return; } // missing files are normal 404s
+   qerrors(err, 'serve request failed', {url:req.url}); // logs unexpected failures
+   if(!res.headersSent){ res.writeHead(500); } // only sets status when still possible
+   res.end('Internal Server Error'); // closes response
+  });
+ });
+ await new Promise((resolve, reject) => { server.once('error', reject); server.listen(port, resolve); }); // waits until socket is bound
+ const address = server.address().port; // actual port when 0 was requested
+
+ let watcher = null; // build watch handle when enabled
+ if(opts.watch !== false){
+  const build = require('./build'); // lazy require keeps static serving usable without build dependencies
+  watcher = build.watch({delay:opts.delay, onRebuild: async result => { // rebuild reports drive live reload
+   if(result.error){ return; } // failed builds keep the previous stylesheet
+   const core = await currentCore(); // reads manifest written by the rebuild
+   if(core){ broadcast('css', {file:core.file, integrity:core.integrity || ''}); } // tells pages to swap stylesheet
+  }});
+ }
+
+ const handleOut = {
+  server, // underlying http server
+  port: address, // bound port
+  broadcast, // exposed for tooling and tests
+  async close(){ // stops watcher, event streams and server
+   if(watcher){ await watcher.close(); } // waits for in-flight rebuild before releasing the directory
+   clients.forEach(res => res.end()); // ends open event streams so close() can finish
+   clients.clear(); // drops references
+   await new Promise(resolve => server.close(resolve)); // resolves when server stops
+  }
+ };
+ console.log(`serve is returning http://localhost:${address}/`); // logs url for developers
+ return handleOut; // returns server handle
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Rationale: npm run serve starts the server; failures such as a busy port
+ * set a non-zero exit code for scripts that launch it.
+ */
+if(require.main === module){
+ serve().catch(err => { // handles startup failures
+  qerrors(err, 'serve script failure', {args:process.argv.slice(2)}); // structured log for debugging
+  process.exitCode = 1; // signals failure to calling process
+ });
+}
+
+module.exports = serve; // exports server factory for tooling and tests
+module.exports.rewriteHtml = rewriteHtml; // exposes html rewrite for unit tests
@@ -0,0 +1,138 @@
+/*
+ * THEME GENERATOR - PALETTE FROM A BRAND COLOR
+ *
+ * PURPOSE AND RATIONALE:
+ * A new palette used to mean hand-editing a dozen values in variables.css,
+ * and the Shoelace primary scale drifted out of sync with the brand. This
+ * tool derives every color token from one brand color (plus an optional
+ * accent) and writes a file that can replace variables.css.
+ *
+ * DESIGN DECISIONS:
+ * - variables.css is the template: its structure, non-color tokens
+ *   (corners, shadows, transparency) and the light theme blocks are kept, and
+ *   only generated tokens are rewritten, so new tokens never go missing
+ * - Comments are dropped because they describe the stock palette
+ * - The grayscale ramps take the brand hue with capped saturation so neutrals
+ *   feel related to the brand; a gray brand gives a true gray ramp
+ * - --link and --warn stay conventional blue/red for recognizability
+ * - The light blocks get their own --color-dominant (a pale brand tint that
+ *   the aside text sits on) and --color-bright (the accent darkened until it
+ *   reaches 4.5:1 on the light page), mirroring the stock light palette
+ * - Derived tokens (gradients, glows, borders) already use var() and follow
+ *   automatically; only hardcoded colors are regenerated
+ */
+
+const fs = require('fs').promises; // promise based reads and writes
+const path = require('path'); // resolves template and output paths
+const postcss = require('postcss'); // edits the variables.css template in place
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+const {parseHex, rgbToHsl, hslToRgb, hsl, contrastRatio} = require('./utils/color'); // palette math and WCAG ratios
+
+const TEMPLATE = path.join(__dirname, '..', 'variables.css'); // stylesheet whose structure is reproduced
+const SHOELACE_STEPS = {50:97, 100:94, 200:86, 300:76, 400:64, 500:52, 600:42, 700:34, 800:27, 900:18, 950:9}; // step -> lightness, darkest steps stay readable as text
+const LIGHT_SELECTORS = [':root[data-theme="light"]', ':root:not([data-theme])']; // light theme blocks in variables.css
+
+/*
+ * READABLE SHADE
+ * Rationale: Hue and saturation decide how dark a color must be for 4.5:1
+ * (yellow needs far less lightness than blue), so the lightness is lowered
+ * step by step instead of using one fixed value.
+ */
+function readableShade(h, s, backgrounds, start = 40){
+ let l = start; // lightest candidate
+ while(l > 0 && backgrounds.some(bg => contrastRatio(parseHex(hsl(h, s, l)), parseHex(bg)) < 4.5)){ l -= 1; } // darkens until every background passes AA
+ return hsl(h, s, l); // returns hex color
+}
+
+/*
+ * PALETTE DERIVATION
+ * Rationale: Offsets mirror the stock palette's relationships (two is a
+ * lighter, slightly warmer dominant; bright is a lighter two) so generated
+ * themes keep the same visual hierarchy.
+ */
+function generateTheme(brand, opts = {}){
+ console.log(`generateTheme is running with ${brand}`); // entry log for debugging
+ const base = rgbToHsl(parseHex(brand)); // brand hue, saturation and lightness
+ const two = opts.accent ? rgbToHsl(parseHex(opts.accent)) : {h:base.h + 10, s:base.s, l:Math.min(base.l + 6, 85)}; // accent or derived secondary
+ const tint = max => Math.min(base.s, max); // neutral saturation capped by the brand's own
+ const {r, g, b} = hslToRgb(base); // brand channels for rgba shadows
+ const dark = { // :root tokens
+  '--gs-lightest': hsl(base.h, tint(12), 96),
+  '--gs-mid': hsl(base.h, tint(24), 44),
+  '--gs-dark': hsl(base.h, tint(30), 22),
+  '--gs-darkest': hsl(base.h, tint(40), 13),
+  '--color-dominant': hsl(base.h, base.s, base.l),
+  '--color-two': hsl(two.h, two.s, two.l),
+  '--color-bright': hsl(two.h, two.s, Math.min(two.l + 12, 90)),
+  '--bg-page-end': hsl(base.h, tint(45), 17),
+  '--box-glow-dominant': `0 4px 14px 0 rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, 0.15)`
+ };
+ Object.keys(SHOELACE_STEPS).forEach(step => { // Shoelace expects space separated rgb channels
+  const c = hslToRgb({h:base.h, s:base.s, l:SHOELACE_STEPS[step]}); // scale color at this lightness
+  dark[`--sl-color-primary-${step}`] = [c.r, c.g, c.b].map(Math.round).join(' '); // "r g b" triplet
+ });
+ const light = { // reversed ramp, see variables.css LIGHT THEME
+  '--gs-lightest': hsl(base.h, tint(40), 13),
+  '--gs-mid': hsl(base.h, tint(24), 44),
+  '--gs-dark': hsl(base.h, tint(25), 88),
+  '--gs-darkest': hsl(base.h, tint(25), 97),
+  '--bg-page-end': hsl(base.h, tint(30), 92),
+  '--color-dominant': hsl(base.h, tint(45), 85)
+ };
+ light['--color-bright'] = readableShade(two.h, two.s, [light['--gs-darkest'], light['--bg-page-end']]); // h4, a:hover and button text on the light page
+ const result = {dark, light}; // tokens per theme block
+ console.log(`generateTheme is returning ${Object.keys(dark).length + Object.keys(light).length} tokens`); // logs token count
+ return result; // returns {dark, light}
+}
+
+/*
+ * TEMPLATE RENDERING
+ * Rationale: postcss edits declarations in place so formatting and order
+ * match variables.css; tokens the template lacks throw to catch drift.
+ */
+function renderTheme(theme, template, header = ''){
+ console.log(`renderTheme is running with ${template.length}`); // entry log with template size
+ const root = postcss.parse(template); // template tree edited in place
+ const written = new Set(); // "block:prop" pairs replaced
+ root.walkRules(rule => {
+  const block = rule.selector === ':root' && rule.parent.type === 'root' ? 'dark' : LIGHT_SELECTORS.includes(rule.selector) ? 'light' : null; // theme block kind
+  if(!block){ return; } // other rules such as html are copied unchanged
+  rule.walkDecls(decl => { if(theme[block][decl.prop] !== undefined){ decl.value = theme[block][decl.prop]; written.add(`${block}:${decl.prop}`); } }); // replaces generated values
+ });
+ const missing = ['dark', 'light'].flatMap(block => Object.keys(theme[block]).filter(prop => !written.has(`${block}:${prop}`))); // tokens with no slot in the template
+ if(missing.length){ throw new Error(`template lacks tokens: ${missing.join(', ')}`); } // template and generator out of sync
+ root.walkComments(comment => comment.remove()); // stock descriptions no longer apply
+ const css = `${header}${root.toString().replace(/\n[ \t]*(?=\n)/g, '\n').replace(/\n{3,}/g, '\n\n').trim()}\n`; // collapses gaps left by removed comments
+ console.log(`renderTheme is returning ${css.length}`); // logs output size
+ return css; // returns stylesheet text
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Usage: node scripts/theme.js <brand> [accent] [out.css]
+ * The accent may be omitted (node scripts/theme.js 1e40af brand.css).
+ * Output defaults to theme.css so variables.css is only replaced on purpose.
+ */
+async function run(brand, accent, outFile = 'theme.css'){
+ console.log(`run is running with ${brand}`); // entry log for debugging
+ try {
+  if(!brand){ throw new Error('usage: node scripts/theme.js <brand> [accent] [out.css]'); } // brand color is required
+  if(accent && /\.css$/i.test(accent)){ outFile = accent; accent = undefined; } // second argument was the output file
+  const theme = generateTheme(brand, {accent}); // palette tokens
+  const header = `/* Generated by scripts/theme.js from ${brand}${accent ? ` with accent ${accent}` : ''} */\n`; // records inputs for regeneration
+  const css = renderTheme(theme, await fs.readFile(TEMPLATE, 'utf8'), header); // variables.css compatible output
+  await fs.writeFile(outFile, css, 'utf8'); // persists token file
+  console.log(`theme written to ${path.resolve(outFile)}`); // concise summary
+  console.log(`run is returning 0`); // exit log
+  return 0; // success code
+ } catch(err){
+  qerrors(err, 'theme generation failed', {brand, accent, outFile}); // structured log for debugging
+  throw err; // rethrows so cli sets exit code
+ }
+}
+
+if(require.main === module){
+ run(...process.argv.slice(2)).catch(() => { process.exitCode = 1; }); // error already logged by run
+}
+
+module.exports = {generateTheme, renderTheme, run}; // exposes generator for tests and tooling
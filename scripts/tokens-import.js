@@ -0,0 +1,168 @@
+/*
+ * DESIGN TOKEN IMPORT - DTCG / FIGMA JSON TO VARIABLES.CSS
+ *
+ * PURPOSE AND RATIONALE:
+ * Designers keep tokens in Figma and export W3C design-token (DTCG) JSON.
+ * This command maps those tokens onto the qoreCSS custom properties,
+ * validates their types and rewrites variables.css so the next build ships
+ * them, instead of someone copying values across by hand.
+ *
+ * DESIGN DECISIONS:
+ * - variables.css is edited in place with postcss so comments, order and
+ *   tokens the file does not cover survive; only values change
+ * - Token paths map to names by joining groups with "-" (color.dominant ->
+ *   --color-dominant); $extensions["com.qorecss"].cssVar (written by the
+ *   build's tokens.dtcg.json) wins, and a --map file renames paths or whole
+ *   groups ("neutral.*": "gs-*")
+ * - Only existing variables are updated; unknown tokens are reported and
+ *   skipped because qore.css could not use them anyway
+ * - Types are checked against the value variables.css holds today, and all
+ *   problems are reported together before anything is written
+ * - A token whose value equals what variables.css already resolves to is left
+ *   alone, so var() references such as gradients built from palette colors
+ *   are kept when a file exported by the build is imported back
+ */
+
+const fs = require('fs').promises; // promise based reads and writes
+const path = require('path'); // reports the absolute output path
+const postcss = require('postcss'); // edits token values in variables.css in place
+const qerrors = require('./utils/logger'); // centralized error logging with contextual information
+const {THEMES, parseTokens, resolveValue, tokenType} = require('./utils/tokens'); // current token values and types
+const {DTCG_TYPES, dtcgValue, fromDtcg} = require('./utils/token-formats'); // dtcg value conversion
+
+const LIGHT_SELECTORS = [':root[data-theme="light"]', ':root:not([data-theme])']; // light theme blocks in variables.css
+
+/*
+ * TOKEN FLATTENING
+ * Rationale: DTCG nests tokens in groups and lets groups declare $type for
+ * their children, so each token is returned with its dotted path and
+ * inherited type.
+ */
+function flattenTokens(doc){
+ const tokens = []; // {path, type, value, extensions}
+ (function walk(node, trail, type){
+  if(!node || typeof node !== 'object' || Array.isArray(node)){ return; } // only objects hold tokens
+  const own = node.$type || type; // type inherited from enclosing groups
+  if(Object.prototype.hasOwnProperty.call(node, '$value')){ tokens.push({path:trail.join('.'), type:own, value:node.$value, extensions:node.$extensions}); return; } // token leaf
+  Object.keys(node).filter(key => !key.startsWith('$')).forEach(key => walk(node[key], [...trail, key], own)); // nested groups
+ })(doc, [], undefined);
+ return tokens; // returns tokens in document order
+}
+
+function slug(text){
+ return text.trim().toLowerCase().replace(/[\s./_]+/g, '-'); // "Color/Dominant" -> color-dominant
+}
+
+/*
+ * NAME MAPPING
+ * Rationale: Exact map entries win over group entries, and longer group
+ * prefixes over shorter ones, so one map can rename a group and fix a
+ * single token inside it.
+ */
+function mapName(token, map = {}){
+ const ext = token.extensions && token.extensions['com.qorecss']; // round trip data from the build
+ if(ext && ext.cssVar){ return ext.cssVar; } // exported by qoreCSS itself
+ const dashed = name => name.startsWith('--') ? name : `--${name}`; // map values may omit dashes
+ if(map[token.path]){ return dashed(map[token.path]); } // exact path
+ const group = Object.keys(map).filter(key => key.endsWith('.*') && token.path.startsWith(key.slice(0, -1))).sort((a, b) => b.length - a.length)[0]; // most specific group
+ if(group){ return dashed(`${map[group].replace(/\*$/, '')}${slug(token.path.slice(group.length - 1))}`); } // group prefix replaced
+ return `--${slug(token.path)}`; // path joined with dashes
+}
+
+/*
+ * IMPORT
+ * Rationale: Pure function over the DTCG document and variables.css text so
+ * tests and the CLI share it. Returns the new stylesheet plus which
+ * variables changed and which tokens were skipped.
+ */
+function importTokens(doc, template, opts = {}){
+ console.log(`importTokens is running with ${template.length}`); // entry log with template size
+ if(!doc || typeof doc !== 'object' || Array.isArray(doc)){ throw new Error('design tokens must be a JSON object'); } // arrays and scalars are not DTCG
+ const tokens = flattenTokens(doc); // every token leaf
+ if(!tokens.length){ throw new Error('no design tokens found'); } // wrong file or empty export
+ const names = new Map(tokens.map(token => [token.path, mapName(token, opts.map)])); // path -> css variable
+ const raw = parseTokens(template); // current raw values per theme
+ const ref = target => { const name = names.get(target.trim()) || `--${slug(target)}`; if(raw.dark[name] === undefined){ throw new Error(`unknown reference {${target}}`); } return `var(${name})`; }; // alias -> var()
+ const same = (type, css, theme, prop) => { // compares in the dtcg domain so formatting differences do not count
+  if(css === raw[theme][prop]){ return true; } // identical source text
+  const now = resolveValue(raw[theme][prop], raw[theme], new Set([prop])); // current effective value
+  const next = resolveValue(css, raw[theme], new Set([prop])); // imported value against current tokens
+  return now !== null && next !== null && JSON.stringify(dtcgValue(type, now)) === JSON.stringify(dtcgValue(type, next)); // same typed value
+ };
+ const changes = {dark:{}, light:{}}; // theme -> prop -> css value
+ const skipped = []; // tokens with no matching variable
+ const errors = []; // type and value problems
+ tokens.forEach(token => {
+  const prop = names.get(token.path); // target variable
+  if(raw.dark[prop] === undefined){ skipped.push(`${token.path} (${prop} not in variables.css)`); return; } // unknown to qore.css
+  try {
+   const current = resolveValue(raw.dark[prop], raw.dark, new Set([prop])); // value deciding the expected type
+   const type = tokenType(current ?? raw.dark[prop]); // qorecss type of the variable
+   if(token.type && !(DTCG_TYPES[token.type] || []).includes(type)){ throw new Error(`${prop} expects ${type}, got ${token.type}`); } // type mismatch
+   const angle = (raw.dark[prop].match(/gradient\(\s*(-?[\d.]+deg|to [\w ]+?)\s*,/) || [])[1]; // keeps the gradient direction
+   const ext = token.extensions && token.extensions['com.qorecss'] || {}; // light values and gradient angle
+   const values = {dark:token.value}; // dtcg value per theme
+   if(ext.light !== undefined){ values.light = ext.light; } // light palette from extensions
+   THEMES.filter(theme => values[theme] !== undefined).forEach(theme => {
+    const css = fromDtcg(type, values[theme], ref, {angle:ext.angle || angle}); // css text
+    if(!same(type, css, theme, prop)){ changes[theme][prop] = css; } // only real changes are written
+   });
+  } catch(err){
+   errors.push(`${token.path}: ${err.message}`); // collected so every problem is reported at once
+  }
+ });
+ if(errors.length){ throw new Error(`invalid design tokens:\n  ${errors.join('\n  ')}`); } // nothing written on errors
+ const root = postcss.parse(template); // template tree edited in place
+ root.walkRules(rule => {
+  const block = rule.selector === ':root' && rule.parent.type === 'root' ? 'dark' : LIGHT_SELECTORS.includes(rule.selector) ? 'light' : null; // theme block kind
+  if(!block){ return; } // other rules copied unchanged
+  const pending = {...changes[block]}; // props still to write in this block
+  rule.walkDecls(decl => { if(pending[decl.prop] !== undefined){ decl.value = pending[decl.prop]; delete pending[decl.prop]; } }); // replaces values in place
+  if(block === 'light'){ // light overrides the block did not have yet
+   Object.keys(pending).forEach(prop => {
+    let last = null; // last custom property of the block
+    rule.each(node => { if(node.type === 'decl' && node.prop.startsWith('--')){ last = node; } }); // keeps new tokens with the others
+    if(!last){ rule.append({prop, value:pending[prop]}); return; } // block without tokens yet, e.g. only color-scheme
+    const anchor = last.next() && last.next().type === 'comment' && !last.next().raws.before.includes('\n') ? last.next() : last; // skips a same-line comment
+    anchor.after(last.clone({prop, value:pending[prop]})); // same indentation as existing tokens
+   });
+  }
+ });
+ const changed = [...new Set([...Object.keys(changes.dark), ...Object.keys(changes.light)])]; // variables with a new value
+ const result = {css:root.toString(), changed, changes, skipped}; // import outcome
+ console.log(`importTokens is returning ${changed.length} changed`); // logs change count
+ return result; // returns {css, changed, changes, skipped}
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Usage: node scripts/tokens-import.js <tokens.json> [out.css] [--map=map.json] [--dry-run]
+ * Output defaults to variables.css so the next build picks the tokens up;
+ * --dry-run prints the changes without writing.
+ */
+async function run(args = []){
+ console.log(`run is running with ${args.join(' ')}`); // entry log for debugging
+ const [file, outFile = 'variables.css'] = args.filter(a => !a.startsWith('--')); // input json and output stylesheet
+ const mapArg = args.find(a => a.startsWith('--map=')); // optional name map
+ try {
+  if(!file){ throw new Error('usage: node scripts/tokens-import.js <tokens.json> [out.css] [--map=map.json] [--dry-run]'); } // token file is required
+  const doc = JSON.parse(await fs.readFile(file, 'utf8')); // designer export
+  const map = mapArg ? JSON.parse(await fs.readFile(mapArg.slice(6), 'utf8')) : {}; // path or group renames
+  const result = importTokens(doc, await fs.readFile(outFile, 'utf8'), {map}); // updated stylesheet
+  THEMES.forEach(theme => Object.keys(result.changes[theme]).forEach(prop => console.log(`  ${theme.padEnd(5)} ${prop}: ${result.changes[theme][prop]}`))); // lists every change
+  result.skipped.forEach(entry => console.warn(`  skipped ${entry}`)); // tokens qore.css has no variable for
+  if(args.includes('--dry-run')){ console.log(`${result.changed.length} tokens would change (dry run)`); } // preview only
+  else { await fs.writeFile(outFile, result.css, 'utf8'); console.log(`${result.changed.length} tokens written to ${path.resolve(outFile)}`); } // persists stylesheet
+  console.log(`run is returning 0`); // exit log
+  return 0; // success code
+ } catch(err){
+  qerrors(err, 'token import failed', {file, outFile}); // structured log for debugging
+  throw err; // rethrows so cli sets exit code
+ }
+}
+
+if(require.main === module){
+ run(process.argv.slice(2)).catch(err => { console.error(err.message); process.exitCode = 1; }); // validation errors are printed for designers
+}
+
+module.exports = {flattenTokens, mapName, importTokens, run}; // exposes importer for tests and tooling
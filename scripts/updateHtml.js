@@ -9,9 +9,11 @@
  * 
  * 1. HASH SYNCHRONIZATION: Updates CSS file references to match the current build hash
  * 2. CDN TEMPLATING: Replaces CDN placeholder tokens with actual URLs for flexibility
+ * 3. SUBRESOURCE INTEGRITY: Keeps integrity/crossorigin on hashed link tags in sync
+ * 4. CRITICAL CSS (opt-in): Inlines above-the-fold rules and loads the full stylesheet without blocking render
  * 
  * DESIGN DECISIONS:
- * - Reads hash from build.hash file to maintain loose coupling with build script
+ * - Reads hashed filenames from the build manifest to maintain loose coupling with build script
  * - Uses regex replacement to handle multiple references in a single pass
  * - Environment variable override allows different CDN endpoints (staging/production)
  * - Placeholder templating enables runtime CDN switching without code changes
@@ -23,38 +25,101 @@
 const fs = require('fs').promises; // File system operations using promises for consistent async patterns
 const path = require('path'); // path module for absolute path resolution during concurrent updates
 const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
-const {parseEnvString, trimTrailingSlashes} = require('./utils/env-config'); // standardizes CDN URL retrieval with fallback and trimming utility
+const {parseEnvBool, parseEnvString, trimTrailingSlashes} = require('./utils/env-config'); // standardizes CDN URL retrieval with fallback and trimming utility
+const {primaryEntry, readManifest} = require('./utils/manifest'); // reads hashed filenames produced by the build
+const {ANY_HASH, isValidHash, manifestHashFormat} = require('./utils/hash-format'); // validates hashes against the format the build recorded
+
+/*
+ * STYLESHEET REFERENCE PATTERN
+ * Rationale: Rollback's dry run counts the references updateHtml would
+ * rewrite, so both use the same pattern. Matches qore.css, name.min.css and
+ * name.[hash].min.css with any supported hash length, so references from a
+ * build with a previously configured HASH_LENGTH are still rewritten.
+ */
+function stylesheetReference(name){
+ return new RegExp(`(?:qore\\.css|${name}\\.min\\.css|${name}\\.${ANY_HASH}\\.min\\.css)(?!\\.(?:gz|br|map))`, 'g'); // negative lookahead avoids altering compressed files and source maps
+}
+
+/*
+ * LINK INTEGRITY HELPER
+ * Rationale: Rewrites only <link> tags pointing at the hashed stylesheet so
+ * unrelated third-party links keep their own attributes. Existing integrity
+ * and crossorigin values are always removed first; a stale digest left on a
+ * renamed link would make browsers refuse the new stylesheet.
+ */
+function applyIntegrity(html, cssFile, integrity){
+ console.log(`applyIntegrity is running with ${cssFile}`); // entry log for debugging
+ const result = html.replace(/<link\b[^>]*>/gi, tag => { // visits every link tag in the document
+  const href = (tag.match(/\bhref\s*=\s*["']([^"']*)["']/i) || [])[1] || ''; // extracts href attribute value
+  const file = href.split('/').pop().split('?')[0].split('#')[0]; // strips path, query and fragment like injectCss
+  if(file !== cssFile){ return tag; } // leaves unrelated links untouched
+  const stripped = tag.replace(/\s+(?:integrity|crossorigin)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi, ''); // drops stale SRI attributes
+  if(!integrity){ return stripped; } // no digest recorded (build.hash fallback) so leave link without SRI
+  return stripped.replace(/\s*(\/?)>$/, ` integrity="${integrity}" crossorigin="anonymous"$1>`); // appends fresh SRI before tag close
+ });
+ console.log(`applyIntegrity is returning ${result.length}`); // logs resulting length
+ return result; // returns html with refreshed link attributes
+}
+
+/*
+ * CRITICAL CSS HELPER
+ * Rationale: Inlines the critical rules right before the hashed link and
+ * switches that link to rel="preload" with an onload swap, plus a noscript
+ * fallback. Previously inlined blocks are removed first so reruns replace
+ * rather than stack them.
+ */
+function applyCritical(html, cssFile, criticalCss){
+ console.log(`applyCritical is running with ${cssFile}`); // entry log for debugging
+ const cleaned = html.replace(/\s*<style data-qore-critical>[\s\S]*?<\/style>/gi, '').replace(/\s*<noscript data-qore-critical>[\s\S]*?<\/noscript>/gi, ''); // drops output of earlier runs
+ let applied = false; // only the first matching link is converted
+ const result = cleaned.replace(/([ \t]*)(<link\b[^>]*>)/gi, (match, indent, tag) => { // visits every link tag with its indentation
+  const href = (tag.match(/\bhref\s*=\s*["']([^"']*)["']/i) || [])[1] || ''; // extracts href attribute value
+  const file = href.split('/').pop().split('?')[0].split('#')[0]; // strips path, query and fragment like injectCss
+  if(applied || file !== cssFile){ return match; } // leaves unrelated links untouched
+  applied = true; // later duplicates stay as they are
+  const preload = tag.replace(/\s+(?:rel|as|onload)\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi, '').replace(/^<link\b/i, `<link rel="preload" as="style" onload="this.onload=null;this.rel='stylesheet'"`); // non-blocking load swapping to stylesheet when ready
+  const style = `${indent}<style data-qore-critical>${criticalCss.replace(/<\/style/gi, '<\\/style')}</style>`; // inline rules for first paint
+  const noscript = `${indent}<noscript data-qore-critical><link rel="stylesheet" href="${href}"></noscript>`; // loads stylesheet normally without javascript
+  return `${style}\n${indent}${preload}\n${noscript}`; // replaces original link in place
+ });
+ console.log(`applyCritical is returning ${applied}`); // logs whether a link was converted
+ return result; // returns html with critical css applied
+}
 
 /*
  * HTML UPDATE FUNCTION
  * 
  * PROCESS FLOW:
- * 1. Read current build hash from persistent storage
+ * 1. Read current build manifest (or build.hash fallback) from persistent storage
  * 2. Read existing HTML content
  * 3. Replace CSS filename references with current hash
  * 4. Replace CDN placeholder with actual CDN URL
- * 5. Write updated HTML back to file
+ * 5. Inline critical css and preload the hashed link (--critical or CRITICAL_CSS=true)
+ * 6. Refresh integrity/crossorigin attributes on hashed link tags
+ * 7. Write updated HTML back to file
  * 
  * ERROR HANDLING:
  * Comprehensive try/catch with detailed logging enables debugging of file system
  * issues, missing dependencies, or regex replacement failures.
  */
-async function updateHtml(){
+async function updateHtml(opts = {}){
  console.log(`updateHtml is running with ${process.argv.length}`); // Logs function entry for debugging and monitoring
  try {
   const cwd = process.cwd(); // captures working directory at invocation for concurrency safety
+  const critical = opts.critical ?? (process.argv.includes('--critical') || parseEnvBool('CRITICAL_CSS')); // opt-in critical css inlining
 
   /*
    * HASH RETRIEVAL
-   * Rationale: Reading from build.hash file creates loose coupling between build
+   * Rationale: Reading from the build manifest creates loose coupling between build
    * and HTML update processes. This allows build script to run independently
    * and HTML updates to happen later in the deployment pipeline.
-   * trim() removes any whitespace that might interfere with filename generation.
+   * readManifest falls back to build.hash so older pipelines keep working.
    */
-  const hashPath = path.join(cwd, 'build.hash'); // computes absolute path using captured cwd
-  await fs.access(hashPath); // ensures hash file exists before reading for graceful error handling
-  const hash = (await fs.readFile(hashPath,'utf8')).trim(); // Reads current build hash for filename replacement
-  if(!/^[a-f0-9]{8}$/.test(hash)){ // verifies hash format to prevent malformed filenames
+  const manifest = await readManifest(cwd); // reads manifest using captured cwd for concurrency safety
+  const hash = manifest.hash; // current build hash for validation and return value
+  const primary = primaryEntry(manifest); // primary stylesheet entry, core unless built with another name
+  const cssFile = primary.file; // hashed filename recorded by build
+  if(!isValidHash(hash, manifestHashFormat(manifest))){ // verifies hash matches the build's format to prevent malformed filenames
     qerrors(new Error('invalid hash'), 'updateHtml invalid hash', {hash}); // logs invalid hash context for debugging
     console.log('updateHtml is returning 1'); // communicates early failure code
     return 1; // aborts update when hash malformed
@@ -85,7 +150,7 @@ async function updateHtml(){
    * Rationale: Single regex now also matches core.min.css to update legacy templates.
    * Global flag (g) ensures all references update in one pass for consistency.
    */
-  let updated = html.replace(/(?:qore\.css|core\.min\.css|core\.[a-f0-9]{8}\.min\.css)(?!\.(?:gz|br))/g, `core.${hash}.min.css`); // negative lookahead avoids altering compressed files
+  let updated = html.replace(stylesheetReference(primary.name), () => cssFile); // rewrites every reference form to the hashed file
   
   /*
    * CDN PLACEHOLDER SUBSTITUTION
@@ -97,6 +162,25 @@ async function updateHtml(){
    * Global replacement ensures all CDN references are consistent.
    */
   updated = updated.replace(/\{\{CDN_BASE_URL\}\}/g, () => cdnUrl); // passes function so "$" chars remain literal when inserting URL
+
+  /*
+   * CRITICAL CSS INLINING
+   * Rationale: Computed from the built stylesheet on disk so the inlined
+   * rules always match the hash being linked. Runs before integrity so the
+   * noscript fallback link receives SRI attributes as well.
+   */
+  if(critical){
+   const {extractCritical} = require('./critical'); // lazy so jsdom is only loaded when requested
+   const css = await fs.readFile(path.join(cwd, cssFile), 'utf8').catch(err => { qerrors(err, 'updateHtml critical css skipped', {cssFile}); return null; }); // hashed stylesheet may live only on the CDN
+   if(css !== null){ updated = applyCritical(updated, cssFile, extractCritical(updated, css).css); } // inlines rules and preloads full stylesheet
+  }
+
+  /*
+   * SUBRESOURCE INTEGRITY ATTRIBUTES
+   * Rationale: The manifest records a sha384 digest for the hashed stylesheet.
+   * Adding it with crossorigin="anonymous" lets browsers verify CDN copies.
+   */
+  updated = applyIntegrity(updated, cssFile, primary.integrity); // refreshes SRI on matching links
   
   /*
    * HTML FILE UPDATE
@@ -105,7 +189,7 @@ async function updateHtml(){
    */
   await fs.writeFile(htmlPath, updated, 'utf8'); // Persists updated HTML using explicit UTF-8 encoding for cross-platform consistency
 
-  console.log(`updateHtml has run resulting in core.${hash}.min.css`); // Logs successful completion with resulting filename
+  console.log(`updateHtml has run resulting in ${cssFile}`); // Logs successful completion with resulting filename
   console.log(`updateHtml is returning ${hash}`); // Logs return value for debugging
   return hash; // Returns hash for programmatic usage by calling scripts
  } catch(err){
@@ -137,3 +221,4 @@ if(require.main === module){
 }
 
 module.exports = updateHtml; // Exports function for use by other scripts in the build pipeline
+module.exports.stylesheetReference = stylesheetReference; // shares the reference pattern with rollback's dry run
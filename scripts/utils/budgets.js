@@ -0,0 +1,121 @@
+/*
+ * BUNDLE SIZE BUDGETS
+ *
+ * PURPOSE AND RATIONALE:
+ * The minified bundle can grow release after release without anyone
+ * noticing. The build already writes .gz and .br siblings and records every
+ * size in qore-manifest.json, so this module turns those sizes into a diff
+ * against the previous build and checks them against configured budgets.
+ *
+ * DESIGN DECISIONS:
+ * - Budgets are keyed by bundle name (core, tokens, base, utilities) with
+ *   raw, gzip and brotli limits, so each delivery format can be capped
+ * - Sizes are bytes or strings with B, kB or MB units; 1 kB is 1024 bytes
+ * - size-budgets.json wins over the "sizeBudgets" field of package.json so
+ *   a project can keep budgets out of its package metadata
+ * - Previous sizes come from the manifest being replaced; a first build or
+ *   a build.hash-only directory simply has no previous column
+ */
+
+const fs = require('fs'); // synchronous reads keep option resolution synchronous
+const path = require('path'); // resolves config files against the working directory
+
+const BUDGET_FILE = 'size-budgets.json'; // optional config file beside package.json
+const METRICS = {raw:'', gzip:'.gz', brotli:'.br'}; // metric -> manifest suffix after name.min.css
+const UNITS = {b:1, kb:1024, kib:1024, mb:1024 * 1024, mib:1024 * 1024}; // accepted size units
+
+function parseSize(value){
+ if(typeof value === 'number' && Number.isFinite(value) && value >= 0){ return value; } // plain bytes
+ const m = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i); // number with optional unit
+ if(!m || !(m[2] === '' || UNITS[m[2].toLowerCase()])){ throw new Error(`invalid size budget: ${value}`); } // rejects typos such as "12kbs"
+ return Math.round(Number(m[1]) * (m[2] ? UNITS[m[2].toLowerCase()] : 1)); // bytes
+}
+
+function normalize(config, source){
+ if(!config || typeof config !== 'object' || Array.isArray(config)){ throw new Error(`invalid size budgets in ${source}`); } // bundle map expected
+ const budgets = {}; // bundle -> metric -> bytes
+ for(const [bundle, limits] of Object.entries(config)){
+  if(!limits || typeof limits !== 'object'){ throw new Error(`invalid size budgets for ${bundle} in ${source}`); } // metric map expected
+  budgets[bundle] = {}; // limits for this bundle
+  for(const [metric, value] of Object.entries(limits)){
+   if(!(metric in METRICS)){ throw new Error(`unknown size budget metric: ${metric} (use raw, gzip or brotli)`); } // typos would never fail
+   budgets[bundle][metric] = parseSize(value); // bytes
+  }
+ }
+ return {source, budgets}; // normalized config with its origin
+}
+
+/*
+ * BUDGET LOADING
+ * Rationale: option is the build's "budgets" value: an object, a JSON file
+ * path, false to disable, or undefined to look for size-budgets.json and
+ * then package.json. Returns null when no budgets are configured.
+ */
+function loadBudgets(option, cwd = process.cwd()){
+ console.log(`loadBudgets is running with ${typeof option === 'object' ? 'object' : option}`); // entry log for debugging
+ let loaded = null; // normalized budgets or null
+ if(option === false || option === null){ loaded = null; } // disabled
+ else if(typeof option === 'object'){ loaded = normalize(option, 'build options'); } // programmatic budgets
+ else if(typeof option === 'string'){ loaded = normalize(JSON.parse(fs.readFileSync(path.resolve(cwd, option), 'utf8')), option); } // explicit file must exist
+ else if(option !== undefined){ throw new Error(`invalid budgets: ${option}`); } // numbers and booleans other than false
+ else if(fs.existsSync(path.join(cwd, BUDGET_FILE))){ loaded = normalize(JSON.parse(fs.readFileSync(path.join(cwd, BUDGET_FILE), 'utf8')), BUDGET_FILE); } // dedicated config file
+ else if(fs.existsSync(path.join(cwd, 'package.json'))){
+  const pkg = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8')); // project metadata
+  loaded = pkg.sizeBudgets ? normalize(pkg.sizeBudgets, 'package.json') : null; // optional field
+ }
+ console.log(`loadBudgets is returning ${loaded ? loaded.source : null}`); // logs where budgets came from
+ return loaded; // returns {source, budgets} or null
+}
+
+/*
+ * SIZE MEASUREMENT
+ * Rationale: Reads sizes from manifest entries ("core.min.css.gz") so the
+ * current and previous builds are measured the same way.
+ */
+function measureBundles(files = {}){
+ const sizes = {}; // bundle -> metric -> bytes
+ for(const [logical, entry] of Object.entries(files)){
+  const m = logical.match(/^(.+)\.min\.css(\.gz|\.br)?$/); // bundle name and compression suffix
+  if(!m || !entry || typeof entry.size !== 'number'){ continue; } // other artifacts or build.hash fallbacks
+  const metric = Object.keys(METRICS).find(k => METRICS[k] === (m[2] || '')); // raw, gzip or brotli
+  sizes[m[1]] = {...sizes[m[1]], [metric]:entry.size}; // merges formats per bundle
+ }
+ return sizes; // returns size map
+}
+
+/*
+ * COMPARISON
+ * Rationale: One row per bundle and measured format keeps the table and
+ * the JSON result aligned; budgets naming bundles that were not built are
+ * listed separately so a typo is visible instead of silently passing.
+ */
+function compareSizes(current, previous = {}, budgets = {}){
+ console.log(`compareSizes is running with ${Object.keys(current).join(',')}`); // entry log for debugging
+ const rows = []; // table rows
+ for(const [bundle, sizes] of Object.entries(current)){
+  for(const metric of Object.keys(METRICS)){
+   if(sizes[metric] === undefined){ continue; } // compression disabled or failed
+   const before = previous[bundle] && previous[bundle][metric] !== undefined ? previous[bundle][metric] : null; // last build's size
+   const budget = budgets[bundle] && budgets[bundle][metric] !== undefined ? budgets[bundle][metric] : null; // configured limit
+   rows.push({bundle, metric, size:sizes[metric], previous:before, delta:before === null ? null : sizes[metric] - before, budget, over:budget !== null && sizes[metric] > budget}); // one measurement
+  }
+ }
+ const report = {rows, exceeded:rows.filter(r => r.over), unknown:Object.keys(budgets).filter(b => !current[b])}; // table data, failures and stray budgets
+ console.log(`compareSizes is returning ${report.exceeded.length} exceeded`); // logs outcome
+ return report; // returns {rows, exceeded, unknown}
+}
+
+function formatBytes(n){
+ return n < 1024 ? `${n} B` : `${(n / 1024).toFixed(1)} kB`; // short human readable size
+}
+
+function formatSizeTable(report){
+ const header = ['bundle', 'format', 'size', 'previous', 'change', 'budget', '']; // column titles
+ const body = report.rows.map(r => [r.bundle, r.metric, formatBytes(r.size), r.previous === null ? '-' : formatBytes(r.previous), r.delta === null ? '-' : `${r.delta > 0 ? '+' : ''}${r.delta} B`, r.budget === null ? '-' : formatBytes(r.budget), r.over ? 'OVER BUDGET' : r.budget === null ? '' : 'ok']); // formatted cells
+ const widths = header.map((h, i) => Math.max(h.length, ...body.map(row => row[i].length))); // column widths
+ const lines = [header, ...body].map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()); // aligned rows
+ report.unknown.forEach(b => lines.push(`budget for unknown bundle: ${b}`)); // stray config entries
+ return lines.join('\n'); // returns printable table
+}
+
+module.exports = {BUDGET_FILE, METRICS, parseSize, loadBudgets, measureBundles, compareSizes, formatSizeTable}; // shares budget checks with build.js
@@ -0,0 +1,82 @@
+/*
+ * BUILD BUNDLE DEFINITIONS
+ *
+ * PURPOSE AND RATIONALE:
+ * qore.css ships as a single stylesheet, but some pages only need the design
+ * tokens or only the utility classes. The build produces these extra bundles
+ * beside the primary stylesheet; each is hashed, compressed and recorded in
+ * qore-manifest.json under "<name>.min.css".
+ *
+ * DESIGN DECISIONS:
+ * - tokens is built from variables.css like any other source stylesheet, so
+ *   it also carries that file's html background and light theme selectors
+ * - base and utilities are split from the processed primary stylesheet by
+ *   selector, so no source reorganization is needed and both layers stay in
+ *   sync with the primary bundle (base + utilities = primary)
+ * - A selector containing a class or id is a utility; element, pseudo and
+ *   universal selectors are base styles. Mixed selector lists are divided
+ * - @media/@supports blocks are split recursively; @keyframes follow the
+ *   utilities that reference them; everything else stays with base
+ */
+
+const postcss = require('postcss'); // parser shared with the postcss build step
+
+const BUNDLES = { // extra bundles built beside the primary stylesheet
+ tokens: {input: 'variables.css'}, // variables.css as written: custom properties, the html page background and the light theme blocks
+ base: {layer: 'base'}, // element normalization and typography
+ utilities: {layer: 'utilities'} // class and id based helpers
+};
+
+const NESTED_AT_RULES = ['media', 'supports', 'layer', 'container']; // at-rules whose children are split individually
+
+/*
+ * SELECTOR CLASSIFICATION
+ * Rationale: Attribute values and strings can contain "." or "#" (e.g.
+ * [href$=".pdf"]) so they are removed before looking for class or id tokens.
+ */
+function isUtilitySelector(selector){
+ const bare = selector.replace(/\[[^\]]*\]/g, '').replace(/"[^"]*"|'[^']*'/g, ''); // strips attribute selectors and strings
+ return /[.#]-?[_a-zA-Z]/.test(bare); // class or id token present
+}
+
+/*
+ * LAYER FILTER
+ * Rationale: Works on a cloned postcss root so the caller's tree is never
+ * mutated. Empty at-rules left behind are removed.
+ */
+function filterLayer(container, layer){
+ container.each(node => {
+  if(node.type === 'rule'){
+   const keep = node.selectors.filter(sel => isUtilitySelector(sel) === (layer === 'utilities')); // selectors belonging to this layer
+   if(keep.length === 0){ node.remove(); } else if(keep.length !== node.selectors.length){ node.selectors = keep; } // drops or narrows rule
+  } else if(node.type === 'atrule'){
+   if(NESTED_AT_RULES.includes(node.name.toLowerCase())){ // block of rules such as @media
+    filterLayer(node, layer); // splits children recursively
+    if(!node.nodes || node.nodes.length === 0){ node.remove(); } // removes emptied blocks
+   } else if(/keyframes$/i.test(node.name)){ // includes vendor prefixed keyframes
+    if(layer !== 'utilities'){ node.remove(); } // animations are applied through utility classes
+   } else if(layer !== 'base'){ // @font-face, @import, @charset and unknown at-rules
+    node.remove(); // kept only in base
+   }
+  } else if(node.type === 'comment'){
+   node.remove(); // comments would otherwise be duplicated in both layers
+  }
+ });
+ return container; // returns filtered container for chaining
+}
+
+/*
+ * CSS SPLITTER
+ * Rationale: Layers are filtered on a parsed tree so nested at-rules keep
+ * their structure in both bundles.
+ */
+function splitCss(css, layer){
+ console.log(`splitCss is running with ${layer}`); // entry log for debugging
+ if(layer !== 'base' && layer !== 'utilities'){ throw new Error(`unknown layer: ${layer}`); } // guards against typos in bundle config
+ const root = filterLayer(postcss.parse(css), layer); // parses and filters in one pass
+ const result = root.toString(); // serializes remaining nodes
+ console.log(`splitCss is returning ${result.length}`); // logs output size
+ return result; // returns css for the requested layer
+}
+
+module.exports = {BUNDLES, isUtilitySelector, splitCss}; // shares bundle config and splitter with build.js
@@ -0,0 +1,85 @@
+/*
+ * CLASS CATALOGUE
+ *
+ * PURPOSE AND RATIONALE:
+ * Tooling and editors need to know which classes qoreCSS provides without
+ * grepping qore.css. This module reads a stylesheet and describes every
+ * class: its own declarations, pseudo-class states, the @media overrides
+ * that change it and whether any of them use !important. The build writes
+ * the result as classes.json and index.js serves it.
+ *
+ * DESIGN DECISIONS:
+ * - A class is listed when any selector mentions it; declarations are taken
+ *   only from selectors that are exactly ".name" (or ".name:state" for
+ *   states) so ".card h2" does not claim to style .card itself
+ * - Selector lists are divided, so ".a, .b {...}" describes both classes
+ * - Later declarations overwrite earlier ones like the cascade, except that
+ *   an !important value is only replaced by another !important one; such
+ *   values keep their "!important" suffix
+ * - Rules inside @keyframes are skipped because their selectors are offsets
+ */
+
+const {selectorClasses} = require('./unused-classes'); // same class extraction the purge uses
+const postcss = require('postcss'); // walks the stylesheet's rules
+
+const isImportant = value => value.endsWith('!important'); // catalogue values carry the flag as a suffix
+
+function merge(target, decls){
+ for(const [prop, value] of Object.entries(decls)){
+  if(target[prop] !== undefined && isImportant(target[prop]) && !isImportant(value)){ continue; } // later normal declarations lose to important ones
+  target[prop] = value; // later declaration wins otherwise
+ }
+ return target; // returns merged declaration map
+}
+
+function declarations(rule){
+ const out = {}; // property -> value
+ rule.each(node => { if(node.type === 'decl'){ merge(out, {[node.prop]:node.important ? `${node.value} !important` : node.value}); } }); // direct declarations only
+ return out; // returns declaration map
+}
+
+function mediaOf(rule){
+ const queries = []; // enclosing @media params, outermost first
+ for(let p = rule.parent; p && p.type !== 'root'; p = p.parent){ if(p.type === 'atrule' && p.name === 'media'){ queries.unshift(p.params); } } // walks up nesting
+ return queries.length ? queries.join(' and ') : null; // null for unconditional rules
+}
+
+/*
+ * CATALOGUE BUILDING
+ * Rationale: Entries are keyed by class name in first-seen order, matching
+ * the stylesheet so diffs of classes.json read like diffs of qore.css.
+ */
+function buildClassCatalog(css, source = 'qore.css'){
+ console.log(`buildClassCatalog is running with ${source}`); // entry log for debugging
+ const classes = {}; // name -> catalogue entry
+ const entry = name => classes[name] || (classes[name] = {name, selectors:[], declarations:{}, states:{}, responsive:[], important:false}); // creates on first mention
+ postcss.parse(css).walkRules(rule => {
+  if(rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)){ return; } // keyframe offsets are not selectors
+  const media = mediaOf(rule); // responsive condition or null
+  const decls = declarations(rule); // this rule's declarations
+  const important = Object.values(decls).some(isImportant); // any important declaration
+  rule.selectors.forEach(selector => {
+   const names = [...new Set(selectorClasses(selector))]; // classes this selector needs
+   names.forEach(name => {
+    const item = entry(name); // catalogue entry
+    if(!item.selectors.includes(selector)){ item.selectors.push(selector); } // every selector mentioning the class
+    const own = selector.match(/^\.((?:\\.|[\w-])+)((?::{1,2}[\w-]+(?:\([^()]*\))?)*)$/); // ".name" with optional pseudo states
+    if(!own || own[1].replace(/\\(.)/g, '$1') !== name){ return; } // compound selectors only list the class
+    if(media){ // responsive override
+     const existing = item.responsive.find(r => r.media === media && r.state === (own[2] || undefined)); // merges repeated blocks
+     if(existing){ merge(existing.declarations, decls); } else { item.responsive.push({media, ...(own[2] ? {state:own[2]} : {}), declarations:{...decls}}); } // one entry per query and state
+    } else if(own[2]){
+     item.states[own[2]] = merge({...item.states[own[2]]}, decls); // :hover, ::before and similar
+    } else {
+     merge(item.declarations, decls); // base declarations
+    }
+    if(important){ item.important = true; } // flag covers base, states and overrides
+   });
+  });
+ });
+ const catalog = {source, count:Object.keys(classes).length, classes}; // classes.json contents
+ console.log(`buildClassCatalog is returning ${catalog.count} classes`); // logs class count
+ return catalog; // returns {source, count, classes}
+}
+
+module.exports = {buildClassCatalog}; // shares the catalogue with build.js and tooling
@@ -0,0 +1,115 @@
+/*
+ * COLOR CONVERSION HELPERS
+ *
+ * PURPOSE AND RATIONALE:
+ * The theme generator derives a whole palette from one brand color, which
+ * needs hex parsing and HSL arithmetic, and the contrast audit needs WCAG
+ * luminance math. These few conversions are small enough that a color
+ * library dependency is not worth adding.
+ *
+ * DESIGN DECISIONS:
+ * - Colors are {r, g, b} objects with 0-255 channels; HSL uses degrees and
+ *   0-100 percentages so values read like CSS hsl()
+ * - parseHex accepts only the hex forms variables.css uses for palette
+ *   tokens; parseColor adds alpha and rgb()/rgba() for audited values
+ * - Invalid input throws so a typo never silently yields black
+ */
+
+/*
+ * HEX PARSING
+ * Rationale: Accepts #rgb and #rrggbb with or without the leading "#" so
+ * shell users do not need to quote the argument.
+ */
+function parseHex(value){
+ const m = String(value || '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i); // short or long hex
+ if(!m){ throw new Error(`invalid color: ${value}`); } // rejects names, rgb() and typos
+ const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1]; // expands #abc to #aabbcc
+ return {r:parseInt(hex.slice(0, 2), 16), g:parseInt(hex.slice(2, 4), 16), b:parseInt(hex.slice(4, 6), 16)}; // channel values
+}
+
+function toHex({r, g, b}){
+ return `#${[r, g, b].map(c => Math.round(Math.min(255, Math.max(0, c))).toString(16).padStart(2, '0')).join('')}`; // clamped lowercase #rrggbb
+}
+
+/*
+ * HSL CONVERSION
+ * Rationale: Standard CSS Color 4 formulas; hue is normalized to 0-360 so
+ * callers can add offsets without wrapping themselves.
+ */
+function rgbToHsl({r, g, b}){
+ const [rn, gn, bn] = [r / 255, g / 255, b / 255]; // normalized channels
+ const max = Math.max(rn, gn, bn); // brightest channel
+ const min = Math.min(rn, gn, bn); // darkest channel
+ const l = (max + min) / 2; // lightness
+ const d = max - min; // chroma
+ let h = 0; // hue stays 0 for grays
+ let s = 0; // saturation stays 0 for grays
+ if(d !== 0){
+  s = d / (1 - Math.abs(2 * l - 1)); // saturation relative to lightness
+  if(max === rn){ h = ((gn - bn) / d) % 6; } else if(max === gn){ h = (bn - rn) / d + 2; } else { h = (rn - gn) / d + 4; } // hue sector
+  h *= 60; // sector to degrees
+ }
+ return {h:(h + 360) % 360, s:s * 100, l:l * 100}; // css style units
+}
+
+function hslToRgb({h, s, l}){
+ const hn = ((h % 360) + 360) % 360; // wraps offsets outside 0-360
+ const sn = Math.min(100, Math.max(0, s)) / 100; // clamped saturation
+ const ln = Math.min(100, Math.max(0, l)) / 100; // clamped lightness
+ const c = (1 - Math.abs(2 * ln - 1)) * sn; // chroma
+ const x = c * (1 - Math.abs((hn / 60) % 2 - 1)); // second largest component
+ const m = ln - c / 2; // lightness match
+ const [r, g, b] = hn < 60 ? [c, x, 0] : hn < 120 ? [x, c, 0] : hn < 180 ? [0, c, x] : hn < 240 ? [0, x, c] : hn < 300 ? [x, 0, c] : [c, 0, x]; // sector components
+ return {r:(r + m) * 255, g:(g + m) * 255, b:(b + m) * 255}; // unrounded channels, rounded by toHex
+}
+
+function hsl(h, s, l){
+ return toHex(hslToRgb({h, s, l})); // hex string from hsl components
+}
+
+/*
+ * GENERAL COLOR PARSING
+ * Rationale: Tokens such as --transparent-b (#00000040) and shadows carry
+ * alpha, so the contrast audit needs #rgba/#rrggbbaa, rgb()/rgba() in comma
+ * or space syntax, and "transparent". Alpha is 0-1 on the returned object.
+ */
+function parseColor(value){
+ const text = String(value || '').trim().toLowerCase(); // normalized css value
+ if(text === 'transparent'){ return {r:0, g:0, b:0, a:0}; } // fully transparent black per css spec
+ const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/); // hex with optional alpha
+ if(hex){
+  const full = hex[1].length <= 4 ? hex[1].replace(/./g, c => c + c) : hex[1]; // expands short forms
+  const {r, g, b} = parseHex(full.slice(0, 6)); // color channels
+  return {r, g, b, a:full.length === 8 ? parseInt(full.slice(6), 16) / 255 : 1}; // alpha byte when present
+ }
+ const fn = text.match(/^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/); // rgb()/rgba() legacy or modern syntax
+ if(fn){
+  const channel = v => v.endsWith('%') ? parseFloat(v) * 2.55 : parseFloat(v); // percent channels scale to 255
+  const alpha = fn[4] === undefined ? 1 : fn[4].endsWith('%') ? parseFloat(fn[4]) / 100 : parseFloat(fn[4]); // optional alpha
+  return {r:channel(fn[1]), g:channel(fn[2]), b:channel(fn[3]), a:Math.min(1, Math.max(0, alpha))}; // clamped alpha
+ }
+ throw new Error(`invalid color: ${value}`); // named colors and functions like hsl() are not used by tokens
+}
+
+/*
+ * ALPHA COMPOSITING AND CONTRAST
+ * Rationale: WCAG 2.x relative luminance and contrast ratio. Translucent
+ * colors are flattened onto an opaque backdrop first because contrast is
+ * only defined between opaque colors.
+ */
+function composite(top, bottom){
+ const a = top.a ?? 1; // top layer opacity
+ return {r:top.r * a + bottom.r * (1 - a), g:top.g * a + bottom.g * (1 - a), b:top.b * a + bottom.b * (1 - a), a:1}; // source-over blend onto opaque bottom
+}
+
+function luminance({r, g, b}){
+ const lin = c => { const v = c / 255; return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4); }; // sRGB to linear light
+ return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b); // weighted by eye sensitivity
+}
+
+function contrastRatio(fg, bg){
+ const [hi, lo] = [luminance(fg), luminance(bg)].sort((x, y) => y - x); // lighter color first
+ return (hi + 0.05) / (lo + 0.05); // ratio between 1 and 21
+}
+
+module.exports = {parseHex, toHex, rgbToHsl, hslToRgb, hsl, parseColor, composite, luminance, contrastRatio}; // shares color math with theme and contrast tooling
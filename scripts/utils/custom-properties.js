@@ -0,0 +1,75 @@
+/*
+ * CUSTOM PROPERTY AUDIT
+ *
+ * PURPOSE AND RATIONALE:
+ * A var(--x) whose property is never declared makes the declaration invalid
+ * at computed-value time, so the rule silently falls back to inherited or
+ * initial values (a:visited once used --link-visited, .dropdown-content
+ * --color-white, neither defined). This module cross-references every var()
+ * usage against the custom properties declared across the stylesheets and
+ * lists undefined references and unused declarations with file locations.
+ *
+ * DESIGN DECISIONS:
+ * - Declarations anywhere count (:root, theme blocks, component scopes):
+ *   the audit checks names, not which element a value reaches
+ * - var() references with a fallback (var(--x, red)) are intentional and
+ *   never reported as undefined
+ * - Usages inside custom property values (aliases in variables.css) count,
+ *   so a token only used through another token is not unused
+ * - Unused tokens are informational: variables.css is also a public API for
+ *   projects overriding or reading tokens. Breakpoints (read by the build)
+ *   and Shoelace tokens (read by Shoelace components) are never unused
+ */
+
+const postcss = require('postcss'); // finds declarations and var() usages with their positions
+
+const UNUSED_IGNORE = [/^--breakpoint-/, /^--sl-/]; // tokens consumed outside qoreCSS stylesheets
+const VAR_REFERENCE = /var\(\s*(--[\w-]+)\s*(,)?/g; // custom property name and whether a fallback follows
+
+function locate(node, index, file){
+ const pos = index === undefined ? node.source.start : node.positionInside(index); // declaration start or offset inside it
+ return {file, line:pos.line, column:pos.column}; // 1-based location
+}
+
+function context(decl){
+ const parent = decl.parent; // rule or at-rule holding the declaration
+ return parent.type === 'rule' ? parent.selector : `@${parent.name} ${parent.params}`; // selector shown in reports
+}
+
+/*
+ * AUDIT
+ * Rationale: sources is [{file, css}] in the order the properties cascade
+ * (qore.css, variables.css); each declared property reports its first
+ * declaration and each undefined usage its own position.
+ */
+function auditCustomProperties(sources, opts = {}){
+ console.log(`auditCustomProperties is running with ${sources.map(s => s.file).join(',')}`); // entry log for debugging
+ const ignore = opts.ignoreUnused || UNUSED_IGNORE; // names never reported as unused
+ const declared = new Map(); // name -> first declaration location
+ const usages = []; // every var() reference
+ sources.forEach(({file, css}) => {
+  postcss.parse(css, {from:file}).walkDecls(decl => {
+   if(decl.prop.startsWith('--') && !declared.has(decl.prop)){ declared.set(decl.prop, locate(decl, undefined, file)); } // first declaration wins
+   const text = decl.toString(); // prop, separator and raw value
+   for(const m of text.matchAll(VAR_REFERENCE)){ usages.push({name:m[1], ...locate(decl, m.index, file), selector:context(decl), fallback:Boolean(m[2])}); } // one entry per reference
+  });
+ });
+ const used = new Set(usages.map(u => u.name)); // referenced names
+ const report = {
+  declared: declared.size, // custom properties declared across sources
+  used: used.size, // distinct names referenced
+  undefined: usages.filter(u => !u.fallback && !declared.has(u.name)).map(({name, file, line, column, selector}) => ({name, file, line, column, selector})), // silent fallbacks
+  unused: [...declared].filter(([name]) => !used.has(name) && !ignore.some(re => re.test(name))).map(([name, loc]) => ({name, ...loc})) // tokens nothing reads
+ };
+ console.log(`auditCustomProperties is returning ${report.undefined.length} undefined, ${report.unused.length} unused`); // logs outcome
+ return report; // returns {declared, used, undefined, unused}
+}
+
+function formatCustomPropertyReport(report){
+ const lines = []; // output lines
+ report.undefined.forEach(u => lines.push(`${u.file}:${u.line}:${u.column}  undefined custom property ${u.name} (${u.selector})`)); // errors first
+ report.unused.forEach(u => lines.push(`${u.file}:${u.line}:${u.column}  unused custom property ${u.name}`)); // informational
+ return lines.join('\n'); // returns printable report
+}
+
+module.exports = {UNUSED_IGNORE, auditCustomProperties, formatCustomPropertyReport}; // shares the audit with build.js
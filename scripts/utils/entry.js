@@ -0,0 +1,43 @@
+/*
+ * ENTRY PLACEHOLDER UPDATE
+ *
+ * PURPOSE AND RATIONALE:
+ * injectCss() in index.js reads the hashed filename and its SRI string from
+ * two template literal placeholders. The build points them at the new
+ * stylesheet and rollback points them back at a retained one, so both use
+ * this helper.
+ *
+ * DESIGN DECISIONS:
+ * - Any *.css value is accepted so custom names can replace the placeholder
+ * - A missing cssFile placeholder is an error unless the file already names
+ *   the stylesheet, because injectCss would otherwise load a stale build
+ * - An absent integrity leaves the placeholder empty, which skips SRI
+ */
+
+const fs = require('fs').promises; // promise based entry reads and writes
+const path = require('path'); // names the entry file in errors
+const qerrors = require('./logger'); // centralized error logging with contextual information
+
+const FILE_PATTERN = /const cssFile = `[\w.-]+\.css`;/; // hashed filename placeholder
+const INTEGRITY_PATTERN = /const cssIntegrity = `[^`]*`;/; // SRI placeholder paired with cssFile
+
+/*
+ * Returns true when the entry changed (or would change with dryRun).
+ */
+async function updateEntry(entryFile, cssFile, integrity, dryRun = false){
+ console.log(`updateEntry is running with ${entryFile},${cssFile}`); // entry log for debugging
+ const js = await fs.readFile(entryFile, 'utf8'); // reads entry for injection update
+ const updated = js.replace(FILE_PATTERN, `const cssFile = \`${cssFile}\`;`); // inserts hashed file name if pattern found
+ if(updated === js && !js.includes(cssFile)){ // fails only when pattern missing, allowing identical hash
+  const err = new Error(`${path.basename(entryFile)} cssFile pattern mismatch`); // error clarifies reason for developer
+  qerrors(err, 'entry regex failed', {pattern:FILE_PATTERN.source}); // logs failure context for debugging
+  throw err; // stops callers when entry not updated and pattern absent
+ }
+ const withIntegrity = updated.replace(INTEGRITY_PATTERN, `const cssIntegrity = \`${integrity || ''}\`;`); // inserts SRI string for injectCss when placeholder present
+ const changed = withIntegrity !== js; // hash or integrity differs
+ if(changed && !dryRun){ await fs.writeFile(entryFile, withIntegrity); } // persists hashed filename and integrity for browser injection
+ console.log(`updateEntry is returning ${changed}`); // logs outcome
+ return changed; // reports whether the entry references a different build
+}
+
+module.exports = {updateEntry}; // shares placeholder rewriting with build and rollback
@@ -0,0 +1,81 @@
+/*
+ * HASH FORMAT CONFIGURATION
+ *
+ * PURPOSE AND RATIONALE:
+ * Artifact names embed a truncated content digest (core.[hash].min.css).
+ * The algorithm and length used to be hardcoded as sha1/8 in the build and
+ * repeated as /^[a-f0-9]{8}$/ in every consumer. This module is the single
+ * place that defines the format; build.js hashes with it and updateHtml,
+ * purge-cdn and performance validate hashes against it.
+ *
+ * DESIGN DECISIONS:
+ * - HASH_ALGORITHM and HASH_LENGTH env vars override the sha1/8 defaults
+ * - Any node:crypto algorithm is accepted; hex digests keep names URL safe
+ * - Invalid settings throw instead of falling back, because silently hashing
+ *   with a different format would break every consumer's validation
+ * - ANY_HASH matches every supported length so references left by builds
+ *   with an older format are still rewritten and cleaned up
+ * - Consumers validate against the hashLength recorded in the manifest, so
+ *   build({hashLength}) output is accepted without matching env settings
+ */
+
+const crypto = require('crypto'); // lists supported algorithms and measures digest length
+const {parseEnvInt, parseEnvString} = require('./env-config'); // standardized env parsing
+
+const DEFAULT_ALGORITHM = 'sha1'; // matches historical 8-char sha1 filenames
+const DEFAULT_LENGTH = 8; // readable filenames with enough uniqueness for a single stylesheet
+const MIN_LENGTH = 4; // shorter hashes collide too easily
+const MAX_LENGTH = 64; // longest hex digest among common algorithms (sha256/sha3-256 are 64)
+const ANY_HASH = `[a-f0-9]{${MIN_LENGTH},${MAX_LENGTH}}`; // regex source matching any supported hash
+
+/*
+ * FORMAT VALIDATION
+ * Rationale: Shared by env configuration and build() options so both reject
+ * the same inputs with the same messages.
+ */
+function validateHashFormat(format){
+ const {algorithm, length} = format; // destructures for readable checks
+ if(!crypto.getHashes().includes(algorithm)){ throw new Error(`invalid hashAlgorithm: ${algorithm}`); } // unknown digest
+ if(!Number.isInteger(length) || length < MIN_LENGTH || length > MAX_LENGTH){ throw new Error(`invalid hashLength: ${length}`); } // outside supported range
+ const digestLength = crypto.createHash(algorithm).digest('hex').length; // hex characters the algorithm produces
+ if(length > digestLength){ throw new Error(`invalid hashLength: ${length} exceeds ${algorithm} digest (${digestLength})`); } // slice would silently shorten names
+ return format; // returns validated format for chaining
+}
+
+/*
+ * CONFIGURED FORMAT
+ * Rationale: Read on every call so tests and long-running processes see env
+ * changes, mirroring how other scripts parse env lazily.
+ */
+function getHashFormat(){
+ console.log(`getHashFormat is running with ${process.env.HASH_ALGORITHM || DEFAULT_ALGORITHM}`); // entry log for debugging
+ const format = {
+  algorithm: parseEnvString('HASH_ALGORITHM', DEFAULT_ALGORITHM).toLowerCase(), // digest algorithm for content hashing
+  length: parseEnvInt('HASH_LENGTH', DEFAULT_LENGTH, 1, 1000) // range checked by validateHashFormat with a clear error
+ };
+ validateHashFormat(format); // rejects unsupported configuration
+ console.log(`getHashFormat is returning ${format.algorithm}/${format.length}`); // logs resolved format
+ return format; // returns {algorithm, length}
+}
+
+/*
+ * HASH VALIDATION
+ * Rationale: Consumers call this instead of hardcoding a regex so they stay
+ * in sync with the build's configured length.
+ */
+function isValidHash(hash, format = getHashFormat()){
+ return typeof hash === 'string' && new RegExp(`^[a-f0-9]{${format.length}}$`).test(hash); // exact configured length, lowercase hex only
+}
+
+/*
+ * MANIFEST FORMAT
+ * Rationale: The build that wrote a manifest knows its own format; env
+ * settings only apply to build.hash fallbacks and manifests written before
+ * hashLength was recorded.
+ */
+function manifestHashFormat(manifest){
+ if(!manifest || !Number.isInteger(manifest.hashLength)){ return getHashFormat(); } // nothing recorded, configured format applies
+ return {algorithm:manifest.algorithm || DEFAULT_ALGORITHM, length:manifest.hashLength}; // format the build used
+}
+
+module.exports = {DEFAULT_ALGORITHM, DEFAULT_LENGTH, MIN_LENGTH, MAX_LENGTH, ANY_HASH, validateHashFormat, getHashFormat, isValidHash, manifestHashFormat}; // shares hash format across build and consumers
@@ -0,0 +1,110 @@
+/*
+ * BUILD HISTORY AND RETENTION
+ *
+ * PURPOSE AND RATIONALE:
+ * Deleting every hashed stylesheet except the newest breaks pages still
+ * serving HTML from the previous deploy: during a rolling deploy they request
+ * a file that no longer exists. The build records each manifest in
+ * build-history.json and only removes artifacts of builds that fall outside
+ * the retention policy, listing them as retired so purge-cdn can invalidate
+ * them and rollback can tell which versions still exist.
+ *
+ * DESIGN DECISIONS:
+ * - A build is kept while it is among the last `keep` builds (the current
+ *   one counts) or newer than `keepDays` days; keepDays 0 disables the age rule
+ * - History entries are full manifests, newest first, so a retained build
+ *   can be restored without re-deriving filenames or integrity strings
+ * - Retired entries keep only filenames plus purged state; purge-cdn marks
+ *   them purged once the CDN accepted every request
+ * - Hashed files of known bundles that no retained build references are
+ *   removed too, so artifacts from before the history existed are cleaned up
+ *   the way the build always did
+ */
+
+const fs = require('fs').promises; // promise based history reads, writes and unlinks
+const path = require('path'); // joins artifact names with the output directory
+const {parseEnvInt} = require('./env-config'); // BUILD_KEEP and BUILD_KEEP_DAYS defaults
+const {ANY_HASH} = require('./hash-format'); // hashed names of any supported length
+
+const HISTORY_FILE = 'build-history.json'; // written beside qore-manifest.json
+const DAY = 24 * 60 * 60 * 1000; // milliseconds per keepDays unit
+const HASHED = new RegExp(`^([\\w-]+)\\.${ANY_HASH}\\.min\\.css(?:\\.gz|\\.br|\\.map)?$`); // hashed artifact with bundle name capture
+
+/*
+ * RETENTION POLICY
+ * Rationale: Shared by build() and scripts/prune.js so both validate the
+ * same way; missing values come from BUILD_KEEP (default 3) and
+ * BUILD_KEEP_DAYS (default 0).
+ */
+function retentionPolicy(policy = {}){
+ const keep = policy.keep === undefined ? parseEnvInt('BUILD_KEEP', 3, 1, 1000) : policy.keep; // builds kept by count
+ const keepDays = policy.keepDays === undefined ? parseEnvInt('BUILD_KEEP_DAYS', 0, 0, 3650) : policy.keepDays; // builds kept by age
+ if(!Number.isInteger(keep) || keep < 1){ throw new Error(`invalid keep: ${keep}`); } // the current build is always kept
+ if(typeof keepDays !== 'number' || !(keepDays >= 0)){ throw new Error(`invalid keepDays: ${keepDays}`); } // negative ages make no sense
+ return {keep, keepDays}; // validated policy
+}
+
+async function readHistory(dir = process.cwd()){
+ console.log(`readHistory is running with ${dir}`); // entry log for debugging
+ let history; // parsed history file
+ try {
+  history = JSON.parse(await fs.readFile(path.join(dir, HISTORY_FILE), 'utf8')); // parses history when present
+ } catch(err){
+  if(err.code !== 'ENOENT'){ throw err; } // malformed history surfaces instead of silently dropping builds
+  history = {builds:[], retired:[]}; // first build with retention
+ }
+ if(!history || !Array.isArray(history.builds) || !Array.isArray(history.retired)){ throw new Error(`invalid build history: ${HISTORY_FILE}`); } // guards hand edits
+ console.log(`readHistory is returning ${history.builds.length} builds`); // logs retained count
+ return history; // returns {builds, retired}
+}
+
+async function writeHistory(history, dir = process.cwd()){
+ console.log(`writeHistory is running with ${history.builds.length} builds`); // entry log for debugging
+ const file = path.join(dir, HISTORY_FILE); // history location beside the manifest
+ await fs.writeFile(file, `${JSON.stringify(history, null, 2)}\n`, 'utf8'); // pretty printed like the manifest
+ console.log(`writeHistory is returning ${file}`); // logs written path
+ return file; // returns path for callers that report artifacts
+}
+
+const artifactsOf = build => Object.values(build.files || {}).map(entry => entry.file).filter(Boolean); // filenames a manifest references
+
+/*
+ * BUILD RECORDING
+ * Rationale: Rebuilding identical css produces the same hash, so an existing
+ * entry moves to the front instead of appearing twice.
+ */
+function recordBuild(history, manifest){
+ return {...history, builds:[manifest, ...history.builds.filter(b => b.hash !== manifest.hash)], retired:history.retired.filter(r => r.hash !== manifest.hash)}; // newest first, revived hashes leave the retired list
+}
+
+function applyRetention(history, policy, now = Date.now()){
+ console.log(`applyRetention is running with ${history.builds.length} builds`); // entry log for debugging
+ const isKept = (b, i) => i < policy.keep || (policy.keepDays > 0 && b.builtAt !== undefined && now - Date.parse(b.builtAt) < policy.keepDays * DAY); // count or age rule
+ const builds = history.builds.filter(isKept); // retained manifests
+ const retired = history.builds.filter((b, i) => !isKept(b, i)).map(b => ({hash:b.hash, builtAt:b.builtAt, retiredAt:new Date(now).toISOString(), files:artifactsOf(b), purged:false})); // newly retired versions
+ console.log(`applyRetention is returning ${retired.length} retired`); // logs outcome
+ return {history:{builds, retired:[...retired, ...history.retired]}, retired}; // newest retirements first
+}
+
+/*
+ * ARTIFACT REMOVAL
+ * Rationale: Everything not referenced by a retained build is removed,
+ * limited to bundles the history knows about so unrelated css in the same
+ * directory is never touched. Compressed files and maps follow their
+ * stylesheet. ENOENT is ignored because another process may have removed
+ * the file first.
+ */
+async function removeArtifacts(dir, history, dryRun = false){
+ console.log(`removeArtifacts is running with ${dir}`); // entry log for debugging
+ const kept = new Set(history.builds.flatMap(artifactsOf)); // files retained builds reference
+ const names = new Set([...history.builds.flatMap(artifactsOf), ...history.retired.flatMap(r => r.files)].map(f => (f.match(HASHED) || [])[1]).filter(Boolean)); // known bundle names
+ const stale = (await fs.readdir(dir)).filter(f => { const m = f.match(HASHED); return m && names.has(m[1]) && !kept.has(f) && !kept.has(f.replace(/\.(?:gz|br|map)$/, '')); }).sort(); // unreferenced hashed artifacts
+ if(!dryRun){
+  const results = await Promise.allSettled(stale.map(f => fs.unlink(path.join(dir, f)))); // removal without failing fast
+  results.forEach(res => { if(res.status === 'rejected' && res.reason.code !== 'ENOENT'){ throw res.reason; } }); // rethrows unexpected errors while ignoring missing files
+ }
+ console.log(`removeArtifacts is returning ${stale.length} files`); // logs count
+ return stale; // removed (or, when dryRun, removable) filenames
+}
+
+module.exports = {HISTORY_FILE, retentionPolicy, readHistory, writeHistory, recordBuild, applyRetention, removeArtifacts}; // shares retention with build, prune and purge-cdn
@@ -0,0 +1,75 @@
+/*
+ * BUILD MANIFEST UTILITY
+ *
+ * PURPOSE AND RATIONALE:
+ * The build writes qore-manifest.json describing every artifact it produced
+ * (minified CSS plus .gz and .br variants) keyed by logical name. Downstream
+ * scripts read the manifest through readManifest() instead of rebuilding
+ * `core.${hash}.min.css` from build.hash with their own regex.
+ *
+ * DESIGN DECISIONS:
+ * - Logical names ("core.min.css") map to hashed files so consumers never
+ *   need to know the naming scheme
+ * - "entry" names the primary stylesheet's logical name so builds with a
+ *   custom name ("app.min.css") are read the same way; manifests written
+ *   before it existed and the build.hash fallback mean "core.min.css"
+ * - Falls back to build.hash when no manifest exists so older build outputs
+ *   and hand-written hash files keep working
+ * - ENOENT errors propagate unchanged so callers can keep their exit codes
+ */
+
+const fs = require('fs').promises; // promise based file access for manifest reads and writes
+const path = require('path'); // path joins keep reads relative to the requested directory
+
+const MANIFEST_FILE = 'qore-manifest.json'; // manifest filename written next to build artifacts
+const CORE_ENTRY = 'core.min.css'; // logical name of the primary stylesheet artifact
+
+/*
+ * PRIMARY ENTRY LOOKUP
+ * Rationale: Consumers need the primary stylesheet's file and integrity and
+ * sometimes its bundle name (to match references such as app.min.css).
+ */
+function primaryEntry(manifest){
+ const logical = manifest.entry || CORE_ENTRY; // older manifests predate the entry field
+ return {...manifest.files[logical], name:logical.replace(/\.min\.css$/, '')}; // {file, size, digest, integrity, name}
+}
+
+/*
+ * MANIFEST WRITER
+ * Rationale: Pretty printed JSON keeps the manifest diffable for humans while
+ * staying trivial to parse for tools.
+ */
+async function writeManifest(manifest, dir = process.cwd()){
+ console.log(`writeManifest is running with ${manifest && manifest.hash}`); // entry log with hash for traceability
+ const file = path.join(dir, MANIFEST_FILE); // resolves manifest location inside target directory
+ await fs.writeFile(file, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8'); // persists manifest with trailing newline
+ console.log(`writeManifest is returning ${file}`); // logs written path for debugging
+ return file; // returns path for callers that report artifacts
+}
+
+/*
+ * MANIFEST READER
+ * Rationale: Prefers qore-manifest.json and synthesizes an equivalent object
+ * from build.hash when the manifest is absent. Hash format validation stays
+ * with callers because each reports invalid hashes with its own exit code.
+ */
+async function readManifest(dir = process.cwd()){
+ console.log(`readManifest is running with ${dir}`); // entry log for debugging
+ let manifest; // holds parsed manifest or build.hash fallback
+ try {
+  manifest = JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8')); // parses manifest when present
+ } catch(err){
+  if(err.code !== 'ENOENT'){ throw err; } // malformed manifests surface instead of silently degrading
+  const hashPath = path.join(dir, 'build.hash'); // legacy hash file keeps older pipelines working
+  await fs.access(hashPath); // ensures hash file exists before reading for graceful error handling
+  const hash = (await fs.readFile(hashPath, 'utf8')).trim(); // trim() removes whitespace that would corrupt filenames
+  manifest = {hash, files:{[CORE_ENTRY]:{file:`core.${hash}.min.css`}}}; // mirrors manifest shape for consumers
+ }
+ if(!manifest || typeof manifest.hash !== 'string' || !manifest.files || !manifest.files[manifest.entry || CORE_ENTRY]){ // guards against truncated manifests
+  throw new Error(`invalid manifest: ${MANIFEST_FILE}`); // explicit error names file for debugging
+ }
+ console.log(`readManifest is returning ${manifest.hash}`); // logs resolved hash
+ return manifest; // returns manifest object for consumers
+}
+
+module.exports = {MANIFEST_FILE, CORE_ENTRY, primaryEntry, readManifest, writeManifest}; // shares manifest helpers across scripts
@@ -0,0 +1,50 @@
+/*
+ * GENERATED STYLESHEET REGIONS
+ *
+ * PURPOSE AND RATIONALE:
+ * Some qore.css rules are derived from tokens by the build (spacing scale,
+ * responsive variants). Each lives between a pair of marker comments so the
+ * build can replace it while the hand-written rules around it stay untouched.
+ *
+ * DESIGN DECISIONS:
+ * - Markers are plain comments ("/* @generated name:start *\/") so the file
+ *   stays valid CSS and the region is visible to anyone editing it
+ * - A stylesheet without markers opts out: replaceRegion returns null
+ */
+
+function markers(name){
+ return [`/* @generated ${name}:start */`, `/* @generated ${name}:end */`]; // opening and closing comments
+}
+
+function regionBounds(css, name){
+ const [open, close] = markers(name); // marker comments for this region
+ const start = css.indexOf(open); // region opening marker
+ const end = css.indexOf(close); // region closing marker
+ if(start === -1 || end === -1){ return null; } // stylesheet opted out
+ if(end < start){ throw new Error(`${name} markers out of order`); } // hand edit broke the region
+ return {start, bodyStart:start + open.length, end}; // offsets of markers and body
+}
+
+/*
+ * REGION REPLACEMENT
+ * Rationale: Returns the stylesheet with the body between the markers
+ * replaced, or null when the markers are absent.
+ */
+function replaceRegion(css, name, body){
+ const bounds = regionBounds(css, name); // marker offsets or null
+ if(!bounds){ return null; } // nothing to replace
+ return `${css.slice(0, bounds.bodyStart)}\n${body}\n${css.slice(bounds.end)}`; // regenerated body between markers
+}
+
+/*
+ * REGION REMOVAL
+ * Rationale: Generators reading the stylesheet ignore their own previous
+ * output so regenerating is stable.
+ */
+function withoutRegion(css, name){
+ const bounds = regionBounds(css, name); // marker offsets or null
+ if(!bounds){ return css; } // nothing to strip
+ return css.slice(0, bounds.bodyStart) + css.slice(bounds.end); // keeps markers, drops body
+}
+
+module.exports = {markers, replaceRegion, withoutRegion}; // shared by spacing and responsive generators
@@ -0,0 +1,101 @@
+/*
+ * RESPONSIVE VARIANT PREFIXES
+ *
+ * PURPOSE AND RATIONALE:
+ * Responsive behaviour used to need one-off classes such as .wide50toWide90
+ * or .smallHide tied to fixed media queries. This module generates
+ * breakpoint-prefixed copies of the layout, width, display and spacing
+ * utilities (md:col50, sm:hid, sm:p-1) from the --breakpoint-* tokens in
+ * variables.css, so any of them can change at any configured width.
+ *
+ * DESIGN DECISIONS:
+ * - Breakpoints are max-width queries like the existing 994px/768px blocks:
+ *   qoreCSS is desktop-first, so "sm:col" means "column at 768px and below"
+ * - Wider breakpoints are emitted first so a narrower variant wins when
+ *   both apply ("md:col50 sm:col100")
+ * - Variants copy the base rules' declarations verbatim, including
+ *   !important and vendor fallbacks, so a variant behaves exactly like the
+ *   utility it is named after
+ * - Only rules whose selector is exactly ".name" are copied; compound
+ *   selectors and existing @media overrides describe other situations
+ * - The region sits at the end of qore.css so variants follow every base
+ *   rule and the hand-written breakpoint blocks
+ */
+
+const {markers, replaceRegion, withoutRegion} = require('./regions'); // marked region helpers shared with the spacing scale
+const postcss = require('postcss'); // reads the stylesheet's utility rules
+
+const [RESPONSIVE_START, RESPONSIVE_END] = markers('responsive'); // comments delimiting the rewritten region
+const BREAKPOINT_TOKEN = /^--breakpoint-([a-z][a-z0-9]*)$/; // --breakpoint-md, --breakpoint-xl
+
+const RESPONSIVE_UTILITIES = [ // class names receiving breakpoint variants
+ /^(row|col|mobileRow|reverseRow|flex|around|between|center|evenly|start|end|centerAlign|top|flexStart|flexEnd|centerAlignSelf|justifyCenter|spaceBetween|spaceAround|spaceEvenly|textLeft|textCenter)$/, // flex layout and alignment
+ /^(grid[2-6]|gridx2?)$/, // grid layouts
+ /^((wide|col|maxWidth)\d+|fullWidth)$/, // widths
+ /^hid\d*$/, // hidden spacers
+ /^([mp][xytrbl]?|gap(-[xy])?)-[a-z0-9]+$/ // generated spacing scale
+];
+
+/*
+ * BREAKPOINT READING
+ * Rationale: Breakpoints are tokens so they are exported to JS with the
+ * rest of the design tokens (matchMedia can use the same widths).
+ */
+function breakpointMap(css){
+ const {parseTokens} = require('./tokens'); // top level :root reader
+ const tokens = parseTokens(css).dark; // name -> raw value
+ return Object.keys(tokens).map(prop => { const m = prop.match(BREAKPOINT_TOKEN); return m && {name:m[1], width:tokens[prop].trim()}; }).filter(Boolean).sort((a, b) => parseFloat(b.width) - parseFloat(a.width)); // widest first
+}
+
+/*
+ * UTILITY COLLECTION
+ * Rationale: Declarations are gathered from every top level rule naming the
+ * class on its own (".row, .col {display:flex}" counts for both) in source
+ * order. A property set again by a later rule replaces the earlier value
+ * unless only the earlier one is !important, mirroring the cascade; repeats
+ * within one rule are vendor fallbacks and are kept.
+ */
+function collectUtilities(css){
+ const utilities = new Map(); // name -> [{prop, value, important}]
+ postcss.parse(css).each(node => {
+  if(node.type !== 'rule'){ return; } // @media overrides and comments are skipped
+  const decls = node.nodes.filter(d => d.type === 'decl').map(d => ({prop:d.prop, value:d.value, important:Boolean(d.important)})); // copied declarations
+  node.selectors.forEach(selector => {
+   const own = selector.match(/^\.([\w-]+)$/); // bare class selector
+   if(!own || !RESPONSIVE_UTILITIES.some(re => re.test(own[1]))){ return; } // not a responsive utility
+   const previous = utilities.get(own[1]) || []; // declarations from earlier rules
+   const added = decls.filter(d => !previous.some(p => p.prop === d.prop && p.important && !d.important)); // earlier important values win
+   utilities.set(own[1], [...previous.filter(p => !added.some(d => d.prop === p.prop)), ...added]); // later rules override earlier ones
+  });
+ });
+ return utilities; // returns source ordered map
+}
+
+function rule(selector, decls){
+ const text = d => `${d.prop}: ${d.value}${d.important ? ' !important' : ''};`; // serialized declaration
+ return `    ${selector} {\n${decls.map(d => `        ${text(d)}`).join('\n')}\n    }`; // multi-line block like the spacing region
+}
+
+/*
+ * VARIANT GENERATION
+ * Rationale: The ":" in "md:col50" is escaped in the selector and matched
+ * unescaped in markup, like any other escaped class name.
+ */
+function generateResponsive(css, breakpoints){
+ console.log(`generateResponsive is running with ${breakpoints.map(b => `${b.name}=${b.width}`).join(',')}`); // entry log for debugging
+ if(!breakpoints.length){ throw new Error('no --breakpoint-* tokens found'); } // would empty the region
+ const utilities = collectUtilities(withoutRegion(css, 'responsive')); // base utilities, ignoring previous variants
+ const blocks = breakpoints.map(({name, width}) => {
+  const rules = [...utilities].filter(([, decls]) => decls.length).map(([util, decls]) => rule(`.${name}\\:${util}`, decls)); // one variant per utility
+  return `@media screen and (max-width: ${width}) {\n${rules.join('\n\n')}\n}`; // variants for this breakpoint, empty line between rules
+ });
+ const out = blocks.join('\n\n'); // region body
+ console.log(`generateResponsive is returning ${utilities.size * breakpoints.length} rules`); // logs rule count
+ return out; // returns css text without markers
+}
+
+function applyResponsive(css, breakpoints){
+ return replaceRegion(css, 'responsive', generateResponsive(css, breakpoints)); // regenerated region, null when the stylesheet opted out
+}
+
+module.exports = {RESPONSIVE_START, RESPONSIVE_END, RESPONSIVE_UTILITIES, breakpointMap, collectUtilities, generateResponsive, applyResponsive}; // shares variant generation with build.js
@@ -0,0 +1,84 @@
+/*
+ * SPACING SCALE UTILITIES
+ *
+ * PURPOSE AND RATIONALE:
+ * The original spacing helpers (.margin5, .pad10...) were picked ad hoc, all
+ * !important and without per-side variants. This module generates a full
+ * margin, padding and gap system from the --space-* scale in variables.css
+ * so every value comes from one adjustable token list.
+ *
+ * DESIGN DECISIONS:
+ * - Rules reference var(--space-N) instead of copying values, so changing a
+ *   token (or overriding it at runtime) moves every utility using that step
+ * - The rules live in a marked region of qore.css that the build rewrites,
+ *   like the index.js placeholders, so qore.css used directly, the class
+ *   catalogue and the class linter all see the generated classes
+ * - All-sides rules come before axis rules and axis rules before single
+ *   sides, so "p-3 pt-1" overrides only the top like other utility systems
+ * - No !important: the scale composes with component styles instead of
+ *   fighting them; the legacy classes keep theirs for compatibility
+ * - Kebab-case names (m-2, px-1, gap-x-3) satisfy the stylelint class
+ *   pattern and do not clash with the existing camelCase helpers
+ */
+
+const {markers, replaceRegion} = require('./regions'); // marked region helpers shared with responsive variants
+
+const [SPACING_START, SPACING_END] = markers('spacing'); // comments delimiting the rewritten region
+const SPACE_TOKEN = /^--space-([a-z0-9]+(?:-[a-z0-9]+)*)$/; // --space-1, --space-lg
+
+const SIDES = {t:['top'], r:['right'], b:['bottom'], l:['left']}; // single side suffixes
+const AXES = {x:['left', 'right'], y:['top', 'bottom']}; // axis suffixes
+const GAPS = {'gap': ['gap'], 'gap-x': ['column-gap'], 'gap-y': ['row-gap']}; // gap utilities and their properties
+
+/*
+ * SCALE READING
+ * Rationale: Steps keep declaration order so the generated region lists
+ * them the way variables.css does.
+ */
+function spacingScale(css){
+ const {parseTokens} = require('./tokens'); // top level :root reader
+ return Object.keys(parseTokens(css).dark).map(prop => prop.match(SPACE_TOKEN)).filter(Boolean).map(m => m[1]); // step names in order
+}
+
+/*
+ * RULE FORMAT
+ * Rationale: Every rule is a multi-line block separated by an empty line,
+ * whatever its declaration count, so adding a side or a step to a class
+ * changes only its own lines in diffs of qore.css; stylelint allows one
+ * declaration per single-line block, so multi-line is the common form.
+ */
+function rule(selector, props, value){
+ return `.${selector} {\n${props.map(p => `    ${p}: ${value};`).join('\n')}\n}`; // one declaration per line
+}
+
+/*
+ * RULE GENERATION
+ * Rationale: Margins also get "auto" for centering; padding and gap only
+ * take scale steps because auto is invalid for them.
+ */
+function generateSpacing(steps){
+ console.log(`generateSpacing is running with ${steps.join(',')}`); // entry log for debugging
+ if(!steps.length){ throw new Error('no --space-* tokens found'); } // would empty the region
+ const lines = []; // generated rules
+ [['m', 'margin'], ['p', 'padding']].forEach(([short, prop]) => {
+  const values = steps.map(step => [step, `var(--space-${step})`]); // scale references
+  if(prop === 'margin'){ values.push(['auto', 'auto']); } // centering helper
+  const groups = [[short, [prop]], ...Object.entries(AXES).map(([axis, sides]) => [`${short}${axis}`, sides.map(s => `${prop}-${s}`)]), ...Object.entries(SIDES).map(([side, sides]) => [`${short}${side}`, sides.map(s => `${prop}-${s}`)])]; // all sides, axes, single sides
+  groups.forEach(([name, props]) => values.forEach(([step, value]) => lines.push(rule(`${name}-${step}`, props, value)))); // one rule per class
+ });
+ Object.entries(GAPS).forEach(([name, props]) => steps.forEach(step => lines.push(rule(`${name}-${step}`, props, `var(--space-${step})`)))); // flex and grid gaps
+ const css = lines.join('\n\n'); // region body, empty line between rules
+ console.log(`generateSpacing is returning ${lines.length} rules`); // logs rule count
+ return css; // returns css text without markers
+}
+
+/*
+ * REGION REPLACEMENT
+ * Rationale: Returns null when the stylesheet has no markers so inputs
+ * without the region (custom builds, tests) are left untouched.
+ */
+function applySpacing(css, steps){
+ return replaceRegion(css, 'spacing', generateSpacing(steps)); // regenerated region, null when the stylesheet opted out
+}
+
+module.exports = {SPACING_START, SPACING_END, spacingScale, generateSpacing, applySpacing}; // shares spacing generation with build.js
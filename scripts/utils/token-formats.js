@@ -0,0 +1,195 @@
+/*
+ * DESIGN TOKEN EXPORT FORMATS
+ *
+ * PURPOSE AND RATIONALE:
+ * React Native, email templates and Sass pipelines cannot read CSS custom
+ * properties. These renderers turn the canonical model from
+ * buildTokenModel() into files those consumers import directly, so
+ * variables.css stays the only place a token is edited.
+ *
+ * DESIGN DECISIONS:
+ * - Every format is rendered from the same model so values never drift
+ * - JS and SCSS carry resolved values (no var() left) because their
+ *   consumers have no cascade; DTCG keeps aliases as {references}
+ * - JS keys are camelCase for property access; SCSS and DTCG keep the css
+ *   names minus the leading dashes
+ * - Tokens that resolve to null are left out rather than emitted broken
+ * - fromDtcg() converts imported DTCG values back to css for the importer
+ */
+
+const {parseColor, toHex} = require('./color'); // validates imported colors
+
+const TOKEN_FILES = ['tokens.json', 'tokens.mjs', 'tokens.cjs', '_tokens.scss', 'tokens.dtcg.json']; // artifacts written by the build
+const BANNER = 'Generated by qoreCSS from variables.css - do not edit'; // marks files as build output
+
+function camelCase(name){
+ return name.replace(/-([a-z0-9])/g, (m, c) => c.toUpperCase()); // gs-lightest -> gsLightest
+}
+
+/*
+ * THEME VALUE MAPS
+ * Rationale: Flat name -> value objects per theme are what the JS module
+ * and getTokens() consumers want.
+ */
+function themeValues(model, theme, key = name => name){
+ const out = {}; // key -> resolved value
+ Object.entries(model.tokens).forEach(([name, token]) => { if(token.values[theme] !== null){ out[key(name)] = token.values[theme]; } }); // skips unresolvable tokens
+ return out; // returns flat map
+}
+
+function renderJs(model, esm){
+ const themes = {}; // theme -> camelCase map
+ model.themes.forEach(theme => { themes[theme] = themeValues(model, theme, camelCase); }); // values per palette
+ const body = model.themes.map(theme => `${esm ? 'export ' : ''}const ${theme} = ${JSON.stringify(themes[theme], null, 2)};`).join('\n\n'); // one object per theme
+ const names = model.themes.join(', '); // exported bindings
+ return `// ${BANNER}\n${esm ? '' : "'use strict';\n"}\n${body}\n\n${esm ? `export default {${names}};` : `module.exports = {${names}};`}\n`; // module source
+}
+
+/*
+ * SCSS RENDERING
+ * Rationale: Plain $variables hold the default (dark) palette for direct
+ * use; per theme maps allow map-get($qore-tokens-light, "link"). Map values
+ * are parenthesized so comma separated shadows stay one value.
+ */
+function renderScss(model){
+ const lines = [`// ${BANNER}`, '']; // output lines
+ Object.entries(themeValues(model, model.themes[0])).forEach(([name, value]) => lines.push(`$${name}: ${value};`)); // default palette variables
+ model.themes.forEach(theme => {
+  lines.push('', `$qore-tokens-${theme}: (`); // map per palette
+  const entries = Object.entries(themeValues(model, theme)); // resolved values
+  entries.forEach(([name, value], i) => lines.push(`  "${name}": (${value})${i < entries.length - 1 ? ',' : ''}`)); // quoted keys
+  lines.push(');'); // closes map
+ });
+ return `${lines.join('\n')}\n`; // scss source
+}
+
+/*
+ * DTCG VALUE CONVERSION
+ * Rationale: The W3C design tokens format types composite values, so css
+ * shorthands are split into their parts. Values that do not fit a DTCG type
+ * (filters) return null and are left out of the DTCG file only.
+ */
+function splitTopLevel(value){
+ const parts = []; // comma separated parts outside parentheses
+ let depth = 0; // parenthesis nesting
+ let current = ''; // part being collected
+ for(const ch of value){
+  if(ch === '('){ depth++; } else if(ch === ')'){ depth--; } // tracks nesting
+  if(ch === ',' && depth === 0){ parts.push(current.trim()); current = ''; } else { current += ch; } // splits top level commas only
+ }
+ parts.push(current.trim()); // last part
+ return parts; // returns trimmed parts
+}
+
+function colorPart(words){
+ return words.find(w => /^(?:#|rgba?\(|transparent$)/.test(w)); // color word in a shorthand
+}
+
+function dtcgValue(type, value){
+ if(type === 'color' || type === 'dimension'){ return {$type:type, $value:value}; } // already valid
+ if(type === 'rgb-channels'){ return {$type:'color', $value:`#${value.split(' ').map(c => Number(c).toString(16).padStart(2, '0')).join('')}`}; } // "r g b" -> hex
+ if(type === 'border'){ const [width, style, color] = value.split(/\s+/); return {$type:'border', $value:{color, width, style}}; } // width style color
+ if(type === 'shadow'){
+  const layers = splitTopLevel(value).map(layer => {
+   const words = layer.match(/rgba?\([^)]*\)|\S+/g); // keeps rgba() together
+   const [offsetX, offsetY, blur = '0px', spread = '0px'] = words.filter(w => /^-?\d/.test(w)); // lengths in css order
+   const shadow = {color:colorPart(words), offsetX, offsetY, blur, spread}; // dtcg shadow object
+   if(words.includes('inset')){ shadow.inset = true; } // inner shadow
+   return shadow; // returns layer
+  });
+  return {$type:'shadow', $value:layers.length === 1 ? layers[0] : layers}; // single or layered shadow
+ }
+ if(type === 'gradient'){
+  const args = splitTopLevel(value.slice(value.indexOf('(') + 1, -1)); // gradient arguments
+  const angle = /^-?[\d.]+deg$|^to /.test(args[0]) ? args.shift() : undefined; // optional direction
+  const stops = args.map((stop, i) => { const words = stop.match(/rgba?\([^)]*\)|\S+/g); const pos = words.find(w => w.endsWith('%')); return {color:colorPart(words), position:pos ? parseFloat(pos) / 100 : i / Math.max(1, args.length - 1)}; }); // evenly spaced when unset
+  return {$type:'gradient', $value:stops, angle}; // angle kept in extensions by caller
+ }
+ return null; // untyped values are skipped
+}
+
+function renderDtcg(model){
+ const out = {$description:BANNER}; // dtcg document
+ Object.entries(model.tokens).forEach(([name, token]) => {
+  if(token.values.dark === null){ return; } // unresolvable token
+  const converted = dtcgValue(token.type, token.values.dark); // typed default value
+  if(!converted){ return; } // no matching dtcg type
+  const entry = {$type:converted.$type, $value:token.alias && model.tokens[token.alias] ? `{${token.alias}}` : converted.$value}; // aliases stay references
+  if(token.description){ entry.$description = token.description; } // documented meaning
+  const ext = {cssVar:token.cssVar}; // qorecss specific data
+  if(converted.angle){ ext.angle = converted.angle; } // gradient direction
+  model.themes.slice(1).forEach(theme => { if(token.values[theme] !== null && token.values[theme] !== token.values.dark){ const alt = dtcgValue(token.type, token.values[theme]); if(alt){ ext[theme] = alt.$value; } } }); // per theme overrides
+  entry.$extensions = {'com.qorecss':ext}; // vendor namespace per spec
+  out[name] = entry; // flat token names
+ });
+ return `${JSON.stringify(out, null, 2)}\n`; // json source
+}
+
+/*
+ * DTCG TO CSS CONVERSION
+ * Rationale: The inverse of dtcgValue() for the importer. type is the
+ * qoreCSS type of the target variable, so "r g b" tokens get channels back
+ * and gradients keep the direction variables.css used. Colors and lengths
+ * accept the string forms and the object forms newer DTCG drafts use;
+ * {references} become var() through the ref callback.
+ */
+const DTCG_TYPES = {color:['color', 'rgb-channels'], dimension:['dimension'], shadow:['shadow'], gradient:['gradient'], border:['border']}; // dtcg $type -> compatible qorecss types
+const ALIAS = /^\{([^{}]+)\}$/; // whole value reference
+
+function dimensionCss(value){
+ if(value === 0 || value === '0'){ return '0'; } // unitless zero
+ if(value && typeof value === 'object' && typeof value.value === 'number'){ return `${value.value}${value.unit || 'px'}`; } // {value, unit} form
+ if(typeof value === 'string' && /^-?\d*\.?\d+(?:px|rem|em|%)$/.test(value.trim())){ return value.trim(); } // css length
+ throw new Error(`invalid dimension: ${JSON.stringify(value)}`); // numbers without units are ambiguous
+}
+
+function colorCss(value, ref){
+ if(typeof value === 'string' && ALIAS.test(value.trim())){ return ref(value.trim().match(ALIAS)[1]); } // referenced color
+ if(typeof value === 'string'){ parseColor(value); return value.trim(); } // validates hex, rgb() and transparent
+ if(value && typeof value === 'object' && value.hex){ return value.alpha !== undefined && value.alpha < 1 ? toHex(parseColor(value.hex)) + Math.round(value.alpha * 255).toString(16).padStart(2, '0') : value.hex; } // {hex, alpha} form
+ if(value && typeof value === 'object' && value.colorSpace === 'srgb' && Array.isArray(value.components)){ const [r, g, b] = value.components.map(c => Math.round(c * 255)); return value.alpha !== undefined && value.alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${value.alpha})` : toHex({r, g, b}); } // {colorSpace, components} form
+ throw new Error(`invalid color: ${JSON.stringify(value)}`); // other color spaces are not used by variables.css
+}
+
+function fromDtcg(type, value, ref, opts = {}){
+ if(typeof value === 'string' && ALIAS.test(value.trim())){ // whole token aliases another
+  if(type === 'rgb-channels'){ throw new Error('references are not supported for rgb channel tokens'); } // channels cannot be var() of a color
+  return ref(value.trim().match(ALIAS)[1]); // var() of the mapped token
+ }
+ if(type === 'color'){ return colorCss(value, ref); } // plain color
+ if(type === 'rgb-channels'){ const {r, g, b} = parseColor(colorCss(value, ref)); return [r, g, b].map(Math.round).join(' '); } // hex -> "r g b"
+ if(type === 'dimension'){ return dimensionCss(value); } // length
+ if(type === 'border'){
+  if(!value || typeof value !== 'object' || typeof value.style !== 'string'){ throw new Error(`invalid border: ${JSON.stringify(value)}`); } // {color, width, style} required
+  return `${dimensionCss(value.width)} ${value.style} ${colorCss(value.color, ref)}`; // width style color shorthand
+ }
+ if(type === 'shadow'){
+  const layers = Array.isArray(value) ? value : [value]; // single or layered
+  return layers.map(l => { if(!l || typeof l !== 'object'){ throw new Error(`invalid shadow: ${JSON.stringify(value)}`); } return `${l.inset ? 'inset ' : ''}${[l.offsetX, l.offsetY, l.blur ?? 0, l.spread ?? 0].map(dimensionCss).join(' ')} ${colorCss(l.color, ref)}`; }).join(', '); // css order
+ }
+ if(type === 'gradient'){
+  if(!Array.isArray(value) || value.length < 2){ throw new Error(`invalid gradient: ${JSON.stringify(value)}`); } // needs two stops
+  return `linear-gradient(${opts.angle || '180deg'}, ${value.map(stop => `${colorCss(stop.color, ref)} ${Math.round(Number(stop.position) * 100)}%`).join(', ')})`; // positions as percentages
+ }
+ throw new Error(`no design token type for ${type} values`); // filters and other strings cannot be imported
+}
+
+/*
+ * FORMAT ALL
+ * Rationale: Returns filename -> contents so the build decides where they
+ * are written and tests can inspect them without touching disk.
+ */
+function formatTokens(model){
+ console.log(`formatTokens is running with ${Object.keys(model.tokens).length} tokens`); // entry log for debugging
+ const files = {
+  'tokens.json': `${JSON.stringify(model, null, 2)}\n`, // canonical model
+  'tokens.mjs': renderJs(model, true), // es module
+  'tokens.cjs': renderJs(model, false), // commonjs module
+  '_tokens.scss': renderScss(model), // sass partial
+  'tokens.dtcg.json': renderDtcg(model) // w3c design tokens
+ };
+ console.log(`formatTokens is returning ${Object.keys(files).length} files`); // logs file count
+ return files; // returns filename -> contents
+}
+
+module.exports = {TOKEN_FILES, DTCG_TYPES, formatTokens, themeValues, camelCase, dtcgValue, fromDtcg}; // exposes renderers for the build, importer and tests
@@ -0,0 +1,120 @@
+/*
+ * DESIGN TOKEN READER
+ *
+ * PURPOSE AND RATIONALE:
+ * Tooling that reasons about colors (contrast audit, token export) needs the
+ * values variables.css assigns per theme with var() references resolved.
+ * Reading the stylesheet keeps variables.css the single source of truth.
+ * buildTokenModel() turns it into the canonical model the build exports to
+ * JSON, JS, SCSS and DTCG (see token-formats.js).
+ *
+ * DESIGN DECISIONS:
+ * - The dark palette is the top level :root block; the light palette is the
+ *   dark one with :root[data-theme="light"] overrides applied, matching how
+ *   the cascade resolves data-theme="light" in the browser
+ * - var(--x, fallback) is resolved recursively; cycles and unknown names
+ *   resolve to null instead of throwing so one bad token does not hide the
+ *   rest of a report
+ */
+
+const postcss = require('postcss'); // parses variables.css into token maps and the export model
+
+const THEMES = ['dark', 'light']; // palettes defined by variables.css
+const LIGHT_SELECTOR = ':root[data-theme="light"]'; // explicit light block, identical to the prefers-color-scheme copy
+
+/*
+ * TOKEN PARSING
+ * Rationale: Later declarations win like in the cascade, so a token
+ * redeclared further down :root reports its effective value.
+ */
+function parseTokens(css){
+ console.log(`parseTokens is running with ${css.length}`); // entry log with stylesheet size
+ const dark = {}; // top level :root declarations
+ const light = {}; // light block overrides
+ postcss.parse(css).walkRules(rule => {
+  const target = rule.selector === ':root' && rule.parent.type === 'root' ? dark : rule.selector === LIGHT_SELECTOR ? light : null; // theme block kind
+  if(target){ rule.walkDecls(/^--/, decl => { target[decl.prop] = decl.value.trim(); }); } // custom properties only
+ });
+ const result = {dark, light:{...dark, ...light}}; // light inherits everything it does not override
+ console.log(`parseTokens is returning ${Object.keys(dark).length} tokens`); // logs token count
+ return result; // returns raw values per theme
+}
+
+/*
+ * VAR() RESOLUTION
+ * Rationale: Resolves innermost references first so fallbacks containing
+ * var() work; a reference to an undefined token uses its fallback or null.
+ */
+function resolveValue(value, tokens, seen = new Set()){
+ let out = value; // progressively substituted value
+ const ref = /var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/; // innermost var() with optional fallback
+ let m; // current match
+ while((m = out.match(ref))){ // substitutes until no references remain
+  const [whole, name, fallback] = m; // reference parts
+  let replacement = null; // resolved text for this reference
+  if(tokens[name] !== undefined && !seen.has(name)){ replacement = resolveValue(tokens[name], tokens, new Set([...seen, name])); } // follows the chain
+  if(replacement === null && fallback !== undefined){ replacement = resolveValue(fallback.trim(), tokens, seen); } // css fallback when undefined or cyclic
+  if(replacement === null){ return null; } // invalid at computed-value time
+  out = out.replace(whole, replacement); // splices resolved text
+ }
+ return out; // returns value without var()
+}
+
+function resolveTokens(tokens){
+ const resolved = {}; // prop -> resolved value or null
+ Object.keys(tokens).forEach(prop => { resolved[prop] = resolveValue(tokens[prop], tokens, new Set([prop])); }); // resolves each token against its theme
+ return resolved; // returns resolved map
+}
+
+/*
+ * TOKEN TYPE DETECTION
+ * Rationale: Export formats treat values differently (DTCG needs typed,
+ * structured values), so each resolved value is classified once here.
+ */
+function tokenType(value){
+ const v = String(value).trim(); // resolved css value
+ if(/^(?:#[0-9a-f]{3,8}|rgba?\([^)]*\)|transparent)$/i.test(v)){ return 'color'; } // hex, rgb() or transparent
+ if(/^\d{1,3} \d{1,3} \d{1,3}$/.test(v)){ return 'rgb-channels'; } // Shoelace "r g b" triplets
+ if(/^(?:0|-?\d*\.?\d+(?:px|rem|em|%|vh|vw))$/.test(v)){ return 'dimension'; } // single length
+ if(/^(?:repeating-)?(?:linear|radial|conic)-gradient\(/.test(v)){ return 'gradient'; } // gradient function
+ if(/^-?\d*\.?\d+px\s+(?:solid|dashed|dotted|double)\s+\S+$/.test(v)){ return 'border'; } // width style color shorthand
+ if(/^(?:inset\s+)?-?\d/.test(v) && /(?:#[0-9a-f]{3,8}|rgba?\()/i.test(v)){ return 'shadow'; } // offsets followed by a color
+ return 'other'; // filters and anything else kept as plain strings
+}
+
+/*
+ * CANONICAL TOKEN MODEL
+ * Rationale: One structure every export format is rendered from. Names drop
+ * the leading "--"; values are resolved per theme; a token that is exactly
+ * var(--x) records alias "x" so formats supporting references keep them;
+ * the trailing comment on the declaration line becomes the description.
+ */
+function buildTokenModel(css, source = 'variables.css'){
+ console.log(`buildTokenModel is running with ${source}`); // entry log for debugging
+ const raw = parseTokens(css); // raw values per theme
+ const resolved = {dark:resolveTokens(raw.dark), light:resolveTokens(raw.light)}; // var() free values per theme
+ const descriptions = {}; // prop -> trailing comment text
+ postcss.parse(css).each(node => { // top level :root only, light blocks reuse the dark descriptions
+  if(node.type !== 'rule' || node.selector !== ':root'){ return; } // skips html and light theme blocks
+  node.each(child => {
+   const next = child.next(); // possible same-line comment
+   if(child.type === 'decl' && child.prop.startsWith('--') && next && next.type === 'comment' && !next.raws.before.includes('\n')){ descriptions[child.prop] = next.text.trim(); } // trailing comment only
+  });
+ });
+ const tokens = {}; // name -> token entry
+ Object.keys(raw.dark).forEach(prop => {
+  const alias = raw.dark[prop].match(/^var\(\s*--([\w-]+)\s*\)$/); // pure reference
+  const values = {}; // theme -> resolved value
+  THEMES.forEach(theme => { values[theme] = resolved[theme][prop]; }); // null when unresolvable
+  const entry = {cssVar:prop, type:tokenType(values.dark ?? raw.dark[prop])}; // type from the default palette
+  if(alias){ entry.alias = alias[1]; } // keeps references for DTCG
+  if(descriptions[prop]){ entry.description = descriptions[prop]; } // documented meaning
+  entry.values = values; // per theme values
+  tokens[prop.slice(2)] = entry; // name without leading dashes
+ });
+ const model = {source, themes:[...THEMES], tokens}; // canonical model
+ console.log(`buildTokenModel is returning ${Object.keys(tokens).length} tokens`); // logs token count
+ return model; // returns {source, themes, tokens}
+}
+
+module.exports = {THEMES, parseTokens, resolveValue, resolveTokens, tokenType, buildTokenModel}; // shares token reading with audit and export tools
@@ -0,0 +1,164 @@
+/*
+ * UNUSED CLASS PURGING
+ *
+ * PURPOSE AND RATIONALE:
+ * qoreCSS ships many utility classes (col10...col100, wide20...wide100,
+ * grid2...grid6) and most projects use a fraction of them. This module scans
+ * project content for class names and strips selectors whose classes never
+ * appear, so the build can publish a stylesheet sized to the project.
+ *
+ * DESIGN DECISIONS:
+ * - Content is scanned for class="..."/className="..." attributes and every
+ *   quoted string or template literal, then split on whitespace. Over-matching
+ *   (keeping a class because a word appears in a string) is preferred to
+ *   removing a class that is built dynamically
+ * - A selector is kept only when every class it requires is used; classes
+ *   inside :not() are ignored because the selector still matches without them
+ * - Selectors without classes (elements, ids, :root) are never removed
+ * - Safelist entries are exact class names or RegExp objects
+ * - Minimal glob support (*, **, ?, {a,b}) avoids adding a dependency
+ */
+
+const fs = require('fs').promises; // promise based reads for content files
+const path = require('path'); // path joins for directory walking
+const postcss = require('postcss'); // removes rules whose classes are unused
+
+const SKIP_DIRS = ['node_modules', '.git']; // never scanned unless named explicitly by a pattern
+
+/*
+ * GLOB MATCHING
+ * Rationale: Converts a glob into an anchored RegExp over forward-slash
+ * relative paths. "**" spans directories, "*" and "?" stay within one.
+ */
+function globToRegExp(glob){
+ let re = ''; // regex source being built
+ let braces = 0; // open {a,b} groups so commas elsewhere stay literal
+ for(let i = 0; i < glob.length; i++){ // walks pattern character by character
+  const c = glob[i]; // current character
+  if(c === '*' && glob[i + 1] === '*'){ // globstar
+   const slash = glob[i + 2] === '/'; // "**/" may match zero directories
+   re += slash ? '(?:.*/)?' : '.*'; // any depth of directories
+   i += slash ? 2 : 1; // skips consumed characters
+  } else if(c === '*'){ re += '[^/]*'; } // any characters within one segment
+  else if(c === '?'){ re += '[^/]'; } // single character within one segment
+  else if(c === '{'){ re += '(?:'; braces++; } // brace alternation start
+  else if(c === '}' && braces > 0){ re += ')'; braces--; } // brace alternation end
+  else if(c === ',' && braces > 0){ re += '|'; } // comma inside braces separates alternatives
+  else { re += c.replace(/[.+^$()|[\]\\{}]/g, '\\$&'); } // escapes regex metacharacters
+ }
+ return new RegExp(`^${re}$`); // anchored so partial paths never match
+}
+
+async function walk(dir, root, out){
+ let entries; // directory listing
+ try { entries = await fs.readdir(dir, {withFileTypes:true}); } catch(err){ if(err.code === 'ENOENT'){ return out; } throw err; } // missing base dirs match nothing
+ for(const entry of entries){ // visits each child
+  const full = path.join(dir, entry.name); // absolute child path
+  if(entry.isDirectory()){ if(!SKIP_DIRS.includes(entry.name)){ await walk(full, root, out); } } // recurses except dependency folders
+  else if(entry.isFile()){ out.push(path.relative(root, full).split(path.sep).join('/')); } // stores posix relative path for matching
+ }
+ return out; // returns collected paths
+}
+
+/*
+ * CONTENT FILE RESOLUTION
+ * Rationale: Each pattern walks only its static prefix (e.g. "src/" for
+ * "src/**\/*.html") so scanning a subfolder does not traverse the repo.
+ */
+async function resolveContent(patterns, root = process.cwd()){
+ console.log(`resolveContent is running with ${patterns.join(',')}`); // entry log for debugging
+ const files = new Set(); // unique matches across patterns
+ for(const pattern of patterns){ // patterns resolved sequentially to bound disk activity
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, ''); // accepts windows separators and ./ prefixes
+  const staticDirs = []; // directory segments before the first wildcard
+  for(const seg of normalized.split('/').slice(0, -1)){ if(/[*?{]/.test(seg)){ break; } staticDirs.push(seg); } // stops at first wildcard segment
+  const base = staticDirs.join('/'); // walk root for this pattern
+  const matcher = globToRegExp(normalized); // compiled pattern
+  const candidates = await walk(path.join(root, base), root, []); // files beneath static prefix
+  candidates.filter(f => matcher.test(f)).forEach(f => files.add(f)); // keeps matching files
+ }
+ const result = [...files].sort(); // deterministic order for reports
+ console.log(`resolveContent is returning ${result.length}`); // logs match count
+ return result; // returns posix relative paths
+}
+
+/*
+ * CLASS NAME EXTRACTION
+ * Rationale: Tokens are taken from attribute values and string literals so
+ * HTML, JSX (className="..."), and JS (classList.add('row')) are covered.
+ */
+function extractClasses(content){
+ const found = new Set(); // candidate class names
+ const add = value => value.split(/\s+/).forEach(token => { if(token){ found.add(token); } }); // splits attribute or string on whitespace
+ for(const m of content.matchAll(/\bclass(?:Name)?\s*=\s*(["'])([\s\S]*?)\1/g)){ add(m[2]); } // class="..." and className="..."
+ for(const m of content.matchAll(/(["'`])((?:\\.|(?!\1)[^\\\n])*)\1/g)){ add(m[2]); } // every single, double or backtick quoted string
+ return found; // returns set of tokens
+}
+
+/*
+ * SELECTOR CLASSES
+ * Rationale: Escaped class names (e.g. .md\:col50) are unescaped so they
+ * compare equal to the tokens found in markup.
+ */
+function selectorClasses(selector){
+ const bare = selector.replace(/:not\((?:[^()]|\([^()]*\))*\)/g, '').replace(/\[[^\]]*\]/g, '').replace(/"[^"]*"|'[^']*'/g, ''); // removes :not(), attributes and strings
+ return [...bare.matchAll(/\.(-?[_a-zA-Z](?:\\.|[\w-])*)/g)].map(m => m[1].replace(/\\(.)/g, '$1')); // class names without escapes
+}
+
+function isSafe(name, safelist){
+ return safelist.some(entry => entry instanceof RegExp ? entry.test(name) : entry === name); // exact names or patterns
+}
+
+/*
+ * CSS PURGE
+ * Rationale: Runs as a postcss plugin so an incoming source map is carried
+ * through and the resulting map still points at qore.css lines.
+ */
+function purgeCss(css, used, opts = {}){
+ console.log(`purgeCss is running with ${used.size}`); // entry log with used class count
+ const safelist = opts.safelist || []; // exact names or regexes always kept
+ const removed = new Set(); // classes whose selectors were dropped
+ let removedRules = 0; // rules removed entirely
+ const plugin = {postcssPlugin:'qore-purge-unused', Once(root){ // single pass over the stylesheet
+  root.walkRules(rule => {
+   if(rule.parent && rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)){ return; } // keyframe steps are not selectors
+   const keep = rule.selectors.filter(sel => { // selectors whose classes are all used
+    const unused = selectorClasses(sel).filter(name => !used.has(name) && !isSafe(name, safelist)); // classes missing from content
+    unused.forEach(name => removed.add(name)); // records for the report
+    return unused.length === 0; // keeps fully used selectors
+   });
+   if(keep.length === 0){ rule.remove(); removedRules++; } else if(keep.length !== rule.selectors.length){ rule.selectors = keep; } // drops or narrows rule
+  });
+  root.walkAtRules(atRule => { if(atRule.nodes && atRule.nodes.length === 0){ atRule.remove(); } }); // removes emptied @media blocks
+ }};
+ const map = opts.map ? {prev:opts.map, inline:false, annotation:false, sourcesContent:true} : false; // chains incoming map when present
+ const result = postcss([plugin]).process(css, {from:opts.from, to:opts.to || opts.from, map}); // synchronous process keeps callers simple
+ const out = {css:result.css, map:result.map ? result.map.toJSON() : null, removed:[...removed].sort(), removedRules}; // css plus report data
+ console.log(`purgeCss is returning ${out.removed.length}`); // logs removed class count
+ return out; // returns purged css, map and report
+}
+
+/*
+ * PROJECT PURGE
+ * Rationale: Combines content resolution, extraction and purging; refuses to
+ * run when no content matched because that would strip every class.
+ */
+async function purgeUnused(css, opts = {}){
+ const root = opts.root || process.cwd(); // directory patterns are relative to
+ const files = await resolveContent(opts.content || [], root); // project files to scan
+ if(files.length === 0){ throw new Error(`purge content matched no files: ${(opts.content || []).join(', ')}`); } // prevents removing every class
+ const used = new Set(); // classes referenced anywhere in content
+ for(const file of files){ extractClasses(await fs.readFile(path.join(root, file), 'utf8')).forEach(name => used.add(name)); } // accumulates tokens
+ return {...purgeCss(css, used, opts), files}; // purged css with scanned file list
+}
+
+/*
+ * SAFELIST PARSING
+ * Rationale: Env and CLI values arrive as comma separated strings; entries
+ * wrapped in slashes (/^grid/) become regular expressions.
+ */
+function parseSafelist(value){
+ return String(value || '').split(',').map(s => s.trim()).filter(Boolean).map(s => { const m = s.match(/^\/(.+)\/([a-z]*)$/); return m ? new RegExp(m[1], m[2]) : s; }); // names or regexes
+}
+
+module.exports = {globToRegExp, resolveContent, extractClasses, selectorClasses, purgeCss, purgeUnused, parseSafelist}; // shares purge helpers with build.js
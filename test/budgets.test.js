@@ -0,0 +1,91 @@
+/*
+ * SIZE BUDGET TESTING - MEASUREMENT, DIFF TABLE AND FAILING BUILDS
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates size parsing and config lookup order, that sizes are read from
+ * manifest entries and compared with the previous build, and that build()
+ * prints the table and rejects once a budget is exceeded, except for
+ * unminified offline copies.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {parseSize, loadBudgets, measureBundles, compareSizes, formatSizeTable, BUDGET_FILE} = require('../scripts/utils/budgets'); // budgets under test
+
+const ROOT = path.resolve(__dirname, '..'); // repository root
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources verbatim
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(ROOT); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+describe('size budgets', {concurrency:false}, () => {
+  it('parses sizes and finds budgets in the config file before package.json', () => {
+    assert.deepStrictEqual([parseSize(512), parseSize('2kB'), parseSize('1.5 KB'), parseSize('1MB'), parseSize('300b')], [512, 2048, 1536, 1048576, 300]); // bytes and units
+    assert.throws(() => parseSize('12kbs'), /invalid size budget: 12kbs/); // unit typo
+    assert.strictEqual(loadBudgets(undefined, tmpDir), null); // nothing configured
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({sizeBudgets:{core:{gzip:'8kB'}}})); // package field
+    assert.deepStrictEqual(loadBudgets(undefined, tmpDir), {source:'package.json', budgets:{core:{gzip:8192}}}); // read from package.json
+    fs.writeFileSync(path.join(tmpDir, BUDGET_FILE), JSON.stringify({core:{raw:1000}})); // dedicated file
+    assert.deepStrictEqual(loadBudgets(undefined, tmpDir), {source:BUDGET_FILE, budgets:{core:{raw:1000}}}); // file wins
+    assert.strictEqual(loadBudgets(false, tmpDir), null); // disabled
+    assert.throws(() => loadBudgets({core:{gz:1}}), /unknown size budget metric: gz/); // metric typo
+  });
+
+  it('compares manifest sizes with the previous build and budgets', () => {
+    const files = {'core.min.css':{size:3000}, 'core.min.css.gz':{size:900}, 'core.min.css.br':{size:800}, 'base.min.css':{size:100}, 'other.json':{size:1}}; // manifest entries
+    assert.deepStrictEqual(measureBundles(files), {core:{raw:3000, gzip:900, brotli:800}, base:{raw:100}}); // per bundle formats
+    const report = compareSizes(measureBundles(files), {core:{raw:2500, gzip:900}}, {core:{gzip:1024, brotli:700}, utilites:{raw:1}}); // previous build and budgets
+    assert.deepStrictEqual(report.rows.find(r => r.metric === 'raw' && r.bundle === 'core'), {bundle:'core', metric:'raw', size:3000, previous:2500, delta:500, budget:null, over:false}); // growth without budget
+    assert.deepStrictEqual(report.exceeded.map(r => `${r.bundle} ${r.metric}`), ['core brotli']); // only the overrun
+    assert.deepStrictEqual(report.unknown, ['utilites']); // typo surfaced
+    const table = formatSizeTable(report).split('\n'); // printed rows
+    assert.strictEqual(table[0], 'bundle  format  size    previous  change  budget'); // header
+    assert.strictEqual(table[1], 'core    raw     2.9 kB  2.4 kB    +500 B  -'); // diff row
+    assert.strictEqual(table[3], 'core    brotli  800 B   -         -       700 B   OVER BUDGET'); // failing row
+    assert.strictEqual(table[5], 'budget for unknown bundle: utilites'); // stray budget line
+  });
+
+  it('build prints the diff and rejects when a budget is exceeded', async () => {
+    delete process.env.CODEX; // budgets are enforced on minified output only
+    fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(tmpDir, 'node_modules'), 'dir'); // postcss binary resolved from cwd
+    fs.copyFileSync(path.join(ROOT, 'postcss.config.js'), path.join(tmpDir, 'postcss.config.js')); // minifying pipeline
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), Array.from({length:200}, (_, i) => `.b${i}{margin:${i}px}`).join('\n')); // about 3kB once minified
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const first = await build({bundles:[], updateEntry:false, tokens:false}); // no budgets configured
+    assert.ok(first.sizes.rows.every(r => r.previous === null && r.budget === null)); // first build has nothing to compare
+    fs.appendFileSync('qore.css', '\n.c{padding:0}'); // grows the bundle
+    fs.writeFileSync('package.json', JSON.stringify({sizeBudgets:{core:{raw:'2kB', gzip:'1kB'}}})); // raw budget too small
+    const err = await build({bundles:[], updateEntry:false, tokens:false}).then(() => null, e => e); // over budget
+    assert.match(err.message, /size budget exceeded \(package\.json\): core raw \d+ > 2048 bytes/); // names the overrun
+    const raw = err.result.sizes.rows.find(r => r.metric === 'raw'); // core raw row
+    assert.ok(raw.delta > 0 && raw.delta === raw.size - first.sizes.rows.find(r => r.metric === 'raw').size); // diff against the previous manifest
+    assert.ok(fs.existsSync(err.result.file) && JSON.parse(fs.readFileSync('qore-manifest.json', 'utf8')).hash === err.result.hash); // artifacts still consistent
+    assert.strictEqual((await build({bundles:[], updateEntry:false, tokens:false, budgets:false})).sizes.exceeded.length, 0); // disabled
+    assert.strictEqual((await build({bundles:[], updateEntry:false, tokens:false, budgets:{core:{raw:'10kB'}}})).sizes.rows[0].budget, 10240); // programmatic budgets
+    await assert.rejects(() => build({budgets:{core:{raw:'big'}}}), /invalid size budget: big/); // rejected before building
+  });
+
+  it('offline builds of the real stylesheet only warn about budgets', async () => {
+    ['qore.css', 'variables.css', 'package.json'].forEach(f => fs.copyFileSync(path.join(ROOT, f), path.join(tmpDir, f))); // repository sources and budgets
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const result = await build({updateEntry:false}); // CODEX copies qore.css unminified
+    assert.ok(result.sizes.exceeded.length > 0 && result.sizes.enforced === false); // overruns reported, not enforced
+    assert.ok(fs.existsSync(result.file)); // build completed
+  });
+});
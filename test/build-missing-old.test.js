@@ -40,7 +40,7 @@ describe('build with missing old files', {concurrency:false}, () => {
     const fsPromises = fs.promises; // alias for patching unlink
     const origUnlink = fsPromises.unlink; // preserve original implementation for restoration
     fsPromises.unlink = async function(p){ if(p.includes('deadbeef')){ const e = new Error('gone'); e.code = 'ENOENT'; throw e; } return origUnlink.call(this, p); }; // simulate race condition by throwing ENOENT
-    const hash = await build(); // run build expecting success despite unlink errors
+    const {hash} = await build(); // run build expecting success despite unlink errors
     fsPromises.unlink = origUnlink; // restore unlink to avoid affecting other tests
     assert.ok(fs.existsSync(path.join(tmpDir, `core.${hash}.min.css`))); // final hashed css should exist
   });
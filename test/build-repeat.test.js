@@ -34,8 +34,8 @@ afterEach(() => {
 
 describe('build run twice', {concurrency:false}, () => {
   it('does not throw on repeated run with same css', async () => {
-    const firstHash = await build(); // first build should create hashed css
-    const secondHash = await build(); // second build runs with same css and should not fail
+    const {hash: firstHash} = await build(); // first build should create hashed css
+    const {hash: secondHash} = await build(); // second build runs with same css and should not fail
     const filePath = path.join(tmpDir, `core.${firstHash}.min.css`); // expected hashed file path after builds
     assert.strictEqual(firstHash, secondHash); // hashes must match because css unchanged
     assert.ok(fs.existsSync(filePath)); // hashed file should exist after second build
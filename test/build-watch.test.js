@@ -0,0 +1,83 @@
+/*
+ * BUILD WATCH MODE TESTING
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that watch mode performs an initial build, rebuilds and updates
+ * index.html when a watched source changes, and reports failures through the
+ * callback instead of exiting the process.
+ */
+require("./helper"); // loads stubs for axios and qerrors dependencies ensuring offline consistency
+const assert = require('node:assert'); // assertion library for test validations
+const fs = require('node:fs'); // file system module for test setup and verification
+const path = require('node:path'); // path module for cross-platform file handling
+const os = require('node:os'); // operating system module for temporary directory creation
+const {describe, it, beforeEach, afterEach, mock} = require('node:test'); // node test framework components
+
+let build; // reference to build module after cache clearing
+let tmpDir; // temporary directory path for isolated test execution
+let handle; // watch handle closed after each test
+
+/*
+ * REBUILD WAITER
+ * Rationale: Collects callback results in order so tests can await the next
+ * rebuild without relying on fixed sleeps.
+ */
+function recorder(){
+  const results = []; // completed rebuild reports
+  const waiters = []; // resolvers waiting for the next report
+  return {
+    onRebuild(result){ const w = waiters.shift(); if(w){ w(result); } else { results.push(result); } }, // delivers to waiter or buffers
+    next(){ return results.length ? Promise.resolve(results.shift()) : new Promise(r => waiters.push(r)); } // resolves with next report
+  };
+}
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // forces offline mode to avoid postcss dependency
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'buildwatch-')); // creates unique temp dir for each test
+  fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // minimal css input
+  fs.writeFileSync(path.join(tmpDir, 'index.html'), '<link href="qore.css">'); // html updated after each rebuild
+  fs.copyFileSync(path.resolve(__dirname, '../index.js'), path.join(tmpDir, 'index.js')); // copy index.js for hash injection
+  process.chdir(tmpDir); // switch cwd to temp dir so build artifacts stay isolated
+  delete require.cache[require.resolve('../scripts/build')]; // clear module cache for fresh build import
+  build = require('../scripts/build'); // import build after clearing cache for isolation
+});
+
+afterEach(async () => {
+  if(handle){ await handle.close(); handle = null; } // waits for in-flight rebuild before leaving the temp dir
+  mock.restoreAll(); // restores console after log capture
+  process.chdir(path.resolve(__dirname, '..')); // restore original working directory after test
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // clean up temporary directory
+  delete process.env.CODEX; // clear offline flag so later tests use default env
+});
+
+describe('build watch', {concurrency:false}, () => {
+  it('rebuilds and updates html when qore.css changes', async () => {
+    const rec = recorder(); // captures rebuild reports
+    const logs = mock.method(console, 'log', () => {}); // captures watch success lines
+    handle = build.watch({delay:20, onRebuild:rec.onRebuild}); // starts watch with short debounce
+    const first = await rec.next(); // initial build report
+    assert.ok(!first.error); // initial build succeeds
+    assert.strictEqual(first.trigger, 'initial'); // first report comes from startup build
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{margin:0}'); // edit watched source
+    const second = await rec.next(); // rebuild report after change
+    assert.ok(!second.error); // rebuild succeeds
+    assert.notStrictEqual(second.hash, first.hash); // new content yields new hash
+    assert.strictEqual(typeof second.ms, 'number'); // timing reported per rebuild
+    assert.ok(fs.existsSync(path.join(tmpDir, second.file)), second.file); // reported file is the one written
+    assert.ok(logs.mock.calls.some(call => String(call.arguments[0]).startsWith(`watch rebuilt ${second.file} in`))); // success line names the written file
+    const html = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // html after rebuild
+    assert.ok(html.includes(`core.${second.hash}.min.css`)); // html points at new hash
+  });
+
+  it('reports errors without stopping', async () => {
+    const rec = recorder(); // captures rebuild reports
+    handle = build.watch({delay:20, onRebuild:rec.onRebuild}); // starts watch with short debounce
+    await rec.next(); // waits for initial build
+    fs.rmSync(path.join(tmpDir, 'qore.css')); // removing source makes the next build fail
+    const failed = await rec.next(); // failure report
+    assert.ok(failed.error); // error surfaced to callback
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{padding:0}'); // restoring source should recover
+    const recovered = await rec.next(); // rebuild after recovery
+    assert.ok(!recovered.error); // watch kept running and rebuilt successfully
+  });
+});
@@ -81,7 +81,7 @@ describe('build offline', {concurrency:false}, () => {
    * This test confirms the entire build pipeline works correctly.
    */
   it('creates hashed css, hash file and updates index.js', async () => {
-    const hash = await build(); // executes build function and captures returned hash
+    const {hash} = await build(); // executes build function and captures returned hash
     const minPath = path.join(tmpDir, `core.${hash}.min.css`); // constructs expected hashed CSS file path
     const hashFile = path.join(tmpDir, 'build.hash'); // constructs expected hash file path
     const indexPath = path.join(tmpDir, 'index.js'); // constructs path to index.js for injection verification
@@ -90,6 +90,38 @@ describe('build offline', {concurrency:false}, () => {
     const indexContent = fs.readFileSync(indexPath, 'utf8'); // reads index.js content for hash injection verification
     assert.ok(indexContent.includes(`core.${hash}.min.css`)); // confirms hash was properly injected into index.js
   });
+
+  /*
+   * MANIFEST OUTPUT VALIDATION
+   *
+   * TEST STRATEGY:
+   * Confirms qore-manifest.json maps logical names to every artifact written
+   * with sizes matching the files on disk and a full digest for the CSS.
+   */
+  it('writes manifest describing every artifact', async () => {
+    const {hash} = await build(); // executes build to produce manifest
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, 'qore-manifest.json'), 'utf8')); // parses manifest written by build
+    assert.strictEqual(manifest.hash, hash); // manifest hash matches returned hash
+    assert.strictEqual(manifest.source, 'qore.css'); // records source stylesheet
+    assert.ok(manifest.digest.startsWith(hash)); // full digest begins with truncated hash
+    assert.ok(!Number.isNaN(Date.parse(manifest.builtAt))); // build timestamp is a valid date
+    for(const name of ['core.min.css', 'core.min.css.gz', 'core.min.css.br']){ // checks css and compressed variants
+      const entry = manifest.files[name]; // manifest entry for logical name
+      assert.ok(entry); // entry recorded for each artifact
+      assert.strictEqual(entry.size, fs.statSync(path.join(tmpDir, entry.file)).size); // size matches file on disk
+    }
+    assert.strictEqual(manifest.files['core.min.css'].file, `core.${hash}.min.css`); // logical name maps to hashed file
+  });
+
+  it('records sha384 integrity in manifest and index.js', async () => {
+    const {hash} = await build(); // executes build to compute SRI
+    const css = fs.readFileSync(path.join(tmpDir, `core.${hash}.min.css`)); // built stylesheet bytes
+    const expected = `sha384-${require('node:crypto').createHash('sha384').update(css).digest('base64')}`; // independently computed SRI string
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, 'qore-manifest.json'), 'utf8')); // parses manifest written by build
+    assert.strictEqual(manifest.files['core.min.css'].integrity, expected); // manifest carries SRI for stylesheet
+    const indexContent = fs.readFileSync(path.join(tmpDir, 'index.js'), 'utf8'); // reads updated index.js
+    assert.ok(indexContent.includes(`const cssIntegrity = \`${expected}\`;`)); // injectCss receives same SRI string
+  });
 });
 
 /*
@@ -107,7 +139,7 @@ describe('build without postcss binary', {concurrency:false}, () => {
     const origExists = fs.existsSync; // preserve original existsSync
     const missPath = path.join('node_modules', '.bin', 'postcss'); // target missing binary
     fs.existsSync = p => p.includes(missPath) ? false : origExists(p); // stub only for binary check
-    const hash = await build(); // run build with stubbed binary absence
+    const {hash} = await build(); // run build with stubbed binary absence
     fs.existsSync = origExists; // restore after build
     if(prevCodex !== undefined){ process.env.CODEX = prevCodex; } else { delete process.env.CODEX; } // restore CODEX to prior state
     const minPath = path.join(tmpDir, `core.${hash}.min.css`); // expected hashed CSS path
@@ -135,7 +167,7 @@ describe('build windows binary path', {concurrency:false}, () => {
     let lookedPath; // captures binary path checked
     const expected = path.join('node_modules','.bin','postcss.cmd'); // expected path for windows binary
     fs.existsSync = p => { if(p.includes('postcss')){ lookedPath = p; return false; } return origExists(p); }; // intercepts binary check and avoids execution
-    const hash = await build(); // run build with windows platform simulation
+    const {hash} = await build(); // run build with windows platform simulation
     fs.existsSync = origExists; // restore existsSync after build
     Object.defineProperty(process,'platform',origPlat); // restore original platform
     if(prevCodex !== undefined){ process.env.CODEX = prevCodex; } else { delete process.env.CODEX; } // restore CODEX to prior state
@@ -163,3 +195,117 @@ describe('build index pattern mismatch', {concurrency:false}, () => {
     );
   });
 });
+
+/*
+ * SOURCE MAP MODE VALIDATION
+ *
+ * TESTING SCENARIO:
+ * With SOURCE_MAP enabled in offline mode the build should emit an identity
+ * map renamed with the hash, annotate the stylesheet, keep the hash identical
+ * to a map-less build and remove maps belonging to older hashes.
+ */
+describe('build source maps', {concurrency:false}, () => {
+  let prevMap; // holds incoming SOURCE_MAP so the suite can restore it
+  beforeEach(() => { prevMap = process.env.SOURCE_MAP; process.env.SOURCE_MAP = 'true'; }); // enables map mode for each test
+  afterEach(() => { if(prevMap !== undefined){ process.env.SOURCE_MAP = prevMap; } else { delete process.env.SOURCE_MAP; } }); // restores env
+
+  it('writes hashed map and annotation', async () => {
+    const {hash} = await build(); // build with source maps enabled
+    const mapPath = path.join(tmpDir, `core.${hash}.min.css.map`); // expected hashed map path
+    assert.ok(fs.existsSync(mapPath)); // map renamed alongside stylesheet
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'core.min.css.map'))); // unhashed map not left behind
+    const map = JSON.parse(fs.readFileSync(mapPath, 'utf8')); // parses generated map
+    assert.strictEqual(map.file, `core.${hash}.min.css`); // map names hashed stylesheet
+    assert.deepStrictEqual(map.sources, ['qore.css']); // map points back to source file
+    const css = fs.readFileSync(path.join(tmpDir, `core.${hash}.min.css`), 'utf8'); // reads annotated stylesheet
+    assert.ok(css.endsWith(`/*# sourceMappingURL=core.${hash}.min.css.map */`)); // annotation references hashed map
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, 'qore-manifest.json'), 'utf8')); // manifest lists map
+    assert.strictEqual(manifest.files['core.min.css.map'].file, `core.${hash}.min.css.map`); // map recorded as artifact
+  });
+
+  it('keeps hash identical to build without maps', async () => {
+    const {hash: withMap} = await build(); // build with maps
+    delete process.env.SOURCE_MAP; // disable maps for second build
+    const {hash: withoutMap} = await build(); // build without maps
+    assert.strictEqual(withMap, withoutMap); // annotation excluded from hash
+    assert.ok(!fs.existsSync(path.join(tmpDir, `core.${withoutMap}.min.css.map`))); // map removed once no longer referenced
+  });
+
+  it('removes maps from older hashes', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'core.deadbeef.min.css.map'), '{}'); // stale map from previous hash
+    await build(); // build should clean old maps
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'core.deadbeef.min.css.map'))); // stale map deleted
+  });
+});
+
+/*
+ * PROGRAMMATIC OPTIONS VALIDATION
+ *
+ * TESTING SCENARIO:
+ * Monorepo callers pass input/outDir/name and hash settings instead of relying
+ * on cwd defaults. The structured result must describe what was written.
+ */
+describe('build options', {concurrency:false}, () => {
+  it('writes custom bundle to outDir and returns result object', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'src')); // nested source directory
+    fs.writeFileSync(path.join(tmpDir, 'src', 'app.css'), 'a{color:red}'); // custom input
+    const result = await build({input:'src/app.css', outDir:'dist', name:'app', hashLength:12, hashAlgorithm:'sha256', compress:false, updateEntry:false, bundles:[]}); // fully customized build without extra bundles
+    assert.match(result.hash, /^[a-f0-9]{12}$/); // hash length honored
+    assert.strictEqual(result.algorithm, 'sha256'); // algorithm reported
+    assert.strictEqual(result.digest.length, 64); // full sha256 digest returned
+    assert.strictEqual(result.file, `app.${result.hash}.min.css`); // custom name used
+    assert.strictEqual(result.outDir, path.join(tmpDir, 'dist')); // absolute output directory reported
+    assert.ok(fs.existsSync(path.join(tmpDir, 'dist', result.file))); // stylesheet written to outDir
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'dist', `${result.file}.gz`))); // compression disabled
+    assert.deepStrictEqual(Object.keys(result.files), ['app.min.css']); // only stylesheet recorded
+    assert.strictEqual(result.entryUpdated, false); // entry update skipped
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'index.js'), 'utf8').includes('core.5c7df4d0.min.css')); // index.js untouched
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'dist', 'build.hash'), 'utf8'), result.hash); // build.hash beside artifacts
+    assert.strictEqual(result.manifest, path.join(tmpDir, 'dist', 'qore-manifest.json')); // manifest path returned
+  });
+
+  it('reports entry update with defaults', async () => {
+    const result = await build(); // CLI defaults
+    assert.strictEqual(result.file, `core.${result.hash}.min.css`); // default naming kept
+    assert.strictEqual(result.entryUpdated, true); // index.js rewritten
+    assert.ok(result.files['core.min.css.gz']); // compression on by default
+  });
+
+  it('rejects invalid options before writing files', async () => {
+    await assert.rejects(() => build({hashLength:2}), /invalid hashLength/); // too short to be unique
+    await assert.rejects(() => build({hashAlgorithm:'nope'}), /invalid hashAlgorithm/); // unknown digest
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'build.hash'))); // nothing written
+  });
+});
+
+/*
+ * UNUSED CLASS PURGE
+ *
+ * TESTING SCENARIO:
+ * Content globs decide which classes survive; the safelist keeps classes
+ * added at runtime and the report lists what was removed.
+ */
+describe('build purge', {concurrency:false}, () => {
+  it('strips unreferenced classes and writes report', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{margin:0}\n.row{display:flex}\n.col50{width:50%}\n.grid2,.grid3{display:grid}\n.hidden{display:none}'); // utilities with mixed usage
+    fs.mkdirSync(path.join(tmpDir, 'src')); // content folder
+    fs.writeFileSync(path.join(tmpDir, 'src', 'page.html'), '<div class="row grid2"></div>'); // html reference
+    fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), "el.classList.add('col50');"); // js string reference
+    const result = await build({bundles:[], purge:{content:['src/**/*.{html,js}'], safelist:['/^hid/']}}); // purge with regex safelist
+    const css = fs.readFileSync(path.join(tmpDir, result.file), 'utf8'); // purged stylesheet
+    assert.ok(css.includes('body{margin:0}')); // element rules untouched
+    assert.ok(css.includes('.row{display:flex}')); // html class kept
+    assert.ok(css.includes('.col50{width:50%}')); // js string class kept
+    assert.ok(css.includes('.grid2{display:grid}')); // selector list narrowed to used class
+    assert.ok(!css.includes('grid3')); // unused class removed
+    assert.ok(css.includes('.hidden{display:none}')); // safelisted by regex
+    const report = JSON.parse(fs.readFileSync(path.join(tmpDir, 'purge-report.json'), 'utf8')); // report on disk
+    assert.deepStrictEqual(report.removed, ['grid3']); // lists removed classes
+    assert.deepStrictEqual(report.files, ['src/app.js', 'src/page.html']); // lists scanned files
+    assert.deepStrictEqual(result.purge.removed, ['grid3']); // report also returned
+  });
+
+  it('refuses to purge when content matches nothing', async () => {
+    await assert.rejects(() => build({bundles:[], purge:{content:['missing/**/*.html']}}), /matched no files/); // would otherwise strip every class
+  });
+});
@@ -0,0 +1,88 @@
+/*
+ * BUILD BUNDLE TESTING - LAYER SPLITTING AND EXTRA BUNDLES
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that the selector based splitter divides css into base and
+ * utilities without losing rules, and that build() hashes, compresses and
+ * records the tokens/base/utilities bundles beside the primary stylesheet.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {isUtilitySelector, splitCss} = require('../scripts/utils/bundles'); // splitter under test
+
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources verbatim
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundles-')); // creates unique temporary directory for test isolation
+  process.chdir(tmpDir); // build works in cwd
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+describe('splitCss', {concurrency:false}, () => {
+  it('classifies selectors by class or id', () => {
+    assert.ok(isUtilitySelector('.row')); // class
+    assert.ok(isUtilitySelector('#main p')); // id
+    assert.ok(!isUtilitySelector('a:hover')); // element with pseudo class
+    assert.ok(!isUtilitySelector('a[href$=".pdf"]')); // dot inside attribute value ignored
+  });
+
+  it('divides rules, media blocks and keyframes between layers', () => {
+    const css = 'body{margin:0}h1,.title{font-weight:700}@media (max-width:500px){p{margin:0}.row{display:block}}@keyframes spin{to{transform:rotate(1turn)}}'; // mixed input
+    const base = splitCss(css, 'base'); // element layer
+    const utilities = splitCss(css, 'utilities'); // class layer
+    assert.ok(base.includes('body{margin:0}')); // element rule kept
+    assert.ok(base.includes('h1{font-weight:700}')); // mixed selector list narrowed
+    assert.ok(base.includes('@media (max-width:500px){p{margin:0}}')); // media block keeps only base rules
+    assert.ok(!base.includes('keyframes')); // animations belong to utilities
+    assert.ok(utilities.includes('.title{font-weight:700}')); // class half of mixed list
+    assert.ok(utilities.includes('@media (max-width:500px){.row{display:block}}')); // media block keeps only utility rules
+    assert.ok(utilities.includes('@keyframes spin')); // animation kept
+    assert.ok(!utilities.includes('body')); // element rules excluded
+  });
+
+  it('rejects unknown layers', () => {
+    assert.throws(() => splitCss('a{}', 'nope'), /unknown layer/); // typo in bundle config surfaces
+  });
+});
+
+describe('build bundles', {concurrency:false}, () => {
+  it('hashes, compresses and records every bundle', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{margin:0}.row{display:flex}'); // primary source
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root{--a:1px}'); // token source
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const result = await require('../scripts/build')(); // default bundles
+    assert.deepStrictEqual(Object.keys(result.bundles), ['tokens', 'base', 'utilities']); // every extra bundle built
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, 'qore-manifest.json'), 'utf8')); // manifest on disk
+    for(const [name, bundle] of Object.entries(result.bundles)){ // checks each extra bundle
+      assert.match(bundle.file, new RegExp(`^${name}\\.[a-f0-9]{8}\\.min\\.css$`)); // hashed filename
+      assert.ok(fs.existsSync(path.join(tmpDir, `${bundle.file}.gz`))); // gzip written
+      assert.ok(fs.existsSync(path.join(tmpDir, `${bundle.file}.br`))); // brotli written
+      assert.strictEqual(manifest.files[`${name}.min.css`].file, bundle.file); // recorded in manifest
+      assert.match(manifest.files[`${name}.min.css`].integrity, /^sha384-/); // SRI for each stylesheet
+    }
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, result.bundles.tokens.file), 'utf8'), ':root{--a:1px}'); // tokens mirror variables.css
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, result.bundles.utilities.file), 'utf8'), '.row{display:flex}'); // utilities only
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'build.hash'), 'utf8'), result.hash); // build.hash still tracks primary
+  });
+
+  it('skips tokens without variables.css and rejects unknown bundles', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // primary source only
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const result = await build(); // tokens source missing
+    assert.ok(!result.bundles.tokens); // tokens skipped
+    assert.ok(result.bundles.base); // derived bundles still built
+    await assert.rejects(() => build({bundles:['nope']}), /unknown bundle: nope/); // typo reported
+  });
+});
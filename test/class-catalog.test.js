@@ -0,0 +1,83 @@
+/*
+ * CLASS CATALOGUE TESTING - CLASSES.JSON AND LOOKUP API
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that every class is described with its own declarations, states,
+ * @media overrides and !important use, that build() writes classes.json
+ * without purged classes, and that getClasses()/hasClass() read it.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {buildClassCatalog} = require('../scripts/utils/class-catalog'); // catalogue under test
+
+const CSS = `.row{display:flex}
+.row{flex-direction:row}
+.btn, .link:hover{color:red}
+.card h2{margin:0}
+.md\\:col50{width:50%}
+@keyframes pulse{50.5%{opacity:.5}}
+@media screen and (max-width: 768px){.row{flex-direction:column !important}.btn:hover{color:blue}}
+@media print{.noPrint, .noPrint *{display:none !important}}`; // one case per catalogue feature
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources verbatim
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'classes-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+describe('class catalogue', {concurrency:false}, () => {
+  it('describes declarations, states, media overrides and important use', () => {
+    const {count, classes} = buildClassCatalog(CSS); // catalogue under test
+    assert.deepStrictEqual(Object.keys(classes), ['row', 'btn', 'link', 'card', 'md:col50', 'noPrint']); // source order, escapes removed, no keyframe offsets
+    assert.strictEqual(count, 6); // count matches entries
+    assert.deepStrictEqual(classes.row, {name:'row', selectors:['.row'], declarations:{display:'flex', 'flex-direction':'row'}, states:{}, responsive:[{media:'screen and (max-width: 768px)', declarations:{'flex-direction':'column !important'}}], important:true}); // merged base plus override
+    assert.deepStrictEqual(classes.link.states, {':hover':{color:'red'}}); // pseudo state from a selector list
+    assert.deepStrictEqual(classes.btn.responsive, [{media:'screen and (max-width: 768px)', state:':hover', declarations:{color:'blue'}}]); // responsive state
+    assert.deepStrictEqual([classes.card.selectors, classes.card.declarations], [['.card h2'], {}]); // compound selector only listed
+    assert.deepStrictEqual([classes.noPrint.selectors, classes.noPrint.important], [['.noPrint', '.noPrint *'], true]); // print override flagged
+  });
+
+  it('keeps important declarations over later normal ones', () => {
+    const {classes} = buildClassCatalog(`.row{flex-direction:row !important}.row{display:flex;flex-direction:column}
+.a{color:red !important;color:blue}.a:hover{color:red !important}.a:hover{color:blue}.a{color:green !important}
+@media print{.a{margin:0 !important}}@media print{.a{margin:1px}}`); // cascade cases
+    assert.deepStrictEqual(classes.row.declarations, {'flex-direction':'row !important', display:'flex'}); // later normal rule loses
+    assert.strictEqual(classes.a.declarations.color, 'green !important'); // later important still wins, same-rule normal lost
+    assert.deepStrictEqual(classes.a.states[':hover'], {color:'red !important'}); // states merge the same way
+    assert.deepStrictEqual(classes.a.responsive[0].declarations, {margin:'0 !important'}); // repeated media blocks too
+    const real = buildClassCatalog(fs.readFileSync(path.join(__dirname, '..', 'qore.css'), 'utf8')).classes.row; // shipped stylesheet
+    assert.strictEqual(real.declarations['flex-direction'], 'row !important'); // utility rule beats the later component rule
+  });
+
+  it('build writes classes.json and the index helpers read it', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), CSS); // catalogue source
+    fs.writeFileSync(path.join(tmpDir, 'page.html'), '<div class="row btn"></div>'); // purge content
+    fs.copyFileSync(path.resolve(__dirname, '../index.js'), path.join(tmpDir, 'index.js')); // entry copy resolves classes.json beside itself
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const result = await build({bundles:[], tokens:false, purge:{content:['*.html'], safelist:['noPrint']}}); // purged build
+    assert.strictEqual(result.classes, 'classes.json'); // reported in result
+    const qorecss = require(path.join(tmpDir, 'index.js')); // built entry
+    assert.deepStrictEqual(Object.keys(qorecss.getClasses()), ['row', 'btn', 'noPrint']); // purged classes dropped
+    assert.ok(qorecss.hasClass('row') && qorecss.hasClass('.btn')); // with or without dot
+    assert.ok(!qorecss.hasClass('card')); // purged class
+    assert.strictEqual((await build({bundles:[], tokens:false, updateEntry:false, purge:false})).classes, 'classes.json'); // rebuild without purge
+    assert.ok(qorecss.hasClass('card')); // rebuilt file noticed despite cache
+    fs.unlinkSync('classes.json'); // unbuilt package
+    assert.throws(() => qorecss.getClasses(), /classes.json not found/); // points at the build
+    assert.strictEqual((await build({bundles:[], tokens:false, updateEntry:false, purge:false, classes:false})).classes, null); // disabled
+    assert.ok(!fs.existsSync('classes.json')); // nothing written
+  });
+});
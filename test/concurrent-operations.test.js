@@ -89,7 +89,7 @@ describe('concurrent build operations', {concurrency:false}, () => {
       const buildDir = path.join(tmpDir, `build${i}`); // gets build directory path
       const originalCwd = process.cwd(); // preserves current working directory
       process.chdir(buildDir); // changes to build directory
-      const hash = await build(); // executes build in isolated directory
+      const {hash} = await build(); // executes build in isolated directory
       process.chdir(originalCwd); // restores working directory
       results.push({buildDir, hash}); // stores build results
     }
@@ -0,0 +1,108 @@
+/*
+ * CONTRAST AUDIT TESTING - WCAG RATIOS FOR DESIGN TOKEN PAIRINGS
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates the WCAG math, var() resolution per theme, that every documented
+ * pairing still matches the color qore.css assigns, that the shipped light
+ * palette meets AA, and that the audit and CLI fail when a pair is below the
+ * requested level.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const postcss = require('postcss'); // reads qore.css rules for drift checks
+const {auditContrast, run, PAIRS} = require('../scripts/contrast'); // audit under test
+const {parseTokens, resolveValue} = require('../scripts/utils/tokens'); // token reader under test
+const {parseColor, composite, contrastRatio} = require('../scripts/utils/color'); // WCAG math under test
+
+const PASSING = `:root {
+  --gs-lightest: #ffffff; --gs-mid: #cccccc; --gs-darkest: #000000; --bg-page-end: #111111;
+  --color-dominant: #1a1a1a; --color-two: #ffffff; --color-bright: #eeeeee;
+  --link: #99ccff; --warn: #ff9999; --transparent-b: #00000040;
+}
+:root[data-theme="light"] {
+  --gs-lightest: #000000; --gs-mid: #333333; --gs-darkest: #ffffff; --bg-page-end: #eeeeee;
+  --color-dominant: #f0f0f0; --color-two: #000000; --color-bright: #222222; --link: #003366; --warn: #990000;
+}`; // every pair well above AAA in both themes
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contrast-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CONTRAST_LEVEL; // clears level override between tests
+});
+
+describe('contrast audit', {concurrency:false}, () => {
+  it('computes WCAG ratios with alpha compositing', () => {
+    assert.strictEqual(Math.round(contrastRatio(parseColor('#000'), parseColor('#fff'))), 21); // maximum contrast
+    assert.strictEqual(contrastRatio(parseColor('#777'), parseColor('#777')), 1); // identical colors
+    assert.deepStrictEqual(parseColor('rgb(0 0 0 / 50%)'), parseColor('rgba(0, 0, 0, 0.5)')); // modern and legacy syntax agree
+    assert.strictEqual(Math.round(composite(parseColor('#00000080'), parseColor('#ffffff')).r), 127); // hex alpha blends half way
+    assert.throws(() => parseColor('red'), /invalid color: red/); // named colors unsupported
+  });
+
+  it('resolves var() chains, fallbacks and cycles per theme', () => {
+    const tokens = parseTokens(':root{--a:#111;--b:var(--a);--c:var(--missing, var(--b));--d:var(--e);--e:var(--d)}:root[data-theme="light"]{--a:#eee}'); // chained references
+    assert.strictEqual(resolveValue('var(--c)', tokens.dark), '#111'); // fallback resolved through chain
+    assert.strictEqual(resolveValue('var(--b)', tokens.light), '#eee'); // light override seen through references
+    assert.strictEqual(resolveValue('var(--d)', tokens.dark), null); // cycle is invalid
+    assert.strictEqual(tokens.light['--b'], 'var(--a)'); // light inherits non-overridden tokens
+  });
+
+  it('documents pairings that match qore.css colors', () => {
+    const rules = {}; // selector -> color value
+    postcss.parse(fs.readFileSync(path.resolve(__dirname, '../qore.css'), 'utf8')).walkRules(rule => { if(rule.parent.type === 'root'){ rule.walkDecls('color', decl => { rules[rule.selector.replace(/\s+/g, ' ')] = decl.value; }); } }); // top level text colors
+    PAIRS.forEach(pair => assert.strictEqual(rules[pair.selector], `var(${pair.fg})`, `${pair.name} no longer uses ${pair.fg}`)); // fg still set by the named rule
+  });
+
+  it('shipped light palette meets AA for every documented pair', () => {
+    const light = auditContrast(fs.readFileSync(path.resolve(__dirname, '../variables.css'), 'utf8'), {themes:['light'], level:'AA'}).results[0].pairs; // variables.css light tokens
+    assert.deepStrictEqual(light.filter(p => !p.pass).map(p => `${p.name} ${p.ratio}`), []); // no pair below its threshold
+    ['aside', 'button', 'h4', 'a:hover', 'textarea'].forEach(name => assert.ok(light.find(p => p.name === name).ratio >= 4.5, name)); // pairs that used to fail
+  });
+
+  it('never pairs a color with its own surface', () => {
+    const report = auditContrast(fs.readFileSync(path.resolve(__dirname, '../variables.css'), 'utf8'), {level:'AA'}); // both shipped palettes
+    report.results.forEach(result => assert.deepStrictEqual(result.pairs.filter(p => p.ratio === 1).map(p => p.name), [], result.theme)); // 1:1 means the pair measures nothing
+  });
+
+  it('passes high contrast tokens and reports failures with ratios', () => {
+    const ok = auditContrast(PASSING); // default AA
+    assert.strictEqual(ok.failures, 0); // every pair passes
+    assert.deepStrictEqual(ok.results.map(r => r.theme), ['dark', 'light']); // both palettes audited
+    const low = auditContrast(PASSING.replace('--gs-mid: #cccccc', '--gs-mid: #333333'), {themes:['dark']}); // textarea gray on black
+    const textarea = low.results[0].pairs.find(p => p.name === 'textarea'); // failing row
+    assert.strictEqual(low.failures, 1); // only the changed pair fails
+    assert.deepStrictEqual([textarea.pass, textarea.aa, textarea.required], [false, false, 4.5]); // AA failure details
+    assert.ok(textarea.ratio > 1 && textarea.ratio < 4.5); // measured ratio reported
+  });
+
+  it('applies AAA thresholds and flags unresolved tokens', () => {
+    process.env.CONTRAST_LEVEL = 'aaa'; // stricter level from env
+    const css = PASSING.replace('--link: #99ccff', '--link: #3b82f6'); // AA on black but not AAA
+    const report = auditContrast(css, {themes:['dark']}); // env level applied
+    assert.strictEqual(report.level, 'AAA'); // normalized level
+    assert.deepStrictEqual(report.results[0].pairs.filter(p => !p.pass).map(p => p.name), ['a']); // link below 7:1
+    const broken = auditContrast(PASSING.replace('--link: #99ccff', '--link: var(--nope)'), {themes:['dark'], level:'AA'}); // undefined reference
+    assert.match(broken.results[0].pairs.find(p => p.name === 'a').error, /unresolved --link/); // unmeasurable pair reported
+    assert.throws(() => auditContrast(PASSING, {level:'A'}), /invalid contrast level/); // unknown level rejected
+  });
+
+  it('cli returns failure count and writes json report', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), PASSING.replace('--warn: #ff9999', '--warn: #550000')); // dark theme warn fails
+    process.chdir(tmpDir); // report lands in cwd
+    assert.strictEqual(await run(['--json']), 1); // one failing pair
+    const report = JSON.parse(fs.readFileSync(path.join(tmpDir, 'contrast-report.json'), 'utf8')); // machine readable report
+    assert.strictEqual(report.results[0].pairs.find(p => p.name === '.item-button').pass, false); // failing pair recorded
+    assert.strictEqual(await run(['variables.css', '--theme=light']), 0); // light palette unaffected
+    await assert.rejects(() => run(['--theme=sepia']), /invalid theme: sepia/); // unknown theme rejected
+  });
+});
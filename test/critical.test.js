@@ -0,0 +1,36 @@
+/*
+ * CRITICAL CSS TESTING - ABOVE-THE-FOLD RULE SELECTION
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that extractCritical keeps rules styling the top of the page,
+ * honors the fold marker and element budget, evaluates selectors with
+ * interaction pseudo-classes, and carries media wrappers and keyframes.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const {describe, it} = require('node:test'); // Node.js native test framework components
+const {extractCritical} = require('../scripts/critical'); // extraction under test
+
+const html = '<body><header class="top"><a class="btn">Go</a></header><div data-qore-fold></div><footer class="bottom"></footer></body>'; // page with explicit fold
+const css = ':root{--a:1px}.top{color:red}.btn:hover{color:blue}.bottom{color:green}@media (max-width:500px){.top{padding:0}.bottom{padding:0}}@keyframes spin{to{opacity:0}}@keyframes fade{to{opacity:1}}.btn{animation:spin 1s}'; // mixed rules
+
+describe('extractCritical', {concurrency:false}, () => {
+  it('keeps rules above the fold marker', () => {
+    const result = extractCritical(html, css); // marker decides the fold
+    assert.ok(result.css.includes(':root{--a:1px}')); // document level rules always kept
+    assert.ok(result.css.includes('.top{color:red}')); // header styled on first paint
+    assert.ok(result.css.includes('.btn:hover{color:blue}')); // hover rule matched without the pseudo-class
+    assert.ok(!result.css.includes('.bottom')); // below fold rules dropped, including inside media
+    assert.ok(result.css.includes('@media (max-width:500px){.top{padding:0}}')); // media wrapper kept for visible rules
+    assert.ok(result.css.includes('@keyframes spin')); // animation used by kept rule
+    assert.ok(!result.css.includes('fade')); // unreferenced animation dropped
+    assert.strictEqual(result.total, 7); // every style rule examined
+  });
+
+  it('uses the element budget without a marker', () => {
+    const page = '<body><header class="top"></header><footer class="bottom"></footer></body>'; // no fold marker
+    assert.ok(!extractCritical(page, css, {maxElements:1}).css.includes('.bottom')); // only first element counted
+    assert.ok(extractCritical(page, css, {maxElements:2}).css.includes('.bottom')); // budget covers footer
+  });
+});
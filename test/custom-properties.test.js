@@ -0,0 +1,81 @@
+/*
+ * CUSTOM PROPERTY AUDIT TESTING - UNDEFINED AND UNUSED TOKENS
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that var() usages are located precisely, that fallbacks and
+ * aliases are understood, that the shipped stylesheets reference only
+ * declared properties, and that the build fails or warns as configured.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {auditCustomProperties, formatCustomPropertyReport} = require('../scripts/utils/custom-properties'); // audit under test
+
+const ROOT = path.resolve(__dirname, '..'); // repository root
+const QORE = `a:visited {color: var(--link-visited);}
+.menu {
+    color: var(--link);
+    background: var(--shade, #000) var(--missing);
+}
+@media print {.menu {border: var(--missing);}}`; // undefined, fallback and repeated references
+const VARIABLES = `:root {
+    --link: var(--blue);
+    --blue: #00f;
+    --unused: 1px;
+    --breakpoint-sm: 768px;
+    --sl-color-primary-50: #eff;
+}`; // alias, unused and ignored tokens
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources verbatim
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-props-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(ROOT); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+  delete process.env.CUSTOM_PROPERTIES; // clears mode between tests
+});
+
+describe('custom property audit', {concurrency:false}, () => {
+  it('locates undefined references and unused declarations', () => {
+    const report = auditCustomProperties([{file:'qore.css', css:QORE}, {file:'variables.css', css:VARIABLES}]); // audit result
+    assert.deepStrictEqual([report.declared, report.used], [5, 5]); // declared tokens and distinct references
+    assert.deepStrictEqual(report.undefined, [
+      {name:'--link-visited', file:'qore.css', line:1, column:19, selector:'a:visited'},
+      {name:'--missing', file:'qore.css', line:4, column:36, selector:'.menu'},
+      {name:'--missing', file:'qore.css', line:6, column:30, selector:'.menu'}
+    ]); // every occurrence, fallback and alias skipped
+    assert.deepStrictEqual(report.unused, [{name:'--unused', file:'variables.css', line:4, column:5}]); // breakpoint and shoelace tokens ignored
+    assert.strictEqual(formatCustomPropertyReport(report).split('\n')[0], 'qore.css:1:19  undefined custom property --link-visited (a:visited)'); // editor friendly location
+  });
+
+  it('finds no undefined custom properties in the shipped stylesheets', () => {
+    const report = auditCustomProperties(['qore.css', 'variables.css'].map(file => ({file, css:fs.readFileSync(path.join(ROOT, file), 'utf8')}))); // repository audit
+    assert.deepStrictEqual(report.undefined, []); // --link-visited and --color-white are declared
+  });
+
+  it('build fails, warns or skips as configured', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), QORE); // stylesheet with undefined references
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), VARIABLES); // token declarations
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const opts = {bundles:[], updateEntry:false}; // minimal build
+    await assert.rejects(() => build(opts), err => /undefined custom properties/.test(err.message) && err.message.includes('qore.css:4:36  undefined custom property --missing (.menu)')); // fails by default with locations
+    assert.ok(!fs.existsSync('build.hash')); // nothing published
+    process.env.CUSTOM_PROPERTIES = 'warn'; // env switch
+    const warned = await build(opts); // continues
+    assert.strictEqual(warned.customProperties.undefined.length, 3); // report returned
+    assert.strictEqual((await build({...opts, customProperties:false})).customProperties, null); // disabled
+    fs.unlinkSync('variables.css'); // token stylesheet missing
+    assert.strictEqual((await build({...opts, customProperties:'fail'})).customProperties, null); // skipped rather than failing every reference
+    await assert.rejects(() => build({...opts, customProperties:'error'}), /invalid customProperties: error/); // bad option rejected
+  });
+});
@@ -0,0 +1,81 @@
+/*
+ * DUPLICATE RULE REPORT TESTING - DUPLICATES, OVERRIDES AND DEAD DECLARATIONS
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates the cascade classification per selector and media context, that
+ * qore.css's known duplicates are reported, and that the CLI and the build
+ * flag produce the JSON report CI gates on.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {analyzeRules, formatReport, run, REPORT_FILE} = require('../scripts/duplicates'); // analysis under test
+
+const ROOT = path.resolve(__dirname, '..'); // repository root
+const CSS = `.row, .col {display: flex}
+.row {flex-direction: row !important; display: -webkit-box; display: flex}
+.col {width: 50%; color: red !important}
+.row {flex-direction: column}
+.col {width: 60%; color: blue !important}
+@media (max-width: 768px) {.row {flex-direction: column !important}}
+@keyframes pulse {50% {opacity: 0} 50% {opacity: 1}}
+.row {display: flex}`; // one case per category
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources verbatim
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(ROOT); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+describe('duplicate rule report', {concurrency:false}, () => {
+  it('classifies declarations the way the cascade applies them', () => {
+    const report = analyzeRules(CSS, 'app.css'); // findings
+    assert.deepStrictEqual(report.duplicates, [{selector:'.row', context:'', lines:[2, 4, 8]}, {selector:'.col', context:'', lines:[3, 5]}]); // standalone repeats, list rule excluded
+    assert.deepStrictEqual(report.overridden, [{selector:'.col', context:'', property:'width', value:'50%', line:3, by:{value:'60%', line:5, important:false}}]); // order decides
+    assert.deepStrictEqual(report.important.map(d => [d.selector, d.value, d.by.value]), [['.col', 'blue', 'red']]); // competing important values
+    assert.deepStrictEqual(report.dead.map(d => [d.line, d.property, d.reason]), [[2, 'display', 'repeated'], [4, 'flex-direction', 'important'], [8, 'display', 'repeated']]); // removable declarations
+    assert.deepStrictEqual(report.totals, {duplicates:2, overridden:1, important:1, dead:3}); // media override and fallbacks not reported
+    assert.strictEqual(formatReport(report).split('\n')[2], 'app.css:3  width: 50% on .col overridden by 60% at line 5'); // readable row
+  });
+
+  it('reports the doubled utility definitions in qore.css', () => {
+    const report = analyzeRules(fs.readFileSync(path.join(ROOT, 'qore.css'), 'utf8')); // framework findings
+    const duplicated = report.duplicates.map(d => d.selector); // repeated standalone selectors
+    ['.row', '.col', '.center', '.grid3', '.grid4', '.grid5'].forEach(name => assert.ok(duplicated.includes(name), name)); // request examples
+    assert.ok(report.dead.some(d => d.selector === '.col' && d.property === 'flex-direction' && d.reason === 'important')); // later .col loses to !important
+    assert.ok(report.overridden.some(d => d.selector === '.grid3' && d.property === 'grid-template-columns')); // auto-fit replaces fixed columns
+    assert.ok(!report.duplicates.some(d => d.selector.includes('\\:'))); // generated variants are unique
+  });
+
+  it('gates ci from the cli and the build flag', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), CSS); // stylesheet with findings
+    fs.writeFileSync(path.join(tmpDir, 'clean.css'), '.a {color: red}\n.b {color: blue}'); // nothing to report
+    process.chdir(tmpDir); // cli and build work in cwd
+    assert.strictEqual(await run(['--json']), 7); // every category gates by default
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(REPORT_FILE, 'utf8')).totals, {duplicates:2, overridden:1, important:1, dead:3}); // machine readable report
+    assert.strictEqual(await run(['--fail-on=important,dead']), 4); // selected categories
+    assert.strictEqual(await run(['clean.css']), 0); // passes
+    await assert.rejects(() => run(['--fail-on=dupes']), /invalid fail-on: dupes/); // typo rejected
+    fs.unlinkSync(REPORT_FILE); // build writes a fresh one
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    assert.strictEqual((await build({bundles:[], updateEntry:false})).duplicates, null); // off by default
+    assert.ok(!fs.existsSync(REPORT_FILE)); // nothing written
+    const result = await build({bundles:[], updateEntry:false, duplicates:true}); // flag on
+    assert.strictEqual(result.duplicates.totals.dead, 3); // report in the result
+    assert.ok(fs.existsSync(result.file) && fs.existsSync(REPORT_FILE)); // still published, report written
+    fs.unlinkSync(REPORT_FILE); // next build writes elsewhere
+    await build({bundles:[], updateEntry:false, duplicates:true, outDir:'dist'}); // separate output directory
+    assert.ok(fs.existsSync(path.join('dist', REPORT_FILE)) && !fs.existsSync(REPORT_FILE)); // report follows outDir, not cwd
+  });
+});
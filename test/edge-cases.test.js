@@ -76,7 +76,7 @@ describe('build edge cases', {concurrency:false}, () => {
     delete require.cache[require.resolve('../scripts/build')]; // clears module cache for fresh import
     const build = require('../scripts/build'); // imports build function after cache clearing
     
-    const hash = await build(); // executes build with empty CSS
+    const {hash} = await build(); // executes build with empty CSS
     assert.strictEqual(typeof hash, 'string'); // validates hash generation
     assert.strictEqual(hash.length, 8); // confirms standard hash length
     assert.ok(fs.existsSync(`core.${hash}.min.css`)); // verifies output file creation
@@ -98,7 +98,7 @@ describe('build edge cases', {concurrency:false}, () => {
     delete require.cache[require.resolve('../scripts/build')]; // clears module cache for fresh import
     const build = require('../scripts/build'); // imports build function after cache clearing
     
-    const hash = await build(); // executes build with large CSS
+    const {hash} = await build(); // executes build with large CSS
     assert.strictEqual(typeof hash, 'string'); // validates hash generation
     assert.ok(fs.existsSync(`core.${hash}.min.css`)); // verifies output file creation
     
@@ -128,7 +128,7 @@ describe('build edge cases', {concurrency:false}, () => {
     delete require.cache[require.resolve('../scripts/build')]; // clears module cache for fresh import
     const build = require('../scripts/build'); // imports build function after cache clearing
     
-    const hash = await build(); // executes build with special characters
+    const {hash} = await build(); // executes build with special characters
     assert.strictEqual(typeof hash, 'string'); // validates hash generation
     assert.ok(fs.existsSync(`core.${hash}.min.css`)); // verifies output file creation
     
@@ -95,7 +95,7 @@ describe('build error handling', {concurrency:false}, () => {
     const build = require('../scripts/build'); // imports build function after cache clearing
     
     // Build should complete even with CSS warnings, PostCSS is resilient
-    const hash = await build(); // executes build with malformed CSS
+    const {hash} = await build(); // executes build with malformed CSS
     assert.strictEqual(typeof hash, 'string'); // confirms build returns hash despite CSS issues
     assert.strictEqual(hash.length, 8); // validates hash format consistency
   });
@@ -0,0 +1,87 @@
+/*
+ * HASH FORMAT TESTING - CONFIGURABLE ALGORITHM AND LENGTH
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates the single hash format definition shared by build.js and its
+ * consumers: env overrides, rejection of unsupported settings, and that
+ * build output follows the configured length and consumers validate against
+ * the length recorded in the manifest.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {getHashFormat, isValidHash, manifestHashFormat, validateHashFormat} = require('../scripts/utils/hash-format'); // helpers under test
+
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hashfmt-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.HASH_ALGORITHM; // clears algorithm override between tests
+  delete process.env.HASH_LENGTH; // clears length override between tests
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+describe('hash format', {concurrency:false}, () => {
+  it('defaults to sha1 with 8 characters', () => {
+    assert.deepStrictEqual(getHashFormat(), {algorithm:'sha1', length:8}); // historical format
+    assert.ok(isValidHash('abcdef12')); // 8 hex chars accepted
+    assert.ok(!isValidHash('abcdef123456')); // other lengths rejected
+  });
+
+  it('reads overrides from env', () => {
+    process.env.HASH_ALGORITHM = 'SHA256'; // case-insensitive algorithm name
+    process.env.HASH_LENGTH = '12'; // longer filename hash
+    assert.deepStrictEqual(getHashFormat(), {algorithm:'sha256', length:12}); // normalized format
+    assert.ok(isValidHash('abcdef123456')); // configured length accepted
+    assert.ok(!isValidHash('abcdef12')); // default length now rejected
+  });
+
+  it('rejects unsupported settings', () => {
+    assert.throws(() => validateHashFormat({algorithm:'xxhash-nope', length:8}), /invalid hashAlgorithm/); // unknown algorithm
+    assert.throws(() => validateHashFormat({algorithm:'sha1', length:3}), /invalid hashLength/); // below minimum
+    assert.throws(() => validateHashFormat({algorithm:'sha1', length:48}), /exceeds sha1 digest/); // longer than sha1 hex digest
+  });
+
+  it('build and updateHtml follow configured length', async () => {
+    process.env.CODEX = 'True'; // offline build copies source
+    process.env.HASH_ALGORITHM = 'sha256'; // configured algorithm
+    process.env.HASH_LENGTH = '16'; // configured length
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // minimal source
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<link href="core.abcdef12.min.css">'); // reference from older 8-char build
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    delete require.cache[require.resolve('../scripts/updateHtml')]; // fresh updateHtml module
+    const {hash, algorithm} = await require('../scripts/build')({updateEntry:false}); // build with env format
+    assert.match(hash, /^[a-f0-9]{16}$/); // configured length used
+    assert.strictEqual(algorithm, 'sha256'); // configured algorithm used
+    assert.strictEqual(await require('../scripts/updateHtml')(), hash); // consumer accepts configured format
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8').includes(`core.${hash}.min.css`)); // older reference rewritten
+    process.env.HASH_LENGTH = '8'; // consumer now configured differently from build
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(tmpDir, 'qore-manifest.json'), 'utf8')).hashLength, 16); // format recorded by the build
+    assert.strictEqual(await require('../scripts/updateHtml')(), hash); // manifest length wins over env
+    fs.unlinkSync(path.join(tmpDir, 'qore-manifest.json')); // only build.hash left
+    assert.strictEqual(await require('../scripts/updateHtml')(), 1); // bare hash checked against env and rejected
+  });
+
+  it('consumers accept build({hashLength}) output without env settings', async () => {
+    process.env.CODEX = 'True'; // offline build copies source and skips purge requests
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // minimal source
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<link href="qore.css">'); // page rewritten by updateHtml
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const {hash} = await require('../scripts/build')({hashLength:12, updateEntry:false, bundles:[], tokens:false}); // option, not env
+    assert.match(hash, /^[a-f0-9]{12}$/); // requested length used
+    assert.strictEqual(await require('../scripts/updateHtml')(), hash); // link rewritten
+    assert.strictEqual(await require('../scripts/purge-cdn').run(), 200); // purge accepts the hash
+    assert.ok(isValidHash(hash, manifestHashFormat({hash, hashLength:12})) && !isValidHash(hash, manifestHashFormat({hash}))); // recorded length, else env default
+  });
+});
@@ -0,0 +1,90 @@
+/*
+ * BUILD RETENTION TESTING - HISTORY, PRUNE AND RETIRED PURGES
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that builds keep the last N versions on disk for rolling
+ * deploys, that the prune command tightens the policy without touching the
+ * live build, and that purge-cdn invalidates each retired version once.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {HISTORY_FILE, applyRetention, retentionPolicy} = require('../scripts/utils/history'); // retention under test
+const prune = require('../scripts/prune'); // prune command under test
+const {purgeRetired} = require('../scripts/purge-cdn'); // retired purge under test
+
+let tmpDir; // temporary directory path for isolated test execution
+const DAY = 24 * 60 * 60 * 1000; // milliseconds per day
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources and skips purge requests
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+  delete process.env.BUILD_KEEP; // clears retention between tests
+});
+
+const readHistoryFile = () => JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8')); // history written by build or prune
+
+async function buildVersions(build, count, opts = {}){
+  const hashes = []; // newest last
+  for(let i = 0; i < count; i++){
+    fs.writeFileSync('qore.css', `.v${i}{color:red}`); // distinct content per build
+    hashes.push((await build({bundles:[], updateEntry:false, tokens:false, ...opts})).hash); // builds one version
+  }
+  return hashes; // hashes in build order
+}
+
+describe('build retention', {concurrency:false}, () => {
+  it('keeps builds by count or age and validates the policy', () => {
+    const now = Date.parse('2026-01-10T00:00:00Z'); // fixed clock
+    const builds = [9, 5, 3, 1].map(d => ({hash:`h${d}`, builtAt:new Date(now - d * DAY).toISOString(), files:{'core.min.css':{file:`core.h${d}.min.css`}}})); // newest first
+    const {history, retired} = applyRetention({builds, retired:[]}, {keep:1, keepDays:4}, now); // newest plus builds under four days old
+    assert.deepStrictEqual(history.builds.map(b => b.hash), ['h9', 'h3', 'h1']); // first by count, the rest by age
+    assert.deepStrictEqual(retired, [{hash:'h5', builtAt:builds[1].builtAt, retiredAt:'2026-01-10T00:00:00.000Z', files:['core.h5.min.css'], purged:false}]); // filenames kept for purge-cdn
+    assert.deepStrictEqual(applyRetention({builds, retired:[]}, {keep:2, keepDays:0}, now).history.builds.map(b => b.hash), ['h9', 'h5']); // age rule disabled
+    process.env.BUILD_KEEP = '5'; // env default
+    assert.deepStrictEqual(retentionPolicy(), {keep:5, keepDays:0}); // defaults from env
+    assert.throws(() => retentionPolicy({keep:0}), /invalid keep: 0/); // current build is always kept
+  });
+
+  it('build keeps the last N builds and retires older ones', async () => {
+    process.chdir(tmpDir); // build works in cwd
+    fs.writeFileSync('core.deadbeef.min.css.br', 'old'); // artifact from before the history existed
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const hashes = await buildVersions(build, 4, {keep:3}); // one more than the policy keeps
+    const history = readHistoryFile(); // recorded builds
+    assert.deepStrictEqual(history.builds.map(b => b.hash), hashes.slice(1).reverse()); // newest first
+    assert.deepStrictEqual(history.retired.map(r => [r.hash, r.purged]), [[hashes[0], false]]); // oldest retired
+    hashes.slice(1).forEach(h => ['', '.gz', '.br'].forEach(ext => assert.ok(fs.existsSync(`core.${h}.min.css${ext}`), h + ext))); // rolling deploys still find these
+    assert.ok(!fs.readdirSync('.').some(f => f.includes(hashes[0]) || f.includes('deadbeef'))); // retired and untracked artifacts removed
+    const again = await build({bundles:[], updateEntry:false, tokens:false, keep:3}); // identical css
+    assert.deepStrictEqual([again.retained.length, again.retired], [3, []]); // same hash is not recorded twice
+    await assert.rejects(() => build({keepDays:-1}), /invalid keepDays: -1/); // rejected before building
+  });
+
+  it('prune tightens the policy and purge-cdn purges retired versions once', async () => {
+    process.chdir(tmpDir); // commands work in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const hashes = await buildVersions(build, 3); // default policy keeps all three
+    assert.strictEqual(readHistoryFile().retired.length, 0); // nothing retired yet
+    assert.strictEqual(await prune.run(['--keep=1', '--dry-run']), 0); // preview
+    assert.ok(fs.existsSync(`core.${hashes[0]}.min.css`) && readHistoryFile().retired.length === 0); // nothing touched
+    await prune.run(['--keep=1']); // keep only the live build
+    assert.deepStrictEqual(fs.readdirSync('.').filter(f => /^core\.\w+\.min\.css$/.test(f)), [`core.${hashes[2]}.min.css`]); // live build kept
+    assert.deepStrictEqual(await purgeRetired(), [hashes[1], hashes[0]]); // offline purge succeeds for both
+    assert.ok(readHistoryFile().retired.every(r => r.purged && r.purgedAt)); // recorded
+    assert.deepStrictEqual(await purgeRetired(), []); // purged only once
+    await assert.rejects(() => prune.run(['--keep=two']), /invalid keep: two/); // typo rejected
+  });
+});
@@ -198,6 +198,25 @@ describe('browser injection', {concurrency:false}, () => {
     fs.unlinkSync(tmpPath); // cleanup temporary script file
   });
 
+  it('sets integrity and crossorigin when build recorded digest', () => {
+    const tmpPath = path.join(os.tmpdir(), `idx-sri-${Date.now()}.js`); // temp file path for script with integrity
+    const orig = fs.readFileSync(path.resolve(__dirname, '../index.js'), 'utf8'); // read original script for modification
+    fs.writeFileSync(tmpPath, orig.replace(/const cssIntegrity = `[^`]*`;/, 'const cssIntegrity = `sha384-abc`;')); // simulates build-injected SRI
+    require(tmpPath); // load modified script to trigger injection
+    const link = document.querySelector('link'); // retrieves injected link
+    assert.strictEqual(link.getAttribute('integrity'), 'sha384-abc'); // integrity applied from placeholder
+    assert.strictEqual(link.getAttribute('crossorigin'), 'anonymous'); // CORS mode required for SRI
+    link.onerror(); // simulate hashed file failure
+    assert.strictEqual(link.getAttribute('integrity'), null); // fallback qore.css must not be checked against hashed digest
+    fs.unlinkSync(tmpPath); // cleanup temporary script file
+  });
+
+  it('omits integrity when placeholder empty', () => {
+    require('../index.js'); // repository copy has empty integrity placeholder
+    const link = document.querySelector('link'); // retrieves injected link
+    assert.strictEqual(link.getAttribute('integrity'), null); // no SRI attribute without digest
+  });
+
   it('removes hashed link with query string', () => {
     const old = document.createElement('link'); // prepares old hashed file with query for removal test
     old.href = 'core.123.min.css?old=1'; // simulates previous hashed file with query parameters
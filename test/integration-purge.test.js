@@ -80,7 +80,7 @@ describe('build update purge', {concurrency:false}, () => {
    * produces correctly configured assets and successful CDN operations.
    */
   it('updates html and purges cdn', async () => {
-    const hash = await build(); // run build to create hashed css and generate build artifacts
+    const {hash} = await build(); // run build to create hashed css and generate build artifacts
     process.env.CDN_BASE_URL = 'http://cdn'; // set cdn url for html update template replacement
     await updateHtml(); // update html file with hash and cdn configuration
     const code = await purgeCdn(`core.${hash}.min.css`); // purge cdn using exact generated file name
@@ -80,7 +80,7 @@ describe('build and updateHtml', {concurrency:false}, () => {
    * CDN configuration. This test ensures deployment scripts coordinate correctly.
    */
   it('builds and updates html', async () => {
-    const hash = await build(); // executes build script and captures generated hash
+    const {hash} = await build(); // executes build script and captures generated hash
     process.env.CDN_BASE_URL = 'http://cdn'; // sets CDN environment variable for HTML update
     await updateHtml(); // executes HTML update with build hash and CDN configuration
     const html = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // reads final HTML for validation
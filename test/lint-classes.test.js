@@ -0,0 +1,73 @@
+/*
+ * CLASS LINTER TESTING - UNKNOWN, MISSPELLED AND CONFLICTING CLASSES
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates attribute extraction with positions, suggestions for typos and
+ * numbered families, conflict derivation from qore.css, and that the
+ * function and CLI fail CI when problems are found.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {extractClassAttributes, suggest, findConflicts, lintClasses, run} = require('../scripts/lint-classes'); // linter under test
+const {buildClassCatalog} = require('../scripts/utils/class-catalog'); // real qore.css classes
+
+const QORE = buildClassCatalog(fs.readFileSync(path.resolve(__dirname, '../qore.css'), 'utf8')).classes; // framework catalogue
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-classes-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+});
+
+describe('class linter', {concurrency:false}, () => {
+  it('extracts static classes from html and jsx attributes', () => {
+    const content = '<div class="row  center">\n<p className={`pad5 ${x} {{y}}`} :class="{hid: on}" [class]="z" data-class="no"></p>'; // mixed syntaxes
+    assert.deepStrictEqual(extractClassAttributes(content).map(o => [o.name, o.index]), [['row', 12], ['center', 17], ['pad5', 41]]); // bindings and dynamic parts skipped
+  });
+
+  it('suggests typos, case mismatches and nearest family sizes', () => {
+    const names = Object.keys(QORE); // candidate classes
+    assert.deepStrictEqual(suggest('pad7', names), ['pad10', 'pad5']); // nearest padding steps
+    assert.deepStrictEqual(suggest('wide35', names).slice(0, 2), ['wide33', 'wide40']); // family before edit distance
+    assert.deepStrictEqual(suggest('centre', names), ['center']); // transposed letters
+    assert.deepStrictEqual(suggest('cta', names), ['CTA']); // case mismatch
+    assert.deepStrictEqual(suggest('myWidget', names), []); // project class has no match
+  });
+
+  it('derives conflicts from single purpose utilities', () => {
+    const conflicts = findConflicts(QORE); // pair -> reason
+    assert.strictEqual(conflicts.get('col row'), 'both set flex-direction (row vs column)'); // request example
+    assert.ok(conflicts.has('pad10 pad5') && conflicts.has('desktop mobile')); // same priority clashes
+    assert.ok(conflicts.has('smallHide smallShow')); // explicit pair
+    assert.ok(!conflicts.has('itemText textLeft')); // important override is intentional
+    assert.ok(!conflicts.has('card cardWhite')); // components are not compared
+  });
+
+  it('lints project files and exits non-zero from the cli', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'src')); // nested markup
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<main class="row col">\n  <p class="wide35 myWidget">x</p>\n</main>'); // conflict, typo and project class
+    fs.writeFileSync(path.join(tmpDir, 'src', 'App.jsx'), 'export default () => <div className="app-shell pad7 textCenter"/>;'); // jsx typo
+    fs.writeFileSync(path.join(tmpDir, 'app.css'), '.myWidget{color:red}'); // project stylesheet
+    const report = await lintClasses({root:tmpDir}); // default globs
+    assert.deepStrictEqual(report.files, ['index.html', 'src/App.jsx']); // markup found
+    assert.deepStrictEqual(report.problems.map(p => [p.file, p.line, p.column, p.class, p.rule]), [['index.html', 1, 18, 'col', 'conflict'], ['index.html', 2, 13, 'wide35', 'unknown-class'], ['src/App.jsx', 1, 48, 'pad7', 'unknown-class']]); // locations and rules
+    const strict = await lintClasses({root:tmpDir, strict:true, css:['app.css'], ignore:[/^app-/]}); // project classes known
+    assert.deepStrictEqual(strict.problems.map(p => p.class), ['col', 'wide35', 'pad7']); // nothing extra reported
+    assert.deepStrictEqual((await lintClasses({root:tmpDir, strict:true})).problems.map(p => p.class), ['col', 'wide35', 'myWidget', 'app-shell', 'pad7']); // strict reports every unknown class
+    process.chdir(tmpDir); // cli globs resolve in cwd
+    assert.strictEqual(await run(['src/*.jsx', '--json']), 1); // one typo
+    assert.strictEqual(JSON.parse(fs.readFileSync('class-lint-report.json', 'utf8')).problems[0].suggestions[0], 'pad10'); // machine readable report
+    fs.writeFileSync('ok.html', '<div class="row center myWidget"></div>'); // clean markup
+    assert.strictEqual(await run(['ok.html']), 0); // passes
+    await assert.rejects(() => run(['*.vue']), /matched no files/); // wrong glob fails ci
+  });
+});
@@ -0,0 +1,100 @@
+/*
+ * BUILD MANIFEST TESTING - ARTIFACT LOOKUP VALIDATION
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates readManifest() which downstream scripts use to find hashed
+ * artifacts. The reader must prefer qore-manifest.json, fall back to
+ * build.hash for older pipelines and surface missing files as ENOENT so
+ * callers keep their existing exit codes.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {readManifest, writeManifest, MANIFEST_FILE} = require('../scripts/utils/manifest'); // manifest helpers under test
+
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+});
+
+describe('readManifest', {concurrency:false}, () => {
+  it('reads manifest written by writeManifest', async () => {
+    const manifest = {hash:'abcdef12', files:{'core.min.css':{file:'core.abcdef12.min.css', size:4}}}; // minimal manifest shape
+    await writeManifest(manifest, tmpDir); // persists manifest to temp dir
+    const read = await readManifest(tmpDir); // reads manifest back
+    assert.deepStrictEqual(read, manifest); // round trip preserves content
+  });
+
+  it('prefers manifest over build.hash', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.hash'), '11111111'); // stale hash file
+    fs.writeFileSync(path.join(tmpDir, MANIFEST_FILE), JSON.stringify({hash:'22222222', files:{'core.min.css':{file:'core.22222222.min.css'}}})); // newer manifest
+    const read = await readManifest(tmpDir); // reads with both files present
+    assert.strictEqual(read.files['core.min.css'].file, 'core.22222222.min.css'); // manifest wins
+  });
+
+  it('falls back to build.hash when manifest missing', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.hash'), ' 12345678\n'); // hash with surrounding whitespace
+    const read = await readManifest(tmpDir); // reads fallback
+    assert.strictEqual(read.hash, '12345678'); // hash trimmed
+    assert.strictEqual(read.files['core.min.css'].file, 'core.12345678.min.css'); // filename synthesized from hash
+  });
+
+  it('rejects with ENOENT when no build output exists', async () => {
+    await assert.rejects(
+      async () => await readManifest(tmpDir), // no manifest or hash file present
+      err => err.code === 'ENOENT' && path.basename(err.path) === 'build.hash' // error names legacy hash file for callers
+    );
+  });
+
+  it('rejects manifests without a core entry', async () => {
+    fs.writeFileSync(path.join(tmpDir, MANIFEST_FILE), JSON.stringify({hash:'12345678', files:{}})); // truncated manifest
+    await assert.rejects(
+      async () => await readManifest(tmpDir), // invalid manifest should not be used
+      err => err.message.includes('invalid manifest') // explicit message for debugging
+    );
+  });
+});
+
+/*
+ * CUSTOM PRIMARY NAME
+ *
+ * TESTING SCENARIO:
+ * build({name:'app'}) records "app.min.css" as the manifest entry, so the
+ * next build, updateHtml, purge-cdn, critical, serve and rollback all find
+ * the app stylesheet instead of rejecting the manifest.
+ */
+describe('custom build name', {concurrency:false}, () => {
+  beforeEach(() => { process.env.CODEX = 'True'; }); // offline build copies sources and skips purge requests
+  afterEach(() => { process.chdir(path.resolve(__dirname, '..')); delete process.env.CODEX; }); // restores cwd and env
+
+  it('reads and re-points the app stylesheet end to end', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<link rel="stylesheet" href="app.min.css"><p>x</p>'); // page referencing the unhashed name
+    process.chdir(tmpDir); // scripts work in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const opts = {name:'app', bundles:[], tokens:false, updateEntry:false}; // custom primary name
+    fs.writeFileSync('qore.css', 'p{color:red}'); // first version
+    const first = await build(opts); // app.[hash].min.css
+    fs.writeFileSync('qore.css', 'p{color:blue}'); // second version
+    const second = await build(opts); // reads the first manifest
+    assert.strictEqual(second.sizes.rows.find(r => r.metric === 'raw').previous, first.sizes.rows.find(r => r.metric === 'raw').size); // previous sizes found
+    assert.strictEqual((await readManifest(tmpDir)).entry, 'app.min.css'); // primary entry recorded
+    await require('../scripts/updateHtml')(); // rewrites the page
+    assert.ok(fs.readFileSync('index.html', 'utf8').includes(`href="${second.file}" integrity="${second.integrity}"`)); // link and SRI
+    assert.strictEqual(await require('../scripts/purge-cdn').run(), 200); // purges the app file
+    assert.strictEqual(require('../scripts/serve').rewriteHtml('<link href="app.min.css">', second.file).includes(second.file), true); // dev server rewrite
+    await require('../scripts/critical').run('index.html', undefined, 'critical.css'); // defaults to the app stylesheet
+    assert.ok(fs.readFileSync('critical.css', 'utf8').includes('blue')); // read from the current build
+    assert.strictEqual(await require('../scripts/rollback').run([]), 0); // back to the first build
+    assert.ok(fs.readFileSync('index.html', 'utf8').includes(first.file)); // page points at the first app file
+  });
+});
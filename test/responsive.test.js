@@ -0,0 +1,108 @@
+/*
+ * RESPONSIVE VARIANT TESTING - BREAKPOINT PREFIXED UTILITIES
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that breakpoints are read from tokens widest first, that
+ * variants copy the base utilities with the cascade resolved, that the
+ * committed qore.css region matches variables.css, and that the build,
+ * purge and class catalogue treat "md:col50" like any other class.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {RESPONSIVE_START, RESPONSIVE_END, breakpointMap, collectUtilities, generateResponsive, applyResponsive} = require('../scripts/utils/responsive'); // generator under test
+const {buildClassCatalog} = require('../scripts/utils/class-catalog'); // reads generated rules back
+
+const ROOT = path.resolve(__dirname, '..'); // repository root
+const CSS = `.row, .col {display:flex}
+.col {flex-direction: column !important}
+.center {justify-content: center !important}
+.center {justify-content: center; align-items: center}
+.grid3 {display: -webkit-box; display: grid}
+.card .col50, .col50:hover {width: 10%}
+.col50 {width: 50%}
+.card {padding: 5px}
+@media screen and (max-width: 768px) {.row {flex-direction: column !important}}
+${RESPONSIVE_START}
+${RESPONSIVE_END}
+`; // one case per collection rule
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources verbatim
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'responsive-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(ROOT); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+describe('responsive variants', {concurrency:false}, () => {
+  it('reads breakpoints widest first and copies utilities with the cascade resolved', () => {
+    assert.deepStrictEqual(breakpointMap(':root{--breakpoint-sm:768px;--breakpoint-lg: 1250px;--breakpoint-md:994px;--space-1:5px}'), [{name:'lg', width:'1250px'}, {name:'md', width:'994px'}, {name:'sm', width:'768px'}]); // sorted by width
+    const utilities = collectUtilities(CSS); // name -> declarations
+    assert.deepStrictEqual([...utilities.keys()], ['row', 'col', 'center', 'grid3', 'col50']); // bare selectors only, components skipped
+    assert.deepStrictEqual(utilities.get('center').map(d => [d.prop, d.value, d.important]), [['justify-content', 'center', true], ['align-items', 'center', false]]); // earlier important wins
+    assert.deepStrictEqual(utilities.get('grid3').map(d => d.value), ['-webkit-box', 'grid']); // fallbacks kept
+    assert.deepStrictEqual(utilities.get('col50').map(d => d.value), ['50%']); // compound and pseudo selectors ignored
+    assert.throws(() => generateResponsive(CSS, []), /no --breakpoint-\* tokens/); // never empties the region
+  });
+
+  it('generates narrower breakpoints last as escaped classes', () => {
+    const css = applyResponsive(CSS, [{name:'md', width:'994px'}, {name:'sm', width:'768px'}]); // regenerated stylesheet
+    assert.strictEqual(applyResponsive(css, [{name:'md', width:'994px'}, {name:'sm', width:'768px'}]), css); // previous variants are not collected again
+    assert.ok(css.includes('@media screen and (max-width: 994px) {\n    .md\\:row {\n        display: flex;\n    }\n\n    .md\\:col {')); // one block format for every rule
+    assert.ok(css.indexOf('.md\\:col50') < css.indexOf('.sm\\:col50')); // sm overrides md
+    const {classes} = buildClassCatalog(css); // variants as the catalogue sees them
+    assert.deepStrictEqual(classes['sm:col'].responsive, [{media:'screen and (max-width: 768px)', declarations:{display:'flex', 'flex-direction':'column !important'}}]); // variant only applies in its query
+    assert.deepStrictEqual(classes['sm:col'].declarations, {}); // nothing outside the query
+    assert.strictEqual(applyResponsive('.row{display:flex}', [{name:'sm', width:'768px'}]), null); // stylesheets without markers are skipped
+  });
+
+  it('keeps the committed qore.css region in sync with variables.css', () => {
+    const css = fs.readFileSync(path.join(ROOT, 'qore.css'), 'utf8'); // committed stylesheet
+    const breakpoints = breakpointMap(fs.readFileSync(path.join(ROOT, 'variables.css'), 'utf8')); // committed map
+    assert.deepStrictEqual(breakpoints, [{name:'md', width:'994px'}, {name:'sm', width:'768px'}]); // default map matches the hand-written queries
+    assert.strictEqual(applyResponsive(css, breakpoints), css); // regenerating is a no-op
+    const {classes} = buildClassCatalog(css); // framework catalogue
+    ['md:col50', 'sm:hid', 'sm:row', 'md:wide90', 'sm:p-1', 'md:mx-auto', 'sm:gap-y-2', 'md:grid3'].forEach(name => assert.ok(classes[name], name)); // every category covered
+    assert.ok(!classes['sm:card'] && !classes['sm:smallHide']); // components and existing responsive helpers excluded
+  });
+
+  it('build regenerates variants from a custom breakpoint map and purge keeps used ones', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), CSS); // empty region
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root{--breakpoint-lg:1250px;--breakpoint-xs:480px}'); // custom map
+    fs.writeFileSync(path.join(tmpDir, 'page.html'), '<div class="row lg:col xs:col50"></div>'); // purge content
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const first = await build({bundles:[], updateEntry:false, purge:{content:['*.html'], safelist:[]}}); // regenerates, then purges
+    assert.deepStrictEqual([first.spacingUpdated, first.responsiveUpdated], [false, true]); // no spacing markers in this input
+    assert.ok(fs.readFileSync('qore.css', 'utf8').includes('.xs\\:grid3')); // source keeps every variant
+    const built = fs.readFileSync(first.file, 'utf8'); // purged output
+    assert.ok(built.includes('.lg\\:col') && built.includes('.xs\\:col50') && !built.includes('.xs\\:grid3')); // used variants kept, unused purged
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync('classes.json', 'utf8')).classes).filter(n => n.includes(':')), ['lg:col', 'xs:col50']); // catalogue follows purge
+    assert.strictEqual((await build({bundles:[], updateEntry:false})).responsiveUpdated, false); // unchanged map leaves the file alone
+    assert.strictEqual((await build({bundles:[], updateEntry:false, responsive:false})).responsiveUpdated, false); // disabled
+    await assert.rejects(() => build({responsive:1}), /invalid responsive: 1/); // bad option rejected
+  });
+
+  it('build leaves a custom input alone unless a token file is named', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'app.css'), CSS); // caller's stylesheet with markers
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root{--breakpoint-sm:768px}'); // map beside it
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const opts = {input:'app.css', bundles:[], updateEntry:false, tokens:false, customProperties:false}; // programmatic build
+    assert.strictEqual((await build(opts)).responsiveUpdated, false); // not regenerated by default
+    assert.strictEqual(fs.readFileSync('app.css', 'utf8'), CSS); // source untouched
+    assert.strictEqual((await build({...opts, responsive:'variables.css'})).responsiveUpdated, true); // explicit opt-in
+    assert.ok(fs.readFileSync('app.css', 'utf8').includes('.sm\\:row {')); // regenerated on request
+  });
+});
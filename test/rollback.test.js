@@ -0,0 +1,97 @@
+/*
+ * ROLLBACK TESTING - RE-POINTING BUILD.HASH, INDEX.JS AND INDEX.HTML
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that rollback picks the previous retained build by default,
+ * rewrites every pointer to it and purges, that --dry-run changes nothing
+ * but reports what the real run rewrites, and that retired or unknown builds
+ * are refused before any file is touched.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach, mock} = require('node:test'); // Node.js native test framework components
+const {run} = require('../scripts/rollback'); // rollback under test
+const prune = require('../scripts/prune'); // reorders the history around the live build
+
+const ROOT = path.resolve(__dirname, '..'); // repository root
+let tmpDir, build, hashes; // temp dir, build function and hashes in build order
+
+beforeEach(async () => {
+  process.env.CODEX = 'True'; // offline build copies sources and skips purge requests
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rollback-')); // creates unique temporary directory for test isolation
+  fs.copyFileSync(path.join(ROOT, 'index.js'), path.join(tmpDir, 'index.js')); // entry with cssFile placeholder
+  fs.writeFileSync(path.join(tmpDir, 'index.html'), '<link rel="stylesheet" href="qore.css">'); // page rewritten by updateHtml
+  process.chdir(tmpDir); // commands work in cwd
+  delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+  build = require('../scripts/build'); // builds the versions to roll between
+  hashes = []; // newest last
+  for(let i = 0; i < 3; i++){
+    fs.writeFileSync('qore.css', `.v${i}{color:red}`); // distinct content per build
+    hashes.push((await build({bundles:[], tokens:false, keep:2})).hash); // first build is retired by the third
+  }
+  await require('../scripts/updateHtml')(); // page references the live build
+});
+
+afterEach(() => {
+  process.chdir(ROOT); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+const pointers = () => ['build.hash', 'qore-manifest.json', 'index.js', 'index.html'].map(f => fs.readFileSync(f, 'utf8')); // files rollback rewrites
+
+describe('rollback', {concurrency:false}, () => {
+  it('re-points every reference at the previous build', async () => {
+    const before = pointers(); // live state
+    assert.strictEqual(await run(['--dry-run']), 0); // preview
+    assert.deepStrictEqual(pointers(), before); // nothing written
+    assert.strictEqual(await run([]), 0); // previous build by default
+    const target = JSON.parse(fs.readFileSync('build-history.json', 'utf8')).builds[1]; // manifest of the restored build
+    assert.strictEqual(fs.readFileSync('build.hash', 'utf8'), hashes[1]); // legacy pointer
+    assert.strictEqual(JSON.parse(fs.readFileSync('qore-manifest.json', 'utf8')).hash, hashes[1]); // manifest restored
+    const js = fs.readFileSync('index.js', 'utf8'); // entry placeholders
+    assert.ok(js.includes(`const cssFile = \`core.${hashes[1]}.min.css\`;`) && js.includes(`const cssIntegrity = \`${target.files['core.min.css'].integrity}\`;`)); // filename and SRI restored
+    const html = fs.readFileSync('index.html', 'utf8'); // page links
+    assert.ok(html.includes(`core.${hashes[1]}.min.css`) && !html.includes(hashes[2]) && html.includes(target.files['core.min.css'].integrity)); // link and SRI restored
+    assert.ok(fs.existsSync(`core.${hashes[2]}.min.css`)); // newer build stays available to roll forward
+    await assert.rejects(() => run([]), /no previous build to roll back to/); // oldest retained build reached
+    assert.strictEqual(await run([hashes[2].slice(0, 5)]), 0); // forward again by hash prefix
+    assert.strictEqual(fs.readFileSync('build.hash', 'utf8'), hashes[2]); // newest build live again
+  });
+
+  it('steps back by build time after prune reorders the history', async () => {
+    fs.writeFileSync('qore.css', '.v3{color:red}'); // fourth version
+    const newest = (await build({bundles:[], tokens:false, keep:3})).hash; // retains the three newest builds
+    assert.strictEqual(await run([hashes[2]]), 0); // roll back from the newest build
+    await prune.run([]); // re-records the live build first
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync('build-history.json', 'utf8')).builds.map(b => b.hash), [hashes[2], newest, hashes[1]]); // history order no longer matches build order
+    assert.strictEqual(await run([]), 0); // steps back again
+    assert.strictEqual(fs.readFileSync('build.hash', 'utf8'), hashes[1]); // older build, not the regressed newer one
+  });
+
+  it('dry run reports the references the real run re-points', async () => {
+    fs.writeFileSync('index.html', '<link href="qore.css"><link href="core.min.css">'); // page never rewritten by updateHtml
+    fs.copyFileSync(path.join(ROOT, 'index.js'), 'index.js'); // entry still holds the repository placeholder
+    const spy = mock.method(console, 'log', () => {}); // captures the preview
+    try { assert.strictEqual(await run(['--dry-run']), 0); } finally { spy.mock.restore(); } // preview only
+    const lines = spy.mock.calls.map(c => String(c.arguments[0])); // printed changes
+    const to = `core.${hashes[1]}.min.css`; // restored stylesheet
+    assert.ok(lines.includes(`  would update index.html: 2 references to ${to}`)); // counted like updateHtml matches them
+    assert.ok(lines.includes('  would update index.js cssFile and cssIntegrity')); // entry change previewed
+    assert.strictEqual(await run([]), 0); // real run
+    assert.strictEqual(fs.readFileSync('index.html', 'utf8').split(to).length - 1, 2); // same references re-pointed
+  });
+
+  it('refuses retired, unknown and incomplete builds before touching files', async () => {
+    const before = pointers(); // live state
+    await assert.rejects(() => run([hashes[0]]), new RegExp(`build ${hashes[0]} was retired`)); // files already removed
+    await assert.rejects(() => run(['abcdef12']), /unknown build: abcdef12/); // never built here
+    fs.unlinkSync(`core.${hashes[1]}.min.css.br`); // artifact removed by hand
+    await assert.rejects(() => run([hashes[1]]), /is missing core\.\w+\.min\.css\.br/); // would 404
+    assert.deepStrictEqual(pointers(), before); // nothing written
+  });
+});
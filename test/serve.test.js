@@ -0,0 +1,124 @@
+/*
+ * DEV SERVER TESTING
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that the dev server serves precompressed siblings like nginx,
+ * rewrites html to the current build with the live-reload client, blocks
+ * path traversal and pushes rebuilt stylesheet names over the event stream.
+ */
+require("./helper"); // loads stubs for axios and qerrors dependencies ensuring offline consistency
+const assert = require('node:assert'); // assertion library for test validations
+const fs = require('node:fs'); // file system module for test setup
+const path = require('node:path'); // path module for cross-platform file handling
+const os = require('node:os'); // operating system module for temporary directory creation
+const http = require('node:http'); // raw requests keep control over accept-encoding
+const zlib = require('node:zlib'); // creates precompressed fixtures
+const {describe, it, beforeEach, afterEach} = require('node:test'); // node test framework components
+
+let serve; // reference to serve module after cache clearing
+let tmpDir; // temporary directory path for isolated test execution
+let handle; // server handle closed after each test
+
+/*
+ * REQUEST HELPER
+ * Rationale: http.get avoids fetch's automatic decompression so tests can
+ * assert on Content-Encoding and raw bytes.
+ */
+function get(urlPath, headers = {}){
+  return new Promise((resolve, reject) => {
+    http.get({host:'127.0.0.1', port:handle.port, path:urlPath, headers}, res => {
+      const chunks = []; // collected body chunks
+      res.on('data', c => chunks.push(c)); // buffers response body
+      res.on('end', () => resolve({status:res.statusCode, headers:res.headers, body:Buffer.concat(chunks)})); // resolves full response
+    }).on('error', reject); // surfaces connection errors
+  });
+}
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // forces offline mode to avoid postcss dependency
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'serve-')); // creates unique temp dir for each test
+  fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // minimal css input
+  fs.writeFileSync(path.join(tmpDir, 'index.html'), '<head><link href="{{CDN_BASE_URL}}/core.min.css"></head><body></body>'); // template html
+  process.chdir(tmpDir); // switch cwd to temp dir so build artifacts stay isolated
+  delete require.cache[require.resolve('../scripts/serve')]; // clear module cache for fresh import
+  delete require.cache[require.resolve('../scripts/build')]; // build is required lazily by watch mode
+  serve = require('../scripts/serve'); // import serve after clearing cache for isolation
+});
+
+afterEach(async () => {
+  if(handle){ await handle.close(); handle = null; } // stops server so the test process can exit
+  process.chdir(path.resolve(__dirname, '..')); // restore original working directory after test
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // clean up temporary directory
+  delete process.env.CODEX; // clear offline flag so later tests use default env
+});
+
+describe('dev server', {concurrency:false}, () => {
+  it('serves precompressed siblings when accepted', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'a.css'), 'a{}'); // plain asset
+    fs.writeFileSync(path.join(tmpDir, 'a.css.br'), zlib.brotliCompressSync('a{}')); // brotli sibling
+    fs.writeFileSync(path.join(tmpDir, 'a.css.gz'), zlib.gzipSync('a{}')); // gzip sibling
+    handle = await serve({port:0, watch:false}); // static mode only
+    const br = await get('/a.css', {'accept-encoding':'gzip, br'}); // client accepting both
+    assert.strictEqual(br.headers['content-encoding'], 'br'); // brotli preferred like nginx config
+    assert.strictEqual(zlib.brotliDecompressSync(br.body).toString(), 'a{}'); // body is brotli sibling
+    assert.ok(br.headers['content-type'].startsWith('text/css')); // keeps original content type
+    const gz = await get('/a.css', {'accept-encoding':'gzip'}); // gzip only client
+    assert.strictEqual(gz.headers['content-encoding'], 'gzip'); // gzip sibling served
+    const plain = await get('/a.css'); // no accept-encoding header
+    assert.strictEqual(plain.headers['content-encoding'], undefined); // uncompressed response
+    assert.strictEqual(plain.body.toString(), 'a{}'); // original file body
+  });
+
+  it('rewrites html to current build and injects client', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.hash'), 'abcdef12'); // build.hash fallback manifest
+    handle = await serve({port:0, watch:false}); // static mode only
+    const res = await get('/'); // directory request serves index.html
+    const html = res.body.toString(); // response text
+    assert.ok(html.includes('href="/core.abcdef12.min.css"')); // current hash with local base
+    assert.ok(html.includes('data-qore-live')); // live-reload client injected
+    assert.ok(html.includes('function replaceCoreLinks')); // client reuses injectCss link rules
+    assert.ok(html.indexOf('data-qore-live') < html.indexOf('</body>')); // injected before body close
+    const disk = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // file on disk
+    assert.ok(disk.includes('{{CDN_BASE_URL}}')); // rewrite happens only in memory
+  });
+
+  it('strips SRI only from the core stylesheet link', () => {
+    const html = serve.rewriteHtml('<link rel="stylesheet" href="core.abcdef12.min.css" integrity="sha384-old" crossorigin="anonymous"><link href="https://x.test/a.css" integrity="sha384-a" crossorigin="anonymous"><script src="https://x.test/b.js" integrity="sha384-b" crossorigin></script>', 'core.12345678.min.css'); // stale core link beside third-party tags
+    assert.ok(html.includes('<link rel="stylesheet" href="core.12345678.min.css">')); // core link re-pointed without stale digest
+    assert.ok(html.includes('href="https://x.test/a.css" integrity="sha384-a" crossorigin="anonymous"')); // unrelated link keeps SRI
+    assert.ok(html.includes('src="https://x.test/b.js" integrity="sha384-b" crossorigin')); // unrelated script keeps SRI
+  });
+
+  it('blocks traversal and returns 404 for missing files', async () => {
+    handle = await serve({port:0, watch:false}); // static mode only
+    assert.strictEqual((await get('/nope.css')).status, 404); // missing file
+    assert.strictEqual((await get('/%E0%A4%A')).status, 403); // malformed escape rejected
+    const res = await get('/../../etc/passwd'); // traversal attempt
+    assert.notStrictEqual(res.status, 200); // never serves files outside root
+  });
+
+  it('pushes new stylesheet over event stream after rebuild', async () => {
+    handle = await serve({port:0, delay:20}); // watch mode enabled
+    const event = await new Promise((resolve, reject) => {
+      http.get({host:'127.0.0.1', port:handle.port, path:'/__qore/events'}, res => {
+        let buf = ''; // accumulated stream text
+        res.on('data', c => { // inspects stream for css events
+          buf += c; // appends chunk
+          if(buf.startsWith(': connected') && !buf.includes('edited')){ buf += 'edited'; fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{margin:0}'); } // edits source once subscribed so a rebuild is always observed
+          const m = buf.match(/event: css\ndata: (.*)\n\n/); // first complete css event
+          if(m){ res.destroy(); resolve(JSON.parse(m[1])); } // closes stream once received
+        });
+      }).on('error', reject); // surfaces connection errors
+    });
+    assert.match(event.file, /^core\.[a-f0-9]{8}\.min\.css$/); // hashed file from rebuild
+    assert.match(event.integrity, /^sha384-/); // integrity forwarded for the link
+    assert.ok(fs.existsSync(path.join(tmpDir, event.file))); // event names a built file
+  });
+
+  it('refuses to watch a root other than the working directory', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'site')); // separate static tree
+    await assert.rejects(() => serve({port:0, root:'site'}), /must be the working directory in watch mode/); // cwd would be rebuilt instead
+    handle = await serve({port:0, root:'site', watch:false}); // static serving of another tree is fine
+    assert.strictEqual((await get('/qore.css')).status, 404); // served from site/, not cwd
+  });
+});
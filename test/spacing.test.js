@@ -0,0 +1,90 @@
+/*
+ * SPACING SCALE TESTING - GENERATED MARGIN, PADDING AND GAP UTILITIES
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that the --space-* scale is read in order, that every side and
+ * axis variant is generated in override order, that the committed qore.css
+ * region matches variables.css, and that build() rewrites the region only
+ * when the tokens change.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {SPACING_START, SPACING_END, spacingScale, generateSpacing, applySpacing} = require('../scripts/utils/spacing'); // generator under test
+const {buildClassCatalog} = require('../scripts/utils/class-catalog'); // reads generated rules back
+
+const ROOT = path.resolve(__dirname, '..'); // repository root
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources verbatim
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spacing-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(ROOT); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+describe('spacing scale', {concurrency:false}, () => {
+  it('reads the scale and generates every side, axis and gap', () => {
+    assert.deepStrictEqual(spacingScale(':root{--space-1:4px;--gap:1px;--space-lg:32px}:root[data-theme="light"]{--space-9:1px}'), ['1', 'lg']); // top level :root only, order kept
+    const {classes} = buildClassCatalog(generateSpacing(['0', '2'])); // generated rules as a catalogue
+    const names = Object.keys(classes); // generated class names in order
+    assert.strictEqual(names.length, 7 * 3 + 7 * 2 + 3 * 2); // seven margin groups with auto, seven padding groups, three gaps
+    assert.ok(names.indexOf('p-2') < names.indexOf('px-0') && names.indexOf('px-2') < names.indexOf('pt-0')); // sides override axes override all
+    assert.deepStrictEqual(classes['mx-auto'].declarations, {'margin-left':'auto', 'margin-right':'auto'}); // centering helper
+    assert.deepStrictEqual(classes['py-2'].declarations, {'padding-top':'var(--space-2)', 'padding-bottom':'var(--space-2)'}); // physical sides
+    assert.deepStrictEqual([classes['gap-x-0'].declarations, classes['gap-y-2'].declarations], [{'column-gap':'var(--space-0)'}, {'row-gap':'var(--space-2)'}]); // gap axes
+    assert.ok(!names.includes('p-auto') && !Object.values(classes).some(c => c.important)); // no invalid padding, no important
+    assert.throws(() => generateSpacing([]), /no --space-\* tokens/); // never empties the region
+  });
+
+  it('keeps the committed qore.css region in sync with variables.css', () => {
+    const css = fs.readFileSync(path.join(ROOT, 'qore.css'), 'utf8'); // committed stylesheet
+    const steps = spacingScale(fs.readFileSync(path.join(ROOT, 'variables.css'), 'utf8')); // committed scale
+    assert.deepStrictEqual(steps, ['0', '1', '2', '3', '4', '5', '6', '8']); // default scale
+    assert.strictEqual(applySpacing(css, steps), css); // regenerating is a no-op
+    assert.strictEqual(applySpacing('.a{}', steps), null); // stylesheets without markers are skipped
+    assert.throws(() => applySpacing(`${SPACING_END}\n${SPACING_START}`, steps), /out of order/); // broken hand edit
+  });
+
+  it('build regenerates the region when the scale changes', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), `.row{display:flex}\n${SPACING_START}\n.stale{margin:0}\n${SPACING_END}\n.col{flex-direction:column}\n`); // outdated region
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root{--space-1:4px;--space-2:8px}'); // custom scale
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const first = await build({bundles:[], updateEntry:false}); // regenerates then builds
+    assert.strictEqual(first.spacingUpdated, true); // input rewritten
+    const css = fs.readFileSync('qore.css', 'utf8'); // regenerated source
+    assert.ok(css.includes('.m-2 {\n    margin: var(--space-2);\n}\n\n.m-auto {') && !css.includes('.stale')); // new scale replaces stale rules, one block format
+    assert.ok(css.startsWith('.row{display:flex}\n') && css.endsWith(`${SPACING_END}\n.col{flex-direction:column}\n`)); // surroundings untouched
+    assert.ok(fs.readFileSync(first.file, 'utf8').includes('.gap-y-1')); // built css contains the utilities
+    assert.ok(JSON.parse(fs.readFileSync('classes.json', 'utf8')).classes['pl-1']); // catalogue lists them
+    assert.strictEqual((await build({bundles:[], updateEntry:false})).spacingUpdated, false); // unchanged scale leaves the file alone
+    fs.writeFileSync('variables.css', ':root{--brand:red}'); // scale removed
+    await assert.rejects(() => build({bundles:[], updateEntry:false}), /undefined custom properties/); // region now references missing tokens
+    assert.strictEqual((await build({bundles:[], updateEntry:false, customProperties:'warn'})).spacingUpdated, false); // existing region kept
+    assert.strictEqual((await build({bundles:[], updateEntry:false, customProperties:'warn', spacing:false})).spacingUpdated, false); // disabled
+    await assert.rejects(() => build({spacing:1}), /invalid spacing: 1/); // bad option rejected
+  });
+
+  it('build leaves a custom input alone unless a token file is named', async () => {
+    const source = `${SPACING_START}\n.stale{margin:0}\n${SPACING_END}\n`; // caller's stylesheet with markers
+    fs.writeFileSync(path.join(tmpDir, 'app.css'), source); // not the framework source
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root{--space-1:4px}'); // scale beside it
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    const result = await build({input:'app.css', bundles:[], updateEntry:false, tokens:false, customProperties:false}); // programmatic build
+    assert.deepStrictEqual([result.spacingUpdated, fs.readFileSync('app.css', 'utf8')], [false, source]); // source untouched
+    assert.strictEqual((await build({input:'app.css', bundles:[], updateEntry:false, tokens:false, customProperties:false, spacing:'variables.css'})).spacingUpdated, true); // explicit opt-in
+    assert.ok(fs.readFileSync('app.css', 'utf8').includes('.m-1 {')); // regenerated on request
+  });
+});
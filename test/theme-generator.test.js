@@ -0,0 +1,99 @@
+/*
+ * THEME GENERATOR TESTING - scripts/theme.js
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates palette derivation from a brand color, that the rendered file
+ * keeps every variables.css token (so it can replace the stylesheet), and
+ * that the CLI writes the file and rejects invalid colors.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const postcss = require('postcss'); // parses rendered output
+const {generateTheme, renderTheme, run} = require('../scripts/theme'); // generator under test
+const {parseHex, rgbToHsl, toHex, hsl} = require('../scripts/utils/color'); // color helpers used by the generator
+const {auditContrast} = require('../scripts/contrast'); // checks the derived light colors
+
+const template = fs.readFileSync(path.resolve(__dirname, '../variables.css'), 'utf8'); // stock tokens
+let tmpDir; // temporary directory path for isolated test execution
+
+function rootTokens(css){
+  const out = {}; // prop -> value for the top level :root
+  postcss.parse(css).each(node => { if(node.type === 'rule' && node.selector === ':root'){ node.walkDecls(decl => { out[decl.prop] = decl.value; }); } }); // dark palette declarations
+  return out; // returns token map
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'theme-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+});
+
+describe('theme generator', {concurrency:false}, () => {
+  it('converts hex colors through hsl', () => {
+    assert.deepStrictEqual(parseHex('#abc'), {r:170, g:187, b:204}); // short hex expanded
+    assert.strictEqual(toHex(parseHex('8B4C42')), '#8b4c42'); // prefix optional, output lowercase
+    const {h, s, l} = rgbToHsl(parseHex('#1e40af')); // round trip source
+    assert.strictEqual(hsl(h, s, l), '#1e40af'); // lossless within rounding
+    assert.throws(() => parseHex('blue'), /invalid color: blue/); // names rejected
+  });
+
+  it('derives palette, shoelace scale and reversed light ramp from the brand', () => {
+    const {dark, light} = generateTheme('#1e40af'); // blue brand
+    assert.strictEqual(dark['--color-dominant'], '#1e40af'); // brand used as dominant
+    const steps = Object.keys(dark).filter(prop => prop.startsWith('--sl-color-primary-')); // shoelace scale
+    assert.strictEqual(steps.length, 11); // 50 through 950
+    const lightness = steps.map(prop => { const [r, g, b] = dark[prop].split(' ').map(Number); return rgbToHsl({r, g, b}).l; }); // step lightness
+    assert.ok(lightness.every((l, i) => i === 0 || l < lightness[i - 1])); // scale darkens monotonically
+    assert.ok(Math.abs(rgbToHsl(parseHex(dark['--gs-darkest'])).h - rgbToHsl(parseHex('#1e40af')).h) < 2); // neutrals share the brand hue
+    assert.ok(rgbToHsl(parseHex(light['--gs-lightest'])).l < rgbToHsl(parseHex(light['--gs-darkest'])).l); // light theme ramp reversed
+    assert.match(dark['--box-glow-dominant'], /rgba\(30, 64, 175, 0\.15\)/); // glow tinted with the brand
+  });
+
+  it('uses the accent for the secondary colors', () => {
+    const {dark} = generateTheme('#1e40af', {accent:'#f59e0b'}); // blue with amber accent
+    assert.strictEqual(dark['--color-two'], '#f59e0b'); // accent used directly
+    assert.ok(rgbToHsl(parseHex(dark['--color-bright'])).l > rgbToHsl(parseHex('#f59e0b')).l); // bright is a lighter accent
+  });
+
+  it('renders every variables.css token and keeps light blocks in sync', () => {
+    const css = renderTheme(generateTheme('#0f766e'), template); // teal theme
+    assert.deepStrictEqual(Object.keys(rootTokens(css)), Object.keys(rootTokens(template))); // same tokens in the same order
+    assert.strictEqual(rootTokens(css)['--box-corners'], rootTokens(template)['--box-corners']); // non-color tokens copied
+    assert.ok(!css.includes('Muted burgundy')); // stock comments dropped
+    const blocks = []; // light theme declarations in source order
+    postcss.parse(css).walkRules(/^:root(?:\[data-theme="light"\]|:not\(\[data-theme\]\))$/, rule => blocks.push(rule.nodes.map(n => n.toString()))); // both light selectors
+    assert.strictEqual(blocks.length, 2); // forced and system light blocks
+    assert.deepStrictEqual(blocks[0], blocks[1]); // identical palettes
+    assert.throws(() => renderTheme({dark:{'--missing':'#000'}, light:{}}, template), /template lacks tokens: --missing/); // drift detected
+  });
+
+  it('derives the light brand colors instead of keeping the stock ones', () => {
+    const lightBlock = css => { const out = {}; postcss.parse(css).walkRules(':root[data-theme="light"]', rule => rule.walkDecls(decl => { out[decl.prop] = decl.value; })); return out; }; // forced light tokens
+    const stock = Object.entries(lightBlock(template)).filter(([prop, value]) => /^#/.test(value) && !['--link', '--warn'].includes(prop)); // stock colors; link and warn stay conventional by design
+    ['#1e40af', '#facc15', '#0f766e'].forEach(brand => {
+      const css = renderTheme(generateTheme(brand), template); // blue, yellow and teal brands
+      const light = lightBlock(css); // rendered light tokens
+      stock.forEach(([prop, value]) => assert.notStrictEqual(light[prop], value, `${brand} kept stock ${prop}`)); // every stock color replaced
+      const pairs = auditContrast(css, {themes:['light'], level:'AA'}).results[0].pairs; // rendered light palette
+      ['h4', 'a:hover', 'button', 'aside'].forEach(name => assert.ok(pairs.find(p => p.name === name).pass, `${brand} ${name}`)); // brand colors stay readable
+    });
+  });
+
+  it('writes the theme file from the cli entry', async () => {
+    process.chdir(tmpDir); // output lands in cwd
+    assert.strictEqual(await run('1e40af', 'brand.css'), 0); // accent omitted, output file second
+    const css = fs.readFileSync(path.join(tmpDir, 'brand.css'), 'utf8'); // generated file
+    assert.ok(css.startsWith('/* Generated by scripts/theme.js from 1e40af */')); // inputs recorded
+    assert.strictEqual(rootTokens(css)['--color-dominant'], '#1e40af'); // brand applied
+    await assert.rejects(() => run('nope'), /invalid color: nope/); // invalid brand rejected
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'theme.css'))); // nothing written on failure
+  });
+});
@@ -0,0 +1,124 @@
+/*
+ * RUNTIME THEME TESTING - setTheme/getTheme BROWSER API
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that qorecss.setTheme writes palette custom properties on the
+ * document or a scoped element, persists document level choices, emits the
+ * change event, and that the persisted choice is restored on the next load.
+ * Scripts are evaluated like a <script> tag so localStorage and events use
+ * the jsdom window.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const path = require('node:path'); // path utilities for locating index.js
+const fs = require('node:fs'); // reads index.js source for evaluation
+const {describe, it} = require('node:test'); // Node.js native test framework components
+let JSDOM; try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing
+
+const script = fs.readFileSync(path.resolve(__dirname, '../index.js'), 'utf8'); // index.js as served to browsers
+
+function load(dom){
+  dom = dom || new JSDOM('<!DOCTYPE html><html><head></head><body><main></main></body></html>', {runScripts:'dangerously', url:'https://example.com/'}); // url enables localStorage
+  dom.window.eval(script); // executes like a script tag
+  return dom; // returns dom with window.qorecss
+}
+
+const plain = value => JSON.parse(JSON.stringify(value)); // copies jsdom realm objects so deepStrictEqual compares structure only
+
+describe('runtime themes', {concurrency:false}, () => {
+  if(!JSDOM){ it('skips when jsdom missing', () => { assert.ok(true); }); return; }
+
+  it('applies tokens and named themes to the document', () => {
+    const dom = load(); // fresh page
+    const {qorecss, document} = dom.window; // browser globals
+    const events = []; // captured change events
+    document.addEventListener('qorecss:themechange', e => events.push(e.detail)); // listens at document level
+    const result = qorecss.setTheme({'color-dominant':'#123456', '--link':' #0000ff '}); // bare and prefixed keys
+    assert.deepStrictEqual(plain(result), {name:null, tokens:{'--color-dominant':'#123456', '--link':'#0000ff'}}); // normalized tokens
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--color-dominant'), '#123456'); // written inline on <html>
+    assert.deepStrictEqual(plain(qorecss.getTheme()), plain(result)); // read back from the element
+    qorecss.themes.ocean = {'gs-darkest':'#001122'}; // application registered theme
+    qorecss.setTheme('ocean'); // replaces custom tokens
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--color-dominant'), ''); // previous theme cleared
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'ocean'); // named theme exposed to css
+    assert.deepStrictEqual(plain(qorecss.getTheme()), {name:'ocean', tokens:{'--gs-darkest':'#001122'}}); // current theme
+    qorecss.setTheme('default'); // back to stylesheet values
+    assert.deepStrictEqual(plain(qorecss.getTheme()), {name:'default', tokens:{}}); // no overrides left
+    assert.strictEqual(document.documentElement.hasAttribute('data-theme'), false); // marker removed
+    assert.deepStrictEqual(plain(events.map(e => e.name)), [null, 'ocean', 'default']); // one event per change
+    dom.window.close();
+  });
+
+  it('rejects unknown themes and non palette tokens', () => {
+    const dom = load(); // fresh page
+    const {qorecss, document} = dom.window; // browser globals
+    assert.throws(() => qorecss.setTheme('nope'), /unknown theme: nope/); // typo reported
+    assert.throws(() => qorecss.setTheme({'--box-corners':'0'}), /unsupported theme token/); // layout tokens not themeable
+    assert.throws(() => qorecss.setTheme({warn:''}), /invalid value/); // empty value rejected
+    assert.strictEqual(document.documentElement.getAttribute('style'), null); // nothing written on failure
+    dom.window.close();
+  });
+
+  it('themes a scoped element without persisting', () => {
+    const dom = load(); // fresh page
+    const {qorecss, document, localStorage} = dom.window; // browser globals
+    const main = document.querySelector('main'); // scoped target
+    let detail = null; // bubbled event detail
+    document.body.addEventListener('qorecss:themechange', e => { detail = e.detail; }); // event bubbles from target
+    qorecss.setTheme({warn:'#aa0000'}, {target:main}); // themes only <main>
+    assert.strictEqual(main.style.getPropertyValue('--warn'), '#aa0000'); // written on the element
+    assert.deepStrictEqual(plain(qorecss.getTheme()), {name:'default', tokens:{}}); // document untouched
+    assert.deepStrictEqual(plain(qorecss.getTheme(main).tokens), {'--warn':'#aa0000'}); // scoped theme readable
+    assert.deepStrictEqual(plain(detail.tokens), {'--warn':'#aa0000'}); // event reached ancestors
+    assert.strictEqual(localStorage.getItem('qorecss-theme'), null); // scoped choice not stored
+    dom.window.close();
+  });
+
+  it('restores the persisted choice on load', () => {
+    const dom = load(); // first visit
+    dom.window.qorecss.setTheme({'color-two':'#abcdef'}); // persisted by default
+    assert.deepStrictEqual(JSON.parse(dom.window.localStorage.getItem('qorecss-theme')), {tokens:{'--color-two':'#abcdef'}}); // stored choice
+    dom.window.document.documentElement.removeAttribute('style'); // simulates a fresh page render
+    load(dom); // script runs again like a new page load
+    assert.strictEqual(dom.window.document.documentElement.style.getPropertyValue('--color-two'), '#abcdef'); // theme reapplied
+    dom.window.localStorage.setItem('qorecss-theme', '{"name":"removed"}'); // theme no longer registered
+    load(dom); // load with stale value
+    assert.strictEqual(dom.window.localStorage.getItem('qorecss-theme'), null); // unusable value dropped
+    dom.window.close();
+  });
+
+  it('selects stylesheet light and dark themes by attribute', () => {
+    const dom = load(); // fresh page
+    const {qorecss, document} = dom.window; // browser globals
+    qorecss.setTheme({link:'#111111'}); // custom tokens first
+    qorecss.setTheme('light'); // palette lives in variables.css
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'light'); // css selects the light block
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--link'), ''); // inline tokens cleared
+    qorecss.setTheme('dark'); // forces dark over system preference
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'dark'); // explicit dark marker
+    dom.window.close();
+  });
+
+  it('applies the loader script data-theme as the page default', () => {
+    const html = theme => `<!DOCTYPE html><html><head><script data-qorecss data-theme="${theme}" src="https://cdn.example.com/index.js"></script></head><body></body></html>`; // page with themed loader
+    let dom = load(new JSDOM(html('light'), {runScripts:'dangerously', url:'https://example.com/'})); // first load
+    assert.strictEqual(dom.window.document.documentElement.getAttribute('data-theme'), 'light'); // page default applied
+    assert.strictEqual(dom.window.localStorage.getItem('qorecss-theme'), null); // page default is not a user choice
+    dom.window.qorecss.setTheme('dark'); // user picks dark
+    load(dom); // next page load
+    assert.strictEqual(dom.window.document.documentElement.getAttribute('data-theme'), 'dark'); // persisted choice wins
+    dom.window.close();
+    dom = load(new JSDOM(html('missing'), {runScripts:'dangerously', url:'https://example.com/'})); // unknown theme name
+    assert.ok(dom.window.document.querySelector('link[href*="core"]')); // stylesheet still injected
+    assert.strictEqual(dom.window.document.documentElement.hasAttribute('data-theme'), false); // nothing applied
+    dom.window.close();
+  });
+
+  it('reports the default theme under Node', () => {
+    delete require.cache[require.resolve('../index.js')]; // fresh module without DOM globals
+    const qorecss = require('../index.js'); // server side export
+    assert.deepStrictEqual(plain(qorecss.getTheme()), {name:'default', tokens:{}}); // nothing applied server side
+    assert.throws(() => qorecss.setTheme('default'), /requires a browser document/); // no document to theme
+  });
+});
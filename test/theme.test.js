@@ -0,0 +1,50 @@
+/*
+ * THEME STYLESHEET TESTING - LIGHT THEME DEFINITIONS IN variables.css
+ *
+ * PURPOSE AND RATIONALE:
+ * The light palette is written twice in variables.css: once for an explicit
+ * data-theme="light" and once inside prefers-color-scheme for pages without
+ * data-theme. CSS cannot share the block, so these tests keep the copies in
+ * sync and ensure they only override tokens the dark :root defines.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // reads stylesheets under test
+const path = require('node:path'); // path utilities for locating stylesheets
+const {describe, it} = require('node:test'); // Node.js native test framework components
+const postcss = require('postcss'); // parses variables.css declarations
+
+const root = postcss.parse(fs.readFileSync(path.resolve(__dirname, '../variables.css'), 'utf8')); // parsed design tokens
+
+function declarations(predicate){
+  const out = {}; // property -> value map
+  root.walkRules(rule => { if(predicate(rule)){ rule.walkDecls(decl => { out[decl.prop] = decl.value; }); } }); // collects matching blocks
+  return out; // returns declarations of matching rules
+}
+
+describe('theme stylesheet', {concurrency:false}, () => {
+  const dark = declarations(rule => rule.selector === ':root' && rule.parent.type === 'root'); // default dark palette
+  const forced = declarations(rule => rule.selector === ':root[data-theme="light"]'); // explicit light theme
+  const system = declarations(rule => rule.selector === ':root:not([data-theme])' && rule.parent.params === '(prefers-color-scheme: light)'); // system preference light theme
+
+  it('keeps the data-theme and prefers-color-scheme light blocks identical', () => {
+    assert.ok(Object.keys(forced).length > 0); // light theme defined
+    assert.deepStrictEqual(system, forced); // both selection paths apply the same palette
+    assert.strictEqual(forced['color-scheme'], 'light'); // native controls follow the theme
+    assert.strictEqual(dark['color-scheme'], 'dark'); // default stays dark
+  });
+
+  it('only overrides tokens the dark palette defines', () => {
+    Object.keys(forced).filter(prop => prop.startsWith('--')).forEach(prop => assert.ok(prop in dark, `${prop} missing from :root`)); // no light-only tokens
+    ['--gs-lightest', '--gs-mid', '--gs-dark', '--gs-darkest', '--bg-page-end', '--text-body'].forEach(prop => assert.ok(prop in forced, `${prop} not themed`)); // page and text colors switch
+  });
+
+  it('routes page background and body text through theme tokens', () => {
+    const css = fs.readFileSync(path.resolve(__dirname, '../qore.css'), 'utf8'); // framework rules
+    assert.ok(!/#3d2317/.test(declarations(rule => rule.selector === 'html').background)); // gradient end no longer hardcoded
+    const colors = {}; // selector -> color for text rules
+    postcss.parse(css).walkRules(/^(?:p|blockquote)$/, rule => rule.walkDecls('color', decl => { colors[rule.selector] = decl.value; })); // text color declarations
+    assert.deepStrictEqual(colors, {blockquote:'var(--text-body)', p:'var(--text-body)'}); // theme aware text
+  });
+});
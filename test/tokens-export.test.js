@@ -0,0 +1,107 @@
+/*
+ * DESIGN TOKEN EXPORT TESTING - MODEL, FORMATS AND BUILD ARTIFACTS
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates the canonical token model read from variables.css, that every
+ * export format carries the same resolved values, that build() writes the
+ * files beside the bundles, and that qorecss.getTokens() serves them.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {pathToFileURL} = require('node:url'); // dynamic import of the generated es module
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {buildTokenModel} = require('../scripts/utils/tokens'); // model builder under test
+const {TOKEN_FILES, formatTokens} = require('../scripts/utils/token-formats'); // renderers under test
+
+const VARIABLES = path.resolve(__dirname, '../variables.css'); // real token source
+const CSS = `:root {
+  --gs-darkest: #2d1b13; /* Deep brown */
+  --link: #3b82f6;
+  --bg-body: var(--gs-darkest); /* Page background */
+  --shade: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px #0000000f;
+  --edge: 1px solid var(--link);
+  --fade: linear-gradient(135deg, var(--gs-darkest) 0%, #3d2317 100%);
+  --sl-color-primary-50: 254 242 242;
+  --fx: saturate(140%);
+  --broken: var(--nope);
+}
+:root[data-theme="light"] {
+  --gs-darkest: #faf7f5;
+}`; // one token per exported type
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  process.env.CODEX = 'True'; // offline build copies sources verbatim
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+  delete process.env.CODEX; // clears offline flag between tests
+});
+
+describe('token export', {concurrency:false}, () => {
+  it('builds a resolved model with aliases, types and descriptions', () => {
+    const {themes, tokens} = buildTokenModel(CSS); // model under test
+    assert.deepStrictEqual(themes, ['dark', 'light']); // both palettes
+    assert.deepStrictEqual(tokens['bg-body'], {cssVar:'--bg-body', type:'color', alias:'gs-darkest', description:'Page background', values:{dark:'#2d1b13', light:'#faf7f5'}}); // alias resolved per theme
+    assert.deepStrictEqual(Object.fromEntries(Object.entries(tokens).map(([name, t]) => [name, t.type])), {'gs-darkest':'color', link:'color', 'bg-body':'color', shade:'shadow', edge:'border', fade:'gradient', 'sl-color-primary-50':'rgb-channels', fx:'other', broken:'other'}); // classification
+    assert.strictEqual(tokens.broken.values.dark, null); // unresolvable stays null
+    assert.strictEqual(tokens.link.description, undefined); // no trailing comment
+  });
+
+  it('renders js, scss and dtcg from the same values', async () => {
+    const files = formatTokens(buildTokenModel(CSS)); // every format
+    assert.deepStrictEqual(Object.keys(files), TOKEN_FILES); // documented file list
+    TOKEN_FILES.forEach(name => fs.writeFileSync(path.join(tmpDir, name), files[name])); // modules loaded from disk
+    const cjs = require(path.join(tmpDir, 'tokens.cjs')); // commonjs export
+    const esm = await import(pathToFileURL(path.join(tmpDir, 'tokens.mjs')).href); // es module export
+    assert.deepStrictEqual({...esm.default}, cjs); // identical objects
+    assert.strictEqual(cjs.light.bgBody, '#faf7f5'); // camelCase keys, resolved light value
+    assert.strictEqual(cjs.dark.broken, undefined); // null tokens omitted
+    assert.match(files['_tokens.scss'], /^\$edge: 1px solid #3b82f6;$/m); // resolved scss variable
+    assert.match(files['_tokens.scss'], /\$qore-tokens-light: \(\n {2}"gs-darkest": \(#faf7f5\),/); // per theme map
+    const dtcg = JSON.parse(files['tokens.dtcg.json']); // design tokens document
+    assert.strictEqual(dtcg['bg-body'].$value, '{gs-darkest}'); // alias kept as reference
+    assert.strictEqual(dtcg['bg-body'].$extensions['com.qorecss'].light, '#faf7f5'); // light override in extensions
+    assert.deepStrictEqual(dtcg.edge.$value, {color:'#3b82f6', width:'1px', style:'solid'}); // border parts
+    assert.deepStrictEqual(dtcg.shade.$value.map(s => s.color), ['rgba(0, 0, 0, 0.1)', '#0000000f']); // layered shadow
+    assert.deepStrictEqual(dtcg.fade.$value, [{color:'#2d1b13', position:0}, {color:'#3d2317', position:1}]); // gradient stops
+    assert.strictEqual(dtcg['sl-color-primary-50'].$value, '#fef2f2'); // channels become hex
+    assert.ok(!dtcg.fx && !dtcg.broken); // untyped and unresolvable tokens skipped
+  });
+
+  it('build writes token files and getTokens reads them', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // minimal stylesheet
+    fs.copyFileSync(VARIABLES, path.join(tmpDir, 'variables.css')); // real tokens
+    fs.copyFileSync(path.resolve(__dirname, '../index.js'), path.join(tmpDir, 'index.js')); // entry copy resolves tokens.json beside itself
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const result = await require('../scripts/build')({bundles:[]}); // default token export
+    assert.deepStrictEqual(result.tokens, TOKEN_FILES); // every format written
+    TOKEN_FILES.forEach(name => assert.ok(fs.existsSync(path.join(tmpDir, name)), name)); // files beside bundles
+    const qorecss = require(path.join(tmpDir, 'index.js')); // built entry
+    assert.strictEqual(qorecss.getTokens().tokens['gs-lightest'].values.light, '#2d1b13'); // full model
+    assert.strictEqual(qorecss.getTokens('light').link, '#1d4ed8'); // flat theme map
+    assert.throws(() => qorecss.getTokens('sepia'), /unknown token theme: sepia/); // unknown palette
+    fs.unlinkSync(path.join(tmpDir, 'tokens.json')); // unbuilt package
+    assert.throws(() => qorecss.getTokens(), /tokens.json not found/); // points at the build
+  });
+
+  it('build skips the export when disabled or the source is missing', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // minimal stylesheet
+    process.chdir(tmpDir); // build works in cwd
+    delete require.cache[require.resolve('../scripts/build')]; // fresh build module
+    const build = require('../scripts/build'); // build under test
+    assert.deepStrictEqual((await build({bundles:[], updateEntry:false})).tokens, []); // no variables.css
+    fs.copyFileSync(VARIABLES, path.join(tmpDir, 'variables.css')); // source now present
+    assert.deepStrictEqual((await build({bundles:[], updateEntry:false, tokens:false})).tokens, []); // explicitly disabled
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'tokens.json'))); // nothing written
+    await assert.rejects(() => build({tokens:1}), /invalid tokens: 1/); // bad option rejected
+  });
+});
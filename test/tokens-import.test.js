@@ -0,0 +1,99 @@
+/*
+ * DESIGN TOKEN IMPORT TESTING - DTCG JSON TO VARIABLES.CSS
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates name mapping, type checking and value conversion of DTCG files,
+ * that importing the build's own tokens.dtcg.json is a no-op, and that the
+ * CLI rewrites the stylesheet only when every token is valid.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {flattenTokens, mapName, importTokens, run} = require('../scripts/tokens-import'); // importer under test
+const {buildTokenModel} = require('../scripts/utils/tokens'); // export model for round trips
+const {formatTokens} = require('../scripts/utils/token-formats'); // dtcg export for round trips
+
+const VARIABLES = fs.readFileSync(path.resolve(__dirname, '../variables.css'), 'utf8'); // real template
+let tmpDir; // temporary directory path for isolated test execution
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-import-')); // creates unique temporary directory for test isolation
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary directory and all contents
+});
+
+describe('token import', {concurrency:false}, () => {
+  it('flattens groups with inherited types and maps names', () => {
+    const tokens = flattenTokens({color:{$type:'color', dominant:{$value:'#111'}, $description:'ignored'}, box:{corners:{$type:'dimension', $value:'4px'}}}); // nested groups
+    assert.deepStrictEqual(tokens.map(t => [t.path, t.type]), [['color.dominant', 'color'], ['box.corners', 'dimension']]); // type inherited from group
+    assert.strictEqual(mapName({path:'Color/Two'}), '--color-two'); // figma separators and case normalized
+    assert.strictEqual(mapName({path:'neutral.lightest'}, {'neutral.*':'gs-*'}), '--gs-lightest'); // group rename
+    assert.strictEqual(mapName({path:'neutral.lightest'}, {'neutral.*':'gs-*', 'neutral.lightest':'--link'}), '--link'); // exact entry wins
+    assert.strictEqual(mapName({path:'x', extensions:{'com.qorecss':{cssVar:'--warn'}}}), '--warn'); // round trip name wins
+  });
+
+  it('round trips the exported dtcg file without changes', () => {
+    const dtcg = JSON.parse(formatTokens(buildTokenModel(VARIABLES))['tokens.dtcg.json']); // build output
+    const result = importTokens(dtcg, VARIABLES); // import back
+    assert.deepStrictEqual(result.changed, []); // nothing differs
+    assert.strictEqual(result.css, VARIABLES); // var() references and comments kept
+  });
+
+  it('converts values, references and light overrides', () => {
+    const doc = {
+      color:{$type:'color', dominant:{$value:'#1e40af'}, two:{$value:{colorSpace:'srgb', components:[1, 0.5, 0]}}},
+      gs:{lightest:{$type:'color', $value:'#ffffff', $extensions:{'com.qorecss':{light:'#111111'}}}},
+      box:{corners:{$type:'dimension', $value:{value:12, unit:'px'}}, glow:{$type:'shadow', $value:{offsetX:'0', offsetY:'2px', blur:'4px', color:'{color.dominant}'}}},
+      'sl-color-primary-50':{$type:'color', $value:'#ff0000'},
+      'bg-page':{$type:'gradient', $value:[{color:'#000', position:0}, {color:'#fff', position:1}]},
+      typography:{body:{$type:'fontFamily', $value:'Inter'}}
+    }; // figma style export
+    const result = importTokens(doc, VARIABLES); // converted stylesheet
+    assert.deepStrictEqual(result.changes.dark, {'--color-dominant':'#1e40af', '--color-two':'#ff8000', '--gs-lightest':'#ffffff', '--box-corners':'12px', '--box-glow':'0 2px 4px 0 var(--color-dominant)', '--sl-color-primary-50':'255 0 0', '--bg-page':'linear-gradient(135deg, #000 0%, #fff 100%)'}); // css values, angle kept
+    assert.deepStrictEqual(result.changes.light, {'--gs-lightest':'#111111'}); // light extension
+    assert.deepStrictEqual(result.skipped, ['typography.body (--typography-body not in variables.css)']); // unknown token reported
+    assert.match(result.css, /--color-dominant: #1e40af;\s+\/\* Muted burgundy/); // comment kept beside new value
+    assert.strictEqual(result.css.match(/--gs-lightest: #111111;/g).length, 2); // both light blocks updated
+  });
+
+  it('adds light overrides to a light block without custom properties', () => {
+    const template = ':root {\n  --gs-lightest: #fff;\n}\n\n:root[data-theme="light"] {\n  /* light palette */\n  color-scheme: light;\n}\n'; // light block with no tokens yet
+    const doc = {gs:{lightest:{$type:'color', $value:'#ffffff', $extensions:{'com.qorecss':{light:'#111111'}}}}}; // light extension only
+    const result = importTokens(doc, template); // converted stylesheet
+    assert.deepStrictEqual(result.changes.light, {'--gs-lightest':'#111111'}); // light change detected
+    assert.match(result.css, /color-scheme: light;\s+--gs-lightest: #111111;?\s*\}/); // appended inside the light block
+  });
+
+  it('reports every invalid token together', () => {
+    const doc = {color:{dominant:{$type:'dimension', $value:'8px'}, two:{$value:'{nope.missing}'}}, box:{corners:{$value:'#fff'}}, 'set-adjustments':{$value:'blur(2px)'}}; // several problems
+    assert.throws(() => importTokens(doc, VARIABLES), err => {
+      assert.match(err.message, /color\.dominant: --color-dominant expects color, got dimension/); // type mismatch
+      assert.match(err.message, /color\.two: unknown reference \{nope\.missing\}/); // dangling alias
+      assert.match(err.message, /box\.corners: invalid dimension: "#fff"/); // wrong value for inferred type
+      assert.match(err.message, /set-adjustments: no design token type for other values/); // filters cannot be imported
+      return true; // all listed in one error
+    });
+    assert.throws(() => importTokens([], VARIABLES), /must be a JSON object/); // not a dtcg document
+  });
+
+  it('cli writes variables.css, honors --map and --dry-run', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), VARIABLES); // template in cwd
+    fs.writeFileSync(path.join(tmpDir, 'figma.json'), JSON.stringify({neutral:{$type:'color', darkest:{$value:'#000000'}}})); // designer export
+    fs.writeFileSync(path.join(tmpDir, 'map.json'), JSON.stringify({'neutral.*':'gs-*'})); // group rename
+    process.chdir(tmpDir); // default output resolves in cwd
+    assert.strictEqual(await run(['figma.json', '--map=map.json', '--dry-run']), 0); // preview
+    assert.strictEqual(fs.readFileSync('variables.css', 'utf8'), VARIABLES); // dry run writes nothing
+    assert.strictEqual(await run(['figma.json', '--map=map.json']), 0); // real import
+    assert.match(fs.readFileSync('variables.css', 'utf8'), /^ {4}--gs-darkest: #000000;/m); // value replaced
+    fs.writeFileSync('bad.json', JSON.stringify({link:{$type:'border', $value:'x'}})); // invalid type
+    await assert.rejects(() => run(['bad.json']), /--link expects color, got border/); // rejected before writing
+    await assert.rejects(() => run([]), /usage/); // token file required
+  });
+});
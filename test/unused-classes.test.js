@@ -0,0 +1,39 @@
+/*
+ * UNUSED CLASS HELPERS TESTING
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates the building blocks of the purge step: glob matching, class
+ * extraction from markup and scripts, and selector class detection including
+ * escaped names and :not() exclusions.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const {describe, it} = require('node:test'); // Node.js native test framework components
+const {globToRegExp, extractClasses, selectorClasses, parseSafelist} = require('../scripts/utils/unused-classes'); // helpers under test
+
+describe('unused class helpers', {concurrency:false}, () => {
+  it('matches globs with globstar and braces', () => {
+    const re = globToRegExp('src/**/*.{html,jsx}'); // nested html or jsx files
+    assert.ok(re.test('src/page.html')); // globstar matches zero directories
+    assert.ok(re.test('src/a/b/view.jsx')); // and several directories
+    assert.ok(!re.test('src/app.js')); // other extensions excluded
+    assert.ok(!re.test('lib/page.html')); // other roots excluded
+  });
+
+  it('extracts classes from attributes and string literals', () => {
+    const found = extractClasses('<div class="row  col50"></div>\n<A className="grid2"/>\nel.classList.toggle(`hid`);'); // html, jsx and js
+    ['row', 'col50', 'grid2', 'hid'].forEach(name => assert.ok(found.has(name), name)); // every form detected
+  });
+
+  it('reads selector classes with escapes and ignores :not()', () => {
+    assert.deepStrictEqual(selectorClasses('.md\\:col50 > a:not(.plain)'), ['md:col50']); // escaped name unescaped, :not ignored
+    assert.deepStrictEqual(selectorClasses('a[href$=".pdf"]'), []); // attribute value is not a class
+  });
+
+  it('parses safelist names and regexes', () => {
+    const list = parseSafelist('row, /^grid\\d$/i'); // comma separated env value
+    assert.strictEqual(list[0], 'row'); // plain name
+    assert.ok(list[1] instanceof RegExp && list[1].test('GRID4')); // regex with flags
+  });
+});
@@ -163,6 +163,43 @@ describe('updateHtml', () => {
     assert.strictEqual(hash, '12345678'); // ensure function still returns correct hash
   });
 
+  /*
+   * SUBRESOURCE INTEGRITY VALIDATION
+   *
+   * TEST STRATEGY:
+   * A manifest carrying an integrity string should add integrity and
+   * crossorigin to the hashed link only, replacing any stale values.
+   */
+  it('adds integrity and crossorigin from manifest', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore-manifest.json'), JSON.stringify({hash:'12345678', files:{'core.min.css':{file:'core.12345678.min.css', integrity:'sha384-abc'}}})); // manifest with SRI
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<link rel="stylesheet" href="core.aaaaaaaa.min.css" integrity="sha384-old" crossorigin="use-credentials">\n<link rel="stylesheet" href="other.css" integrity="sha384-keep">'); // stale SRI plus unrelated link
+    await updateHtml(); // run update with manifest present
+    const updated = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // read result for validation
+    assert.ok(updated.includes('<link rel="stylesheet" href="core.12345678.min.css" integrity="sha384-abc" crossorigin="anonymous">')); // hashed link refreshed
+    assert.ok(!updated.includes('sha384-old')); // stale digest removed
+    assert.ok(updated.includes('href="other.css" integrity="sha384-keep"')); // unrelated link untouched
+  });
+
+  it('strips stale integrity when no digest recorded', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<link href="core.aaaaaaaa.min.css" integrity="sha384-old" crossorigin />'); // build.hash fallback has no SRI
+    await updateHtml(); // run update using build.hash only
+    const updated = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // read result for validation
+    assert.strictEqual(updated, '<link href="core.12345678.min.css" />'); // stale attributes dropped so new file still loads
+  });
+
+  it('inlines critical css and preloads hashed stylesheet', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore-manifest.json'), JSON.stringify({hash:'12345678', files:{'core.min.css':{file:'core.12345678.min.css', integrity:'sha384-abc'}}})); // manifest with SRI
+    fs.writeFileSync(path.join(tmpDir, 'core.12345678.min.css'), 'body{margin:0}.hero{color:red}.unused{color:blue}'); // built stylesheet
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<head>\n    <link rel="stylesheet" href="core.aaaaaaaa.min.css">\n</head><body><div class="hero"></div></body>'); // page using one class
+    await updateHtml({critical:true}); // first run converts link
+    await updateHtml({critical:true}); // rerun must not stack blocks
+    const updated = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // read result for validation
+    assert.strictEqual((updated.match(/<style data-qore-critical>/g) || []).length, 1); // single inline block
+    assert.ok(updated.includes('<style data-qore-critical>body{margin:0}.hero{color:red}</style>')); // only rules styling the page
+    assert.ok(updated.includes(`<link rel="preload" as="style" onload="this.onload=null;this.rel='stylesheet'" href="core.12345678.min.css" integrity="sha384-abc" crossorigin="anonymous">`)); // non-blocking hashed link with SRI
+    assert.ok(updated.includes('<noscript data-qore-critical><link rel="stylesheet" href="core.12345678.min.css" integrity="sha384-abc" crossorigin="anonymous"></noscript>')); // fallback without javascript
+  });
+
   it('returns 1 when hash invalid', async () => {
     fs.writeFileSync(path.join(tmpDir, 'build.hash'), 'invalid'); // writes malformed hash for validation
     const original = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // save initial html for comparison